@@ -0,0 +1,465 @@
+/**
+ * Aggregation mode: one stdio server in front of several Workers
+ *
+ * The bridge is the MCP server here. It connects to every upstream in the config
+ * file, merges their tools, prompts and resources into its own lists, and routes each
+ * call to the upstream that owns the name or URI:
+ * - tools and prompts are exposed as `<prefix>__<name>`
+ * - resources keep their URIs, which already identify them; on a clash the first
+ *   upstream in the config wins
+ *
+ * An upstream that is down is left out of the lists instead of failing them. Its
+ * tool calls return an error result naming it, the `bridge_status` tool reports
+ * the health of each upstream, and connection changes are sent to the client as MCP
+ * log messages. Down upstreams are retried on the next request that needs them.
+ * Idempotent requests to an upstream that just went away are retried with backoff,
+ * and an upstream that comes back without the session gets a new one (see retry.mjs).
+ * Each upstream has its own credentials (see credentials.mjs).
+ */
+
+import { UnauthorizedError } from '@modelcontextprotocol/sdk/client/auth.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import {
+  CallToolRequestSchema,
+  ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  LoggingMessageNotificationSchema,
+  McpError,
+  PromptListChangedNotificationSchema,
+  ReadResourceRequestSchema,
+  ResourceListChangedNotificationSchema,
+  ToolListChangedNotificationSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import { NAME_SEPARATOR } from './config.mjs';
+import { Credentials } from './credentials.mjs';
+import { log } from './log.mjs';
+import { RETRY_DELAYS_MS, isSessionExpired, sleep } from './retry.mjs';
+
+export const STATUS_TOOL = 'bridge_status';
+
+const BRIDGE_INFO = { name: 'cook-mcp-bridge', version: '1.0.0' };
+
+// Searches run vision analysis with retries on the Worker; progress resets the clock
+const REQUEST_TIMEOUT_MS = 300_000;
+const STATUS_TIMEOUT_MS = 5_000;
+
+/** One upstream Worker and its SDK client, reconnected on demand. */
+class Upstream {
+  constructor(config, events) {
+    this.name = config.name;
+    this.url = config.url;
+    this.prefix = config.prefix;
+    this.credentials = new Credentials(config);
+    this.events = events;
+    this.client = undefined;
+    this.transport = undefined;
+    this.serverInfo = undefined;
+    this.error = undefined;
+  }
+
+  /** The name a tool or prompt of this upstream is exposed under. */
+  expose(name) {
+    return this.prefix ? `${this.prefix}${NAME_SEPARATOR}${name}` : name;
+  }
+
+  connect() {
+    if (this.client) {
+      return Promise.resolve(this.client);
+    }
+    this.connecting ??= this.open().finally(() => {
+      this.connecting = undefined;
+    });
+    return this.connecting;
+  }
+
+  /**
+   * Run `fn` with the connected client. JSON-RPC errors from a healthy upstream pass
+   * through untouched. A 404 for the session starts a new one and runs `fn` again;
+   * other failures mark the upstream down, and an idempotent `fn` is retried with
+   * backoff if the upstream was up when it started.
+   */
+  async use(fn, { idempotent = false } = {}) {
+    const retry = idempotent && this.error === undefined;
+    for (let attempt = 0; ; attempt++) {
+      let client;
+      try {
+        client = await this.connect();
+        return await fn(client);
+      } catch (error) {
+        if (error instanceof McpError) {
+          throw error;
+        }
+        if (client !== undefined && this.needsAuthorization(error) && attempt < RETRY_DELAYS_MS.length) {
+          await this.authorize(this.transport);
+          continue;
+        }
+        if (client !== undefined && isSessionExpired(error) && attempt < RETRY_DELAYS_MS.length) {
+          this.expire(client);
+          continue;
+        }
+        if (client !== undefined) {
+          this.down(error, client);
+        }
+        if (!retry || attempt === RETRY_DELAYS_MS.length) {
+          throw error;
+        }
+        await sleep(RETRY_DELAYS_MS[attempt]);
+      }
+    }
+  }
+
+  async open(authorized = false) {
+    const client = new Client(BRIDGE_INFO);
+    const transport = new StreamableHTTPClientTransport(this.url, this.credentials.transportOptions());
+
+    client.setNotificationHandler(ToolListChangedNotificationSchema, () => this.events.listChanged('tools'));
+    client.setNotificationHandler(PromptListChangedNotificationSchema, () => this.events.listChanged('prompts'));
+    client.setNotificationHandler(ResourceListChangedNotificationSchema, () => this.events.listChanged('resources'));
+    client.setNotificationHandler(LoggingMessageNotificationSchema, ({ params }) => this.events.upstreamLog(this, params));
+    client.onerror = (error) => log(`[${this.name}]`, error.message);
+
+    try {
+      await client.connect(transport);
+    } catch (error) {
+      if (this.needsAuthorization(error) && !authorized) {
+        try {
+          await this.authorize(transport);
+        } catch (authError) {
+          this.down(authError);
+          throw authError;
+        }
+        return this.open(true);
+      }
+      this.down(error);
+      throw error;
+    }
+
+    const wasDown = this.error !== undefined;
+    this.client = client;
+    this.transport = transport;
+    this.serverInfo = client.getServerVersion();
+    this.error = undefined;
+    log(`✓ [${this.name}] connected to ${this.serverInfo?.name ?? 'server'} at ${this.url}`);
+    if (wasDown) {
+      this.events.connection(this, 'info', `Upstream ${this.name} is back`);
+    }
+    return client;
+  }
+
+  /** The transport sent the user to the browser to approve the bridge. */
+  needsAuthorization(error) {
+    return error instanceof UnauthorizedError && this.credentials.oauth !== undefined;
+  }
+
+  async authorize(transport) {
+    this.events.connection(this, 'warning', `Upstream ${this.name} needs authorization. Approve the bridge in your browser.`);
+    await this.credentials.authorize(transport);
+    this.events.connection(this, 'info', `Authorized with upstream ${this.name}`);
+  }
+
+  /** Drop a client whose session the server no longer knows; the next use starts a new one. */
+  expire(client) {
+    if (client !== this.client) {
+      return;
+    }
+    const sessionId = this.transport.sessionId;
+    this.drop();
+    log(`[${this.name}] session ${sessionId} expired`);
+    this.events.connection(this, 'warning', `Session ${sessionId} on upstream ${this.name} has expired. Starting a new one.`);
+  }
+
+  down(error, client) {
+    const wasUp = this.error === undefined;
+    this.error = error.message;
+    if (client !== undefined && client === this.client) {
+      this.drop();
+    }
+    log(`✗ [${this.name}] ${this.url}: ${error.message}`);
+    if (wasUp) {
+      this.events.connection(this, 'error', `Upstream ${this.name} (${this.url}) is down: ${error.message}`);
+    }
+  }
+
+  drop() {
+    const client = this.client;
+    this.client = undefined;
+    this.transport = undefined;
+    client.close().catch(() => {});
+  }
+
+  async close() {
+    if (!this.client) {
+      return;
+    }
+    await this.transport.terminateSession().catch(() => {});
+    await this.client.close();
+    this.client = undefined;
+  }
+}
+
+/**
+ * Start the aggregating server on `downstream`; resolves to a function that closes
+ * every connection.
+ */
+export async function runAggregate(config, downstream = new StdioServerTransport()) {
+  const server = new Server(BRIDGE_INFO, {
+    capabilities: {
+      tools: { listChanged: true },
+      prompts: { listChanged: true },
+      resources: { listChanged: true },
+      logging: {},
+    },
+  });
+
+  // Notifications before the client has connected have nowhere to go
+  const notify = (send) => send().catch(() => {});
+
+  const upstreams = config.upstreams.map(
+    (entry) =>
+      new Upstream(entry, {
+        listChanged: (kind) =>
+          notify(() =>
+            kind === 'tools'
+              ? server.sendToolListChanged()
+              : kind === 'prompts'
+                ? server.sendPromptListChanged()
+                : server.sendResourceListChanged(),
+          ),
+        upstreamLog: (upstream, params) =>
+          notify(() =>
+            server.sendLoggingMessage({
+              ...params,
+              logger: params.logger ? `${upstream.name}/${params.logger}` : upstream.name,
+            }),
+          ),
+        connection: (_upstream, level, message) =>
+          notify(() => server.sendLoggingMessage({ level, logger: 'bridge', data: message })),
+      }),
+  );
+
+  // Which upstream owns each exposed name or URI, as of the last listing
+  const owners = { tools: new Map(), prompts: new Map(), resources: new Map() };
+  let templates = [];
+
+  /** Run `list` on every upstream, leaving out the ones that fail. */
+  async function fromEach(list) {
+    const results = await Promise.allSettled(upstreams.map((upstream) => upstream.use(list, { idempotent: true })));
+    return results.flatMap((result, i) => (result.status === 'fulfilled' ? [[upstreams[i], result.value]] : []));
+  }
+
+  async function listTools() {
+    const lists = await fromEach((client) => listAll((cursor) => client.listTools({ cursor }), 'tools'));
+    owners.tools = new Map();
+    return lists.flatMap(([upstream, tools]) =>
+      tools.map((tool) => {
+        const name = upstream.expose(tool.name);
+        owners.tools.set(name, { upstream, name: tool.name });
+        return { ...tool, name };
+      }),
+    );
+  }
+
+  async function listPrompts() {
+    const lists = await fromEach((client) => listAll((cursor) => client.listPrompts({ cursor }), 'prompts'));
+    owners.prompts = new Map();
+    return lists.flatMap(([upstream, prompts]) =>
+      prompts.map((prompt) => {
+        const name = upstream.expose(prompt.name);
+        owners.prompts.set(name, { upstream, name: prompt.name });
+        return { ...prompt, name };
+      }),
+    );
+  }
+
+  async function listResources() {
+    const lists = await fromEach((client) => listAll((cursor) => client.listResources({ cursor }), 'resources'));
+    owners.resources = new Map();
+    return lists.flatMap(([upstream, resources]) =>
+      resources.filter((resource) => {
+        const owner = owners.resources.get(resource.uri);
+        if (owner) {
+          log(`${resource.uri} is served by both ${owner.upstream.name} and ${upstream.name}; using ${owner.upstream.name}`);
+          return false;
+        }
+        owners.resources.set(resource.uri, { upstream });
+        return true;
+      }),
+    );
+  }
+
+  async function listResourceTemplates() {
+    const lists = await fromEach((client) =>
+      listAll((cursor) => client.listResourceTemplates({ cursor }), 'resourceTemplates'),
+    );
+    templates = lists.flatMap(([upstream, list]) =>
+      list.map((template) => ({ upstream, pattern: templatePattern(template.uriTemplate) })),
+    );
+    return lists.flatMap(([, list]) => list);
+  }
+
+  /** Find the owner of an exposed name, listing again once in case it is new. */
+  async function route(kind, name, relist) {
+    if (!owners[kind].has(name)) {
+      await relist();
+    }
+    const owner = owners[kind].get(name);
+    if (!owner) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown ${kind === 'tools' ? 'tool' : 'prompt'}: ${name}`);
+    }
+    return owner;
+  }
+
+  async function routeResource(uri) {
+    const find = () =>
+      owners.resources.get(uri)?.upstream ?? templates.find((template) => template.pattern.test(uri))?.upstream;
+
+    let upstream = find();
+    if (!upstream) {
+      await Promise.all([listResources(), listResourceTemplates()]);
+      upstream = find();
+    }
+    if (!upstream) {
+      throw new McpError(ErrorCode.InvalidParams, `No upstream serves ${uri}`);
+    }
+    return upstream;
+  }
+
+  async function status() {
+    const reports = await Promise.all(
+      upstreams.map(async (upstream) => {
+        try {
+          await upstream.use((client) => client.ping({ timeout: STATUS_TIMEOUT_MS }));
+          return { name: upstream.name, url: upstream.url.href, prefix: upstream.prefix, status: 'up', server: upstream.serverInfo };
+        } catch (error) {
+          return { name: upstream.name, url: upstream.url.href, prefix: upstream.prefix, status: 'down', error: error.message };
+        }
+      }),
+    );
+
+    const lines = reports.map((report) =>
+      report.status === 'up'
+        ? `✅ ${report.name} (${report.url}): ${report.server?.name ?? 'server'} is up`
+        : `❌ ${report.name} (${report.url}): ${report.error}`,
+    );
+    return {
+      content: [{ type: 'text', text: lines.join('\n') }],
+      structuredContent: { upstreams: reports },
+      isError: reports.some((report) => report.status === 'down') || undefined,
+    };
+  }
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: [
+      ...(await listTools()),
+      {
+        name: STATUS_TOOL,
+        description: 'Report whether each upstream MCP server behind this bridge is reachable',
+        inputSchema: { type: 'object', properties: {} },
+      },
+    ],
+  }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    if (request.params.name === STATUS_TOOL) {
+      return status();
+    }
+
+    const { upstream, name } = await route('tools', request.params.name, listTools);
+    const progressToken = request.params._meta?.progressToken;
+
+    try {
+      return await upstream.use((client) =>
+        client.callTool({ name, arguments: request.params.arguments }, undefined, {
+          signal: extra.signal,
+          timeout: REQUEST_TIMEOUT_MS,
+          resetTimeoutOnProgress: true,
+          // Relay upstream progress under the token the client asked for
+          onprogress:
+            progressToken === undefined
+              ? undefined
+              : (progress) => extra.sendNotification({ method: 'notifications/progress', params: { ...progress, progressToken } }),
+        }),
+      );
+    } catch (error) {
+      if (error instanceof McpError) {
+        throw error;
+      }
+      return {
+        content: [{ type: 'text', text: `Upstream ${upstream.name} (${upstream.url}) failed: ${error.message}` }],
+        isError: true,
+      };
+    }
+  });
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: await listPrompts() }));
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request, extra) => {
+    const { upstream, name } = await route('prompts', request.params.name, listPrompts);
+    return forward(upstream, (client) =>
+      client.getPrompt({ name, arguments: request.params.arguments }, { signal: extra.signal }),
+    );
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({ resources: await listResources() }));
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: await listResourceTemplates(),
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+    const upstream = await routeResource(request.params.uri);
+    return forward(upstream, (client) => client.readResource({ uri: request.params.uri }, { signal: extra.signal }));
+  });
+
+  for (const upstream of upstreams) {
+    log(`[${upstream.name}] ${upstream.url}${upstream.prefix ? ` as ${upstream.prefix}${NAME_SEPARATOR}*` : ''}`);
+  }
+  // Connect up front so problems show in the log at startup; failures are retried later
+  await Promise.allSettled(upstreams.map((upstream) => upstream.connect()));
+  await server.connect(downstream);
+
+  return async () => {
+    await Promise.allSettled(upstreams.map((upstream) => upstream.close()));
+    await server.close();
+  };
+}
+
+/** Every page of a paginated list. */
+async function listAll(fetchPage, key) {
+  const items = [];
+  let cursor;
+  do {
+    const page = await fetchPage(cursor);
+    items.push(...page[key]);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return items;
+}
+
+/** Forward an idempotent request whose failure should reach the client as a JSON-RPC error. */
+async function forward(upstream, fn) {
+  try {
+    return await upstream.use(fn, { idempotent: true });
+  } catch (error) {
+    if (error instanceof McpError) {
+      throw error;
+    }
+    throw new McpError(ErrorCode.InternalError, `Upstream ${upstream.name} (${upstream.url}) failed: ${error.message}`);
+  }
+}
+
+/** Match URIs against an RFC 6570 template, treating each `{var}` as one path segment. */
+function templatePattern(uriTemplate) {
+  const source = uriTemplate
+    .split(/(\{[^}]+\})/)
+    .map((part) => (part.startsWith('{') ? '[^/]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`);
+}
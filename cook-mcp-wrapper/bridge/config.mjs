@@ -0,0 +1,193 @@
+/**
+ * Bridge configuration: the environment for one upstream, a config file for several
+ *
+ * {
+ *   "upstreams": [
+ *     { "name": "cook", "url": "https://cook-mcp.example.workers.dev/mcp", "oauth": true },
+ *     { "name": "ops", "url": "https://ops.example.workers.dev/mcp", "prefix": "internal",
+ *       "bearerTokenFile": "ops-token.txt", "headers": { "X-Team": "hvac" } }
+ *   ]
+ * }
+ *
+ * `name` identifies the upstream in logs and health reports. Tool and prompt names are
+ * exposed as `<prefix>__<name>`; `prefix` defaults to `name`, and `""` exposes the
+ * upstream's names unchanged.
+ *
+ * Credentials, per upstream in the file or from the environment in single-upstream mode:
+ *   headers          MCP_HEADERS (JSON object)   extra request headers
+ *   bearerToken      MCP_BEARER_TOKEN            sent as `Authorization: Bearer`
+ *   bearerTokenFile  MCP_BEARER_TOKEN_FILE       the same, read from a file
+ *   oauth            MCP_OAUTH=1                 OAuth in the browser (see oauth.mjs);
+ *     callbackPort   MCP_OAUTH_CALLBACK_PORT     in the file, `oauth` may be an object
+ *     scope          MCP_OAUTH_SCOPE             with these settings
+ *     storeDir       MCP_OAUTH_STORE
+ * Relative token files in a config file are resolved against its directory.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+
+export const NAME_SEPARATOR = '__';
+
+// Tool and prompt names may only use these characters
+const PREFIX_PATTERN = /^[A-Za-z0-9_-]*$/;
+
+const DEFAULT_SERVER_URL = 'http://localhost:8787';
+
+/**
+ * @typedef {object} OAuthConfig
+ * @property {number} [callbackPort]
+ * @property {string} [scope]
+ * @property {string} [storeDir]
+ */
+
+/**
+ * @typedef {object} UpstreamConfig
+ * @property {string} name
+ * @property {URL} url
+ * @property {string} prefix
+ * @property {Record<string, string>} headers
+ * @property {string} [bearerToken]
+ * @property {string} [bearerTokenFile]
+ * @property {OAuthConfig} [oauth]
+ */
+
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/** @returns {Promise<{ upstreams: UpstreamConfig[] }>} */
+export async function loadConfig(path) {
+  let raw;
+  try {
+    raw = JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Could not read ${path}: ${error.message}`);
+  }
+  return parseConfig(raw, dirname(resolve(path)));
+}
+
+/** @returns {{ upstreams: UpstreamConfig[] }} */
+export function parseConfig(raw, baseDir = process.cwd()) {
+  if (!Array.isArray(raw?.upstreams) || raw.upstreams.length === 0) {
+    throw new ConfigError('"upstreams" must be a non-empty array');
+  }
+
+  const names = new Set();
+  const prefixes = new Set();
+
+  /** @type {UpstreamConfig[]} */
+  const upstreams = raw.upstreams.map((entry, i) => {
+    const where = `upstreams[${i}]`;
+    if (typeof entry?.name !== 'string' || entry.name === '') {
+      throw new ConfigError(`${where}.name is required`);
+    }
+    if (names.has(entry.name)) {
+      throw new ConfigError(`${where}.name "${entry.name}" is used twice`);
+    }
+    names.add(entry.name);
+
+    const prefix = entry.prefix ?? entry.name;
+    if (typeof prefix !== 'string' || !PREFIX_PATTERN.test(prefix)) {
+      throw new ConfigError(`${where}.prefix may only contain letters, digits, "_" and "-"`);
+    }
+    if (prefix !== '' && prefixes.has(prefix)) {
+      throw new ConfigError(`${where}.prefix "${prefix}" is used twice`);
+    }
+    prefixes.add(prefix);
+
+    return {
+      name: entry.name,
+      url: parseUrl(entry.url, `${where}.url`),
+      prefix,
+      ...parseCredentials(entry, where, baseDir),
+    };
+  });
+
+  return { upstreams };
+}
+
+/** The single upstream of pass-through mode, from `MCP_*` variables. */
+export function envConfig(env) {
+  let headers;
+  try {
+    headers = env.MCP_HEADERS ? JSON.parse(env.MCP_HEADERS) : undefined;
+  } catch (error) {
+    throw new ConfigError(`MCP_HEADERS is not valid JSON: ${error.message}`);
+  }
+
+  const oauth = ['1', 'true'].includes(env.MCP_OAUTH ?? '')
+    ? {
+        callbackPort: env.MCP_OAUTH_CALLBACK_PORT ? Number(env.MCP_OAUTH_CALLBACK_PORT) : undefined,
+        scope: env.MCP_OAUTH_SCOPE || undefined,
+        storeDir: env.MCP_OAUTH_STORE || undefined,
+      }
+    : undefined;
+
+  const url = parseUrl(env.MCP_SERVER_URL || DEFAULT_SERVER_URL, 'MCP_SERVER_URL');
+  const credentials = parseCredentials(
+    {
+      headers,
+      bearerToken: env.MCP_BEARER_TOKEN || undefined,
+      bearerTokenFile: env.MCP_BEARER_TOKEN_FILE || undefined,
+      oauth,
+    },
+    'environment',
+    process.cwd(),
+  );
+  return { url, ...credentials };
+}
+
+function parseUrl(value, where) {
+  try {
+    return new URL(value);
+  } catch {
+    throw new ConfigError(`${where} is not a valid URL: ${value}`);
+  }
+}
+
+function parseCredentials(entry, where, baseDir) {
+  const headers = entry.headers ?? {};
+  if (typeof headers !== 'object' || Array.isArray(headers) || Object.values(headers).some((value) => typeof value !== 'string')) {
+    throw new ConfigError(`${where}.headers must map header names to strings`);
+  }
+
+  for (const field of ['bearerToken', 'bearerTokenFile']) {
+    if (entry[field] !== undefined && (typeof entry[field] !== 'string' || entry[field] === '')) {
+      throw new ConfigError(`${where}.${field} must be a non-empty string`);
+    }
+  }
+
+  let oauth;
+  if (entry.oauth === true) {
+    oauth = {};
+  } else if (typeof entry.oauth === 'object' && entry.oauth !== null) {
+    const { callbackPort, scope, storeDir } = entry.oauth;
+    if (callbackPort !== undefined && !(Number.isInteger(callbackPort) && callbackPort > 0 && callbackPort < 65536)) {
+      throw new ConfigError(`${where}.oauth.callbackPort must be a port number`);
+    }
+    oauth = { callbackPort, scope, storeDir };
+  } else if (entry.oauth !== undefined && entry.oauth !== false) {
+    throw new ConfigError(`${where}.oauth must be true or an object`);
+  }
+
+  const schemes = [
+    entry.bearerToken && 'bearerToken',
+    entry.bearerTokenFile && 'bearerTokenFile',
+    oauth && 'oauth',
+    Object.keys(headers).some((name) => name.toLowerCase() === 'authorization') && 'an Authorization header',
+  ].filter(Boolean);
+  if (schemes.length > 1) {
+    throw new ConfigError(`${where} sets ${schemes.join(' and ')}; use one way to authenticate`);
+  }
+
+  return {
+    headers,
+    bearerToken: entry.bearerToken,
+    bearerTokenFile: entry.bearerTokenFile && resolve(baseDir, entry.bearerTokenFile),
+    oauth,
+  };
+}
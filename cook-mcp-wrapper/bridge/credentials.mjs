@@ -0,0 +1,47 @@
+/**
+ * What the bridge sends to prove who it is to one upstream
+ *
+ * Extra headers, a static bearer token (inline, or read from a file each time a
+ * connection is opened so the file can be rotated) or OAuth (see oauth.mjs).
+ */
+
+import { readFileSync } from 'node:fs';
+import { FileOAuthProvider } from './oauth.mjs';
+
+export class Credentials {
+  constructor({ url, headers = {}, bearerToken, bearerTokenFile, oauth }) {
+    this.headers = headers;
+    this.bearerToken = bearerToken;
+    this.bearerTokenFile = bearerTokenFile;
+    this.oauth = oauth ? new FileOAuthProvider(url, oauth) : undefined;
+    this.authorizing = undefined;
+  }
+
+  /** Options for a new Streamable HTTP client transport. */
+  transportOptions() {
+    const headers = { ...this.headers };
+    const token = this.bearerTokenFile ? readFileSync(this.bearerTokenFile, 'utf8').trim() : this.bearerToken;
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    return {
+      requestInit: { headers },
+      authProvider: this.oauth,
+      fetch: this.oauth && ((url, init) => this.oauth.fetch(url, init)),
+    };
+  }
+
+  /**
+   * After the transport sent the user to the browser (an `UnauthorizedError`), wait
+   * for their approval and exchange the code for tokens.
+   */
+  authorize(transport) {
+    this.authorizing ??= (async () => {
+      const code = await this.oauth.authorizationCode();
+      await transport.finishAuth(code);
+    })().finally(() => {
+      this.authorizing = undefined;
+    });
+    return this.authorizing;
+  }
+}
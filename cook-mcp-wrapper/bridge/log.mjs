@@ -0,0 +1,2 @@
+/** Bridge logs go to stderr; stdout carries only protocol messages. */
+export const log = (...args) => console.error('[Bridge]', ...args);
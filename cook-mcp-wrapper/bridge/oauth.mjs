@@ -0,0 +1,244 @@
+/**
+ * OAuth for upstreams that require it: authorization code flow with a loopback redirect
+ *
+ * The SDK's Streamable HTTP transport does the protocol work through an
+ * `OAuthClientProvider`: discovery from the 401, dynamic client registration, PKCE,
+ * the token exchange and refreshing. This provider keeps the registered client,
+ * tokens and PKCE verifier in one file per server under `~/.cook-mcp-bridge`. It
+ * opens the browser for consent, or `$BROWSER` if set, and receives the code on
+ * `http://127.0.0.1:<port>/callback`. The URL is also logged, for when no browser
+ * can be opened.
+ */
+
+import { spawn } from 'node:child_process';
+import { createHash, randomUUID } from 'node:crypto';
+import { mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import { log } from './log.mjs';
+
+export const DEFAULT_CALLBACK_PORT = 33418;
+
+const AUTHORIZATION_TIMEOUT_MS = 5 * 60_000;
+
+/** OAuthClientProvider that stores its state on disk. */
+export class FileOAuthProvider {
+  constructor(serverUrl, { callbackPort = DEFAULT_CALLBACK_PORT, scope, storeDir = join(homedir(), '.cook-mcp-bridge') } = {}) {
+    this.serverUrl = new URL(serverUrl);
+    this.callbackPort = callbackPort;
+    this.scope = scope;
+    this.storeDir = storeDir;
+    // One file per server, so several upstreams can share the directory
+    const key = createHash('sha256').update(this.serverUrl.href).digest('hex').slice(0, 16);
+    this.storePath = join(storeDir, `oauth-${key}.json`);
+    this.pending = undefined;
+    this.refreshes = new Map();
+  }
+
+  get redirectUrl() {
+    return `http://127.0.0.1:${this.callbackPort}/callback`;
+  }
+
+  get clientMetadata() {
+    return {
+      client_name: 'Cook MCP bridge',
+      redirect_uris: [this.redirectUrl],
+      grant_types: ['authorization_code', 'refresh_token'],
+      response_types: ['code'],
+      token_endpoint_auth_method: 'none',
+      ...(this.scope && { scope: this.scope }),
+    };
+  }
+
+  state() {
+    return randomUUID();
+  }
+
+  async clientInformation() {
+    return (await this.read()).clientInformation;
+  }
+
+  async saveClientInformation(clientInformation) {
+    await this.update({ clientInformation });
+  }
+
+  async tokens() {
+    return (await this.read()).tokens;
+  }
+
+  async saveTokens(tokens) {
+    await this.update({ tokens });
+    log(`✓ Saved OAuth tokens for ${this.serverUrl.href}`);
+  }
+
+  async codeVerifier() {
+    const { codeVerifier } = await this.read();
+    if (!codeVerifier) {
+      throw new Error('No PKCE code verifier saved');
+    }
+    return codeVerifier;
+  }
+
+  async saveCodeVerifier(codeVerifier) {
+    await this.update({ codeVerifier });
+  }
+
+  async invalidateCredentials(scope) {
+    if (scope === 'all') {
+      await rm(this.storePath, { force: true });
+      return;
+    }
+    const field = { client: 'clientInformation', tokens: 'tokens', verifier: 'codeVerifier' }[scope];
+    if (field) {
+      await this.update({ [field]: undefined });
+    }
+  }
+
+  /** Wait for the callback on the loopback port, then send the user to `authorizationUrl`. */
+  async redirectToAuthorization(authorizationUrl) {
+    const { code } = await waitForCallback(this.callbackPort, authorizationUrl.searchParams.get('state'));
+    // Awaited later by authorizationCode(); until then a failure must not go unhandled
+    code.catch(() => {});
+    this.pending = code;
+
+    log(`Authorize the bridge for ${this.serverUrl.href} in your browser:`);
+    log(`  ${authorizationUrl.href}`);
+    openBrowser(authorizationUrl.href);
+  }
+
+  /** The authorization code from the browser, once the user has approved. */
+  async authorizationCode() {
+    if (!this.pending) {
+      throw new Error('No authorization in progress');
+    }
+    try {
+      return await this.pending;
+    } finally {
+      this.pending = undefined;
+    }
+  }
+
+  /**
+   * `fetch` for the transport. Requests that are refused together each refresh the
+   * access token, and with refresh token rotation every refresh but the first would
+   * fail and send the user back to the browser. Refreshes with the same refresh
+   * token therefore share one token request.
+   */
+  fetch(url, init) {
+    const params = init?.body instanceof URLSearchParams ? init.body : undefined;
+    const refreshToken = params?.get('grant_type') === 'refresh_token' ? params.get('refresh_token') : undefined;
+    if (!refreshToken) {
+      return fetch(url, init);
+    }
+    // A refresh token is only used once, so this keeps one small entry per refresh
+    let response = this.refreshes.get(refreshToken);
+    if (!response) {
+      response = fetch(url, init);
+      response.catch(() => this.refreshes.delete(refreshToken));
+      this.refreshes.set(refreshToken, response);
+    }
+    return response.then((shared) => shared.clone());
+  }
+
+  async read() {
+    try {
+      return JSON.parse(await readFile(this.storePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async update(fields) {
+    const stored = { ...(await this.read()), serverUrl: this.serverUrl.href, ...fields };
+    await mkdir(this.storeDir, { recursive: true, mode: 0o700 });
+    // Tokens are credentials: readable by the user only
+    await writeFile(this.storePath, `${JSON.stringify(stored, null, 2)}\n`, { mode: 0o600 });
+  }
+}
+
+// Loopback servers by port, each waiting on the authorizations it will receive by state
+const callbackServers = new Map();
+
+/**
+ * Listen for the redirect carrying `state`. Resolves once listening, to `{ code }`:
+ * a promise for the authorization code, wrapped so it is not awaited here.
+ */
+async function waitForCallback(port, state) {
+  let callbacks = callbackServers.get(port);
+  if (!callbacks) {
+    callbacks = { waiting: new Map(), server: createCallbackServer(port) };
+    callbackServers.set(port, callbacks);
+    try {
+      await new Promise((resolve, reject) => {
+        callbacks.server.once('error', reject);
+        callbacks.server.listen(port, '127.0.0.1', resolve);
+      });
+    } catch (error) {
+      callbackServers.delete(port);
+      throw new Error(`Could not listen for the OAuth callback on port ${port}: ${error.message}`);
+    }
+  }
+
+  const { waiting } = callbacks;
+  const code = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => settle(new Error('Timed out waiting for authorization in the browser')), AUTHORIZATION_TIMEOUT_MS);
+    const settle = (error, code) => {
+      clearTimeout(timer);
+      waiting.delete(state);
+      if (waiting.size === 0) {
+        callbacks.server.close();
+        callbackServers.delete(port);
+      }
+      error ? reject(error) : resolve(code);
+    };
+    waiting.set(state, settle);
+  });
+  return { code };
+}
+
+function createCallbackServer(port) {
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, `http://127.0.0.1:${port}`);
+    const settle = url.pathname === '/callback' ? callbackServers.get(port)?.waiting.get(url.searchParams.get('state')) : undefined;
+    if (!settle) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' }).end('No authorization is waiting for this callback.');
+      return;
+    }
+
+    const code = url.searchParams.get('code');
+    const error = url.searchParams.get('error');
+    res.writeHead(code ? 200 : 400, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(
+      code
+        ? '<!doctype html><p>The Cook MCP bridge is authorized. You can close this window.</p>'
+        : '<!doctype html><p>Authorization failed. Check the Claude Desktop logs.</p>',
+    );
+    // Let the response finish before the server is closed
+    res.on('finish', () =>
+      code
+        ? settle(undefined, code)
+        : settle(new Error(`Authorization failed: ${error ?? 'no code'} ${url.searchParams.get('error_description') ?? ''}`.trim())),
+    );
+  });
+  // Responses are short; without this, close() would wait on the browser's keep-alive
+  server.keepAliveTimeout = 1;
+  return server;
+}
+
+function openBrowser(url) {
+  const [command, ...args] = process.env.BROWSER
+    ? [process.env.BROWSER]
+    : process.platform === 'darwin'
+      ? ['open']
+      : process.platform === 'win32'
+        ? ['rundll32', 'url.dll,FileProtocolHandler']
+        : ['xdg-open'];
+
+  const child = spawn(command, [...args, url], { stdio: 'ignore', detached: true });
+  child.on('error', (error) => log(`Could not open a browser (${error.message}); open the URL above yourself`));
+  child.unref();
+}
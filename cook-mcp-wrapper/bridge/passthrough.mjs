@@ -0,0 +1,293 @@
+/**
+ * Single-upstream mode: forward raw JSON-RPC between stdio and one Worker
+ *
+ * Messages are forwarded unchanged in both directions, so every MCP method works
+ * without the bridge knowing about it: tools, resources, prompts, completions,
+ * notifications, and responses to server-initiated requests. The client's initialize
+ * goes to the server first and its result comes back as-is, so Claude Desktop sees the
+ * server's own capabilities and serverInfo, not the bridge's. The SDK's Streamable
+ * HTTP client transport keeps the `Mcp-Session-Id` issued at initialize, sends it on
+ * every later request, and hands back whatever the server streams over SSE
+ * (progress, log messages, list changes) so it can be relayed over stdout.
+ * Cancellations from the client reach the server as `notifications/cancelled`.
+ *
+ * If the Worker goes away, idempotent requests and notifications are retried with
+ * backoff (see retry.mjs). If it comes back without the session, the bridge replays
+ * the client's initialize on a new session and sends the request again; requests
+ * still waiting on the old session are sent again or answered with an error. The
+ * client hears about each change in the connection as an MCP log message.
+ *
+ * Credentials (see credentials.mjs) go on every request. With OAuth, a request the
+ * server turns away waits while the user approves in the browser, then is sent again.
+ */
+
+import { UnauthorizedError } from '@modelcontextprotocol/sdk/client/auth.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { Credentials } from './credentials.mjs';
+import { log } from './log.mjs';
+import { IDEMPOTENT_METHODS, RETRY_DELAYS_MS, isSessionExpired, sleep } from './retry.mjs';
+
+// JSON-RPC internal error, used when a request cannot be delivered upstream
+const INTERNAL_ERROR = -32603;
+
+const RENEW_TIMEOUT_MS = 30_000;
+
+// MCP log levels, least severe first
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+/**
+ * Start forwarding between `downstream` and the upstream from `envConfig`; resolves to
+ * a function that ends the session and closes both sides.
+ */
+export async function runPassthrough(config, downstream = new StdioServerTransport()) {
+  const url = config.url.href;
+  const credentials = new Credentials(config);
+  let upstream = open();
+
+  // The client's initialize request, replayed when the session has to be renewed
+  let initialize;
+  let initialized = false;
+  let protocolVersion;
+  let logLevel;
+
+  // Requests sent upstream and not yet answered, with the transport they went out on
+  // and whether the send completed
+  const inFlight = new Map();
+  // The bridge's own requests, answered by id instead of relayed
+  const own = new Map();
+  let ownId = 0;
+
+  let down = false;
+  let renewing;
+
+  function open() {
+    const transport = new StreamableHTTPClientTransport(config.url, credentials.transportOptions());
+    transport.onmessage = relay;
+    transport.onerror = (error) => log('Upstream error:', error.message);
+    return transport;
+  }
+
+  /** Tell the client about the connection, as a log message from the `bridge` logger. */
+  function notify(level, message) {
+    log(message);
+    if (!initialized || LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(logLevel ?? 'debug')) {
+      return;
+    }
+    downstream
+      .send({ jsonrpc: '2.0', method: 'notifications/message', params: { level, logger: 'bridge', data: message } })
+      .catch(() => {});
+  }
+
+  function connectionLost(error) {
+    if (!down) {
+      down = true;
+      notify('warning', `Lost connection to ${url}: ${error.message}. Retrying.`);
+    }
+  }
+
+  function connectionBack() {
+    if (down) {
+      down = false;
+      notify('info', `Reconnected to ${url}`);
+    }
+  }
+
+  function retryable(message) {
+    if (message.method === undefined || message.method === 'initialize') {
+      return false;
+    }
+    return message.id === undefined || IDEMPOTENT_METHODS.has(message.method);
+  }
+
+  async function reply(id, error) {
+    await downstream.send({ jsonrpc: '2.0', id, error: { code: INTERNAL_ERROR, message: error } }).catch(() => {});
+  }
+
+  /** Send a request of the bridge's own and wait for its response. */
+  function request(transport, method, params) {
+    const id = `bridge-${++ownId}`;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        own.delete(id);
+        reject(new Error(`${method} timed out`));
+      }, RENEW_TIMEOUT_MS);
+      own.set(id, (message) => {
+        clearTimeout(timer);
+        if (message.error) {
+          reject(new Error(message.error.message));
+        } else {
+          resolve(message.result);
+        }
+      });
+      transport.send({ jsonrpc: '2.0', id, method, params }).catch((error) => {
+        clearTimeout(timer);
+        own.delete(id);
+        reject(error);
+      });
+    });
+  }
+
+  /** Replace `stale` with a transport on a new session, once however many requests hit the 404. */
+  function renewSession(stale) {
+    renewing ??= (async () => {
+      if (upstream !== stale) {
+        return;
+      }
+      notify('warning', `Session ${stale.sessionId} on ${url} has expired. Starting a new one.`);
+
+      const transport = open();
+      try {
+        await transport.start();
+        const result = await request(transport, 'initialize', {
+          ...initialize.params,
+          protocolVersion: protocolVersion ?? initialize.params.protocolVersion,
+        });
+        transport.setProtocolVersion(result.protocolVersion);
+        if (initialized) {
+          await transport.send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+        }
+      } catch (error) {
+        await transport.close().catch(() => {});
+        throw error;
+      }
+
+      upstream = transport;
+      stale.close().catch(() => {});
+      notify('info', `Started session ${transport.sessionId ?? '(stateless)'} on ${url}`);
+
+      // The old session will never answer what was sent on it
+      for (const [id, { message, transport: sentOn, delivered }] of inFlight) {
+        if (sentOn !== stale || !delivered) {
+          continue;
+        }
+        if (retryable(message)) {
+          void forward(message);
+        } else {
+          inFlight.delete(id);
+          await reply(id, `Upstream MCP server ${url} lost the session before answering ${message.method}`);
+        }
+      }
+    })().finally(() => {
+      renewing = undefined;
+    });
+    return renewing;
+  }
+
+  /** Send a message upstream, retrying and renewing the session as the failure allows. */
+  async function deliver(message) {
+    for (let attempt = 0; ; attempt++) {
+      const transport = upstream;
+      // Registered before sending, since a JSON response is relayed before send() returns
+      const entry = { message, transport, delivered: false };
+      if (message.id !== undefined && message.method !== undefined) {
+        inFlight.set(message.id, entry);
+      }
+
+      try {
+        await transport.send(message);
+        entry.delivered = true;
+        connectionBack();
+        return;
+      } catch (error) {
+        if (error instanceof UnauthorizedError && credentials.oauth && attempt < RETRY_DELAYS_MS.length) {
+          notify('warning', `${url} needs authorization. Approve the bridge in your browser.`);
+          await credentials.authorize(transport);
+          notify('info', `Authorized with ${url}`);
+          continue;
+        }
+
+        const expired = isSessionExpired(error) && initialize !== undefined && message.method !== 'initialize';
+        if (attempt === RETRY_DELAYS_MS.length || !(expired || retryable(message))) {
+          throw error;
+        }
+
+        if (expired) {
+          const renewed = await renewSession(transport).then(
+            () => true,
+            (renewError) => {
+              connectionLost(renewError);
+              return false;
+            },
+          );
+          if (renewed) {
+            continue;
+          }
+        } else {
+          connectionLost(error);
+        }
+        await sleep(RETRY_DELAYS_MS[attempt]);
+      }
+    }
+  }
+
+  async function forward(message) {
+    try {
+      await deliver(message);
+    } catch (error) {
+      log('✗ Forwarding', message.method ?? 'response', 'failed:', error.message);
+
+      // A request that never reached the server would otherwise hang the client
+      if (message.method !== undefined && message.id !== undefined) {
+        inFlight.delete(message.id);
+        await reply(message.id, `Upstream MCP server ${url} failed: ${error.message}`);
+      }
+    }
+  }
+
+  downstream.onmessage = (message) => {
+    if (message.method === 'initialize') {
+      initialize = message;
+    } else if (message.method === 'notifications/initialized') {
+      initialized = true;
+    } else if (message.method === 'logging/setLevel') {
+      logLevel = message.params?.level;
+    }
+    return forward(message);
+  };
+
+  async function relay(message) {
+    const answer = message.id !== undefined ? own.get(message.id) : undefined;
+    if (answer) {
+      own.delete(message.id);
+      answer(message);
+      return;
+    }
+
+    const sent = message.method === undefined ? inFlight.get(message.id) : undefined;
+    if (sent) {
+      inFlight.delete(message.id);
+      if (sent.message.method === 'initialize' && message.result) {
+        protocolVersion = message.result.protocolVersion;
+        upstream.setProtocolVersion(protocolVersion);
+        log('✓ Initialized', message.result.serverInfo?.name ?? 'server', upstream.sessionId ? `(session ${upstream.sessionId})` : '');
+        log('  Capabilities:', Object.keys(message.result.capabilities ?? {}).join(', ') || 'none');
+      }
+    }
+
+    // mcp-lite opens the server-to-client SSE stream with a `ping` notification. Ping is
+    // a request in MCP, so clients would see a notification they do not know.
+    if (message.method === 'ping' && message.id === undefined) {
+      return;
+    }
+
+    try {
+      await downstream.send(message);
+    } catch (error) {
+      log('✗ Relaying', message.method ?? 'response', 'failed:', error.message);
+    }
+  }
+
+  downstream.onerror = (error) => log('Stdio error:', error.message);
+
+  log('Target:', url);
+  await upstream.start();
+  await downstream.start();
+
+  return async () => {
+    // End the server-side session so the Worker can drop its state
+    await upstream.terminateSession().catch((error) => log('Could not end session:', error.message));
+    await upstream.close();
+    await downstream.close();
+  };
+}
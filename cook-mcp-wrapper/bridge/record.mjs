@@ -0,0 +1,147 @@
+/**
+ * Traffic recording: every JSON-RPC message between the client and the bridge, as JSONL
+ *
+ * Each line is one message:
+ *
+ *   {"time":"2025-06-01T12:00:00.000Z","direction":"in","message":{"jsonrpc":"2.0","id":1,...}}
+ *
+ * `in` is from the client (Claude Desktop) to the bridge, `out` from the bridge to the
+ * client. In single-upstream mode the messages are also what went to and came from
+ * the Worker. Lines are appended as they happen, so a recording survives a crash and
+ * several runs can share a file. replay.mjs serves a recording back.
+ *
+ * Secrets are redacted before anything is written: values under keys such as
+ * `token`, `password` or `apiKey`, bearer credentials in any string, and the
+ * bridge's own configured tokens and header values wherever they appear.
+ */
+
+import { closeSync, openSync, readFileSync, writeSync } from 'node:fs';
+import { log } from './log.mjs';
+
+export const REDACTED = '[REDACTED]';
+
+// Keys whose values are credentials, compared lowercased without `-` and `_`
+const SECRET_KEYS = new Set([
+  'accesstoken',
+  'apikey',
+  'authorization',
+  'bearertoken',
+  'clientsecret',
+  'cookie',
+  'idtoken',
+  'passwd',
+  'password',
+  'privatekey',
+  'refreshtoken',
+  'secret',
+  'sessiontoken',
+  'setcookie',
+  'token',
+  'xapikey',
+]);
+
+const BEARER_PATTERN = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi;
+
+/**
+ * Copy of `value` with secrets replaced by `[REDACTED]`. `secrets` are literal strings
+ * to remove wherever they occur.
+ */
+export function redact(value, secrets = []) {
+  if (typeof value === 'string') {
+    let redacted = value.replace(BEARER_PATTERN, `$1 ${REDACTED}`);
+    for (const secret of secrets) {
+      redacted = redacted.replaceAll(secret, REDACTED);
+    }
+    return redacted;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, secrets));
+  }
+  if (typeof value === 'object' && value !== null) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_KEYS.has(key.toLowerCase().replace(/[-_]/g, '')) && item !== null ? REDACTED : redact(item, secrets),
+      ]),
+    );
+  }
+  return value;
+}
+
+/** The configured credentials of `upstreams`, to redact from recordings. */
+export function configuredSecrets(upstreams) {
+  const secrets = new Set();
+  for (const { headers = {}, bearerToken, bearerTokenFile } of upstreams) {
+    Object.values(headers).forEach((value) => secrets.add(value));
+    if (bearerToken) {
+      secrets.add(bearerToken);
+    }
+    if (bearerTokenFile) {
+      try {
+        secrets.add(readFileSync(bearerTokenFile, 'utf8').trim());
+      } catch {
+        // Reported when the bridge connects
+      }
+    }
+  }
+  // Very short values would redact ordinary text
+  return [...secrets].filter((secret) => secret.length >= 8);
+}
+
+/** Appends redacted messages to a JSONL file. */
+export class Recording {
+  constructor(path, secrets = []) {
+    this.path = path;
+    this.secrets = secrets;
+    // Recordings hold whatever the tools returned: readable by the user only
+    this.fd = openSync(path, 'a', 0o600);
+  }
+
+  write(direction, message) {
+    if (this.fd === undefined) {
+      return;
+    }
+    const line = { time: new Date().toISOString(), direction, message: redact(message, this.secrets) };
+    try {
+      writeSync(this.fd, `${JSON.stringify(line)}\n`);
+    } catch (error) {
+      log(`✗ Recording to ${this.path} failed, stopping it:`, error.message);
+      this.close();
+    }
+  }
+
+  close() {
+    if (this.fd !== undefined) {
+      closeSync(this.fd);
+      this.fd = undefined;
+    }
+  }
+}
+
+/** Transport that writes every message passing through `transport` to `recording`. */
+export class RecordingTransport {
+  constructor(transport, recording) {
+    this.transport = transport;
+    this.recording = recording;
+    transport.onmessage = (message, extra) => {
+      recording.write('in', message);
+      this.onmessage?.(message, extra);
+    };
+    transport.onerror = (error) => this.onerror?.(error);
+    transport.onclose = () => this.onclose?.();
+  }
+
+  start() {
+    return this.transport.start();
+  }
+
+  send(message, options) {
+    this.recording.write('out', message);
+    return this.transport.send(message, options);
+  }
+
+  async close() {
+    await this.transport.close();
+    this.recording.close();
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Replay mode: answer the client from a recording instead of a Worker
+ *
+ * Reproduces what the client saw in a recording made with `--record` (see
+ * record.mjs) without a network: each request gets the response that was recorded
+ * for the same method and params, with the progress notifications that came before
+ * it. Params are compared without `_meta`, and when nothing matches exactly the
+ * first unused response to the same method is used, so a session that takes a
+ * slightly different path still gets answers. Requests with no recorded response at
+ * all get a JSON-RPC error naming the method. Notifications from the client are
+ * ignored, and nothing is sent unprompted.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { log } from './log.mjs';
+
+// JSON-RPC internal error, used when the recording has no answer
+const INTERNAL_ERROR = -32603;
+
+/**
+ * The request/response pairs in a recording, in order. Each exchange has the
+ * recorded `request`, its `response` and the `progress` notifications for it.
+ */
+export async function loadRecording(path) {
+  const lines = (await readFile(path, 'utf8')).split('\n').filter((line) => line.trim() !== '');
+
+  const exchanges = [];
+  // Requests not answered yet, by id; a file may hold several runs that reuse ids
+  const pending = new Map();
+  const byProgressToken = new Map();
+
+  lines.forEach((line, i) => {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${path}:${i + 1} is not valid JSON: ${error.message}`);
+    }
+    const { direction, message } = entry;
+
+    if (direction === 'in' && message?.method !== undefined && message.id !== undefined) {
+      const exchange = { request: message, progress: [] };
+      pending.set(message.id, exchange);
+      const progressToken = message.params?._meta?.progressToken;
+      if (progressToken !== undefined) {
+        byProgressToken.set(progressToken, exchange);
+      }
+    } else if (direction === 'out' && message?.method === 'notifications/progress') {
+      byProgressToken.get(message.params?.progressToken)?.progress.push(message);
+    } else if (direction === 'out' && message?.method === undefined && pending.has(message?.id)) {
+      const exchange = pending.get(message.id);
+      pending.delete(message.id);
+      byProgressToken.delete(exchange.request.params?._meta?.progressToken);
+      exchange.response = message;
+      exchanges.push(exchange);
+    }
+  });
+
+  return exchanges;
+}
+
+/**
+ * Serve the recording at `path` over stdio; resolves to a function that closes the
+ * transport.
+ */
+export async function runReplay(path, downstream = new StdioServerTransport()) {
+  const exchanges = await loadRecording(path);
+  const used = new Set();
+  log(`Replaying ${exchanges.length} recorded responses from ${path}`);
+
+  function find(request) {
+    const sameMethod = exchanges.filter((exchange) => exchange.request.method === request.method);
+    const params = canonical(withoutMeta(request.params));
+    const same = sameMethod.filter((exchange) => canonical(withoutMeta(exchange.request.params)) === params);
+    // A request made again gets the same answer again
+    return (
+      same.find((exchange) => !used.has(exchange)) ??
+      same.at(-1) ??
+      sameMethod.find((exchange) => !used.has(exchange))
+    );
+  }
+
+  async function answer(request) {
+    const exchange = find(request);
+    if (!exchange) {
+      log('✗ No recorded response for', request.method);
+      await downstream.send({
+        jsonrpc: '2.0',
+        id: request.id,
+        error: { code: INTERNAL_ERROR, message: `No recorded response for ${request.method}` },
+      });
+      return;
+    }
+    used.add(exchange);
+
+    const progressToken = request.params?._meta?.progressToken;
+    if (progressToken !== undefined) {
+      for (const notification of exchange.progress) {
+        await downstream.send({ ...notification, params: { ...notification.params, progressToken } });
+      }
+    }
+    await downstream.send({ ...exchange.response, id: request.id });
+  }
+
+  downstream.onmessage = (message) => {
+    if (message.method === undefined || message.id === undefined) {
+      return;
+    }
+    answer(message).catch((error) => log('✗ Replaying', message.method, 'failed:', error.message));
+  };
+  downstream.onerror = (error) => log('Stdio error:', error.message);
+  await downstream.start();
+
+  return () => downstream.close();
+}
+
+function withoutMeta(params) {
+  if (typeof params !== 'object' || params === null) {
+    return params;
+  }
+  const { _meta, ...rest } = params;
+  return rest;
+}
+
+/** JSON with object keys sorted, so equal values compare equal as strings. */
+function canonical(value) {
+  return JSON.stringify(value, (_key, item) =>
+    typeof item === 'object' && item !== null && !Array.isArray(item)
+      ? Object.fromEntries(Object.entries(item).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)))
+      : item,
+  );
+}
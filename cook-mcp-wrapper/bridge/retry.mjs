@@ -0,0 +1,35 @@
+/**
+ * When the bridge may send a request to an upstream again
+ *
+ * Requests that only read state are retried with backoff while the upstream is
+ * unreachable, which covers a Worker restarting under `wrangler dev` or a deploy.
+ * Tool calls are not: the bridge cannot tell whether a call that failed midway ran.
+ * A 404 for the session is different, because the server rejected the request
+ * without running it, so any request can be sent again on a new session.
+ */
+
+import { StreamableHTTPError } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+
+// About 4 s in all, long enough for `wrangler dev` to reload the Worker
+export const RETRY_DELAYS_MS = [250, 500, 1000, 2000];
+
+export const IDEMPOTENT_METHODS = new Set([
+  'ping',
+  'tools/list',
+  'prompts/list',
+  'prompts/get',
+  'resources/list',
+  'resources/templates/list',
+  'resources/read',
+  'resources/subscribe',
+  'resources/unsubscribe',
+  'completion/complete',
+  'logging/setLevel',
+]);
+
+/** The server no longer knows the session the request was sent on. */
+export function isSessionExpired(error) {
+  return error instanceof StreamableHTTPError && error.code === 404;
+}
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
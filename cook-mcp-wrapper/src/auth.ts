@@ -0,0 +1,153 @@
+/**
+ * API key authentication
+ *
+ * Keys are Worker secrets named `API_KEY_<CLIENT>`, one per client:
+ *
+ *   npx wrangler secret put API_KEY_CLAUDE_DESKTOP
+ *
+ * The part after `API_KEY_` (lowercased) is the client identity that handlers and
+ * logs see. Deleting a secret revokes that client only. Clients send the key as
+ * `Authorization: Bearer <key>` or `X-API-Key: <key>`. Bearer tokens that are not
+ * API keys are handed to `verifyToken`, which is how OAuth access tokens (src/oauth.ts)
+ * are checked. When neither keys nor OAuth are configured (local `wrangler dev`)
+ * every request is let through as `anonymous`, with a warning logged once per isolate.
+ */
+
+import type { Ctx } from 'mcp-lite';
+
+const KEY_PREFIX = 'API_KEY_';
+
+/** JSON-RPC server error code used for missing or invalid credentials */
+export const UNAUTHORIZED_ERROR_CODE = -32001;
+
+export interface ClientIdentity {
+	/** Key name, e.g. `claude_desktop`, or `anonymous` when auth is off */
+	name: string;
+	method: 'api_key' | 'oauth' | 'anonymous';
+	/** OAuth client that holds the token, for `oauth` identities */
+	oauthClientId?: string;
+}
+
+export interface AuthenticateOptions {
+	/** Resolve a bearer token that is not an API key, e.g. an OAuth access token */
+	verifyToken?: (token: string) => Promise<ClientIdentity | undefined>;
+	/** Advertised in `WWW-Authenticate` so MCP clients can discover the authorization server */
+	resourceMetadataUrl?: string;
+}
+
+export const ANONYMOUS_CLIENT: ClientIdentity = { name: 'anonymous', method: 'anonymous' };
+
+let warnedOpen = false;
+
+/** The client that made the current request, as resolved before the transport ran. */
+export function clientOf(ctx: Ctx): ClientIdentity {
+	return (ctx.state.client as ClientIdentity | undefined) ?? ANONYMOUS_CLIENT;
+}
+
+/** All `API_KEY_*` entries in the environment, as key name → secret. */
+export function loadApiKeys(env: Record<string, unknown>): Map<string, string> {
+	const keys = new Map<string, string>();
+	for (const [binding, value] of Object.entries(env)) {
+		if (binding.startsWith(KEY_PREFIX) && typeof value === 'string' && value.length > 0) {
+			keys.set(binding.slice(KEY_PREFIX.length).toLowerCase(), value);
+		}
+	}
+	return keys;
+}
+
+/** Read the presented key from `Authorization: Bearer` or `X-API-Key`. */
+export function extractApiKey(request: Request): string | undefined {
+	const authorization = request.headers.get('Authorization');
+	if (authorization) {
+		const match = /^Bearer\s+(.+)$/i.exec(authorization.trim());
+		return match?.[1];
+	}
+	return request.headers.get('X-API-Key') ?? undefined;
+}
+
+/**
+ * Resolve the client behind a request, or return the 401 response to send back.
+ */
+export async function authenticate(
+	request: Request,
+	env: Record<string, unknown>,
+	options: AuthenticateOptions = {},
+): Promise<ClientIdentity | Response> {
+	const keys = loadApiKeys(env);
+	if (keys.size === 0 && !options.verifyToken) {
+		if (!warnedOpen) {
+			warnedOpen = true;
+			console.warn('[cook-mcp] No API_KEY_* secrets or OAuth configured: every request is accepted as anonymous');
+		}
+		return ANONYMOUS_CLIENT;
+	}
+
+	const challenge = options.resourceMetadataUrl ? { resourceMetadataUrl: options.resourceMetadataUrl } : {};
+	const presented = extractApiKey(request);
+	if (!presented) {
+		return unauthorizedResponse('Missing API key. Send it as "Authorization: Bearer <key>".', challenge);
+	}
+
+	const keyName = await findApiKeyClient(presented, keys);
+	if (keyName) {
+		return { name: keyName, method: 'api_key' };
+	}
+
+	const tokenClient = await options.verifyToken?.(presented);
+	if (tokenClient) {
+		return tokenClient;
+	}
+
+	return unauthorizedResponse('Invalid API key or access token', challenge);
+}
+
+/** Name of the client whose key matches `presented`, if any. */
+export async function findApiKeyClient(presented: string, keys: Map<string, string>): Promise<string | undefined> {
+	// Compare against every key so timing does not reveal which one was close
+	let matched: string | undefined;
+	for (const [name, secret] of keys) {
+		if ((await timingSafeEqual(presented, secret)) && matched === undefined) {
+			matched = name;
+		}
+	}
+	return matched;
+}
+
+/** A JSON-RPC error response with a 401 status, as MCP clients expect for auth failures. */
+export function unauthorizedResponse(message: string, options: { resourceMetadataUrl?: string } = {}): Response {
+	const challenge = options.resourceMetadataUrl
+		? `Bearer realm="cook-mcp", resource_metadata="${options.resourceMetadataUrl}"`
+		: 'Bearer realm="cook-mcp"';
+
+	return new Response(
+		JSON.stringify({
+			jsonrpc: '2.0',
+			id: null,
+			error: { code: UNAUTHORIZED_ERROR_CODE, message: `Unauthorized: ${message}` },
+		}),
+		{
+			status: 401,
+			headers: {
+				'Content-Type': 'application/json',
+				'WWW-Authenticate': challenge,
+			},
+		},
+	);
+}
+
+/** Hash both sides so the comparison takes the same time regardless of length or content. */
+async function timingSafeEqual(a: string, b: string): Promise<boolean> {
+	const encoder = new TextEncoder();
+	const [hashA, hashB] = await Promise.all([
+		crypto.subtle.digest('SHA-256', encoder.encode(a)),
+		crypto.subtle.digest('SHA-256', encoder.encode(b)),
+	]);
+	const bytesA = new Uint8Array(hashA);
+	const bytesB = new Uint8Array(hashB);
+
+	let diff = 0;
+	for (let i = 0; i < bytesA.length; i++) {
+		diff |= bytesA[i] ^ bytesB[i];
+	}
+	return diff === 0;
+}
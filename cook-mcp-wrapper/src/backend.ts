@@ -0,0 +1,461 @@
+/**
+ * Backend HTTP client
+ *
+ * Every tool in the Worker talks to its backend (the Python HTTP wrapper, or Weaviate
+ * for the native path) through this module instead of calling fetch directly. It owns
+ * the base URL, per-call timeouts, retries for idempotent calls and the mapping from
+ * failures to MCP error content, so a dead backend and a bad query look different to
+ * the caller.
+ */
+
+import type { ToolCallResult } from 'mcp-lite';
+
+export const DEFAULT_PYTHON_MCP_URL = 'http://localhost:5001';
+
+const DEFAULT_TIMEOUT_MS = 30_000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 250;
+const BACKOFF_MAX_MS = 4_000;
+
+/**
+ * Why a backend call failed.
+ *
+ * - `unreachable`: the request never got a response (DNS, refused connection, ngrok down)
+ * - `timeout`: no response within the per-call timeout
+ * - `client_error`: the backend rejected the request (4xx), retrying will not help
+ * - `server_error`: the backend failed while handling the request (5xx)
+ * - `invalid_response`: the backend answered 2xx but the body was not valid JSON
+ * - `unavailable`: not called, the circuit breaker is open after repeated failures (see circuit.ts)
+ * - `misconfigured`: not called, the Worker's settings for the backend are missing or invalid
+ */
+export type BackendErrorCategory =
+	| 'unreachable'
+	| 'timeout'
+	| 'client_error'
+	| 'server_error'
+	| 'invalid_response'
+	| 'unavailable'
+	| 'misconfigured';
+
+export class BackendError extends Error {
+	readonly category: BackendErrorCategory;
+	readonly status?: number;
+	/** For `unavailable`: seconds until the circuit breaker next probes the backend */
+	readonly retryAfterSeconds?: number;
+
+	constructor(
+		category: BackendErrorCategory,
+		message: string,
+		options: { status?: number; retryAfterSeconds?: number; cause?: unknown } = {},
+	) {
+		super(message, { cause: options.cause });
+		this.name = 'BackendError';
+		this.category = category;
+		this.status = options.status;
+		this.retryAfterSeconds = options.retryAfterSeconds;
+	}
+
+	/** Only transport failures and 5xx responses are worth another attempt. */
+	get retryable(): boolean {
+		return this.category === 'unreachable' || this.category === 'timeout' || this.category === 'server_error';
+	}
+
+	/** The backend is down, rather than unhappy with this request: stale cached answers may stand in. */
+	get outage(): boolean {
+		return this.retryable || this.category === 'unavailable';
+	}
+}
+
+/** Image returned by the Python wrapper alongside a text answer. */
+export interface BackendImage {
+	data: string;
+	mimeType: string;
+}
+
+/** A handbook passage that backed a search answer. */
+export interface BackendSource {
+	page_number: number;
+	excerpt?: string;
+	/** Relevance from 0 to 1, higher is more relevant */
+	score?: number;
+	/** Position in `images` of this page's image, if one was returned */
+	image_index?: number;
+}
+
+/** Body returned by `POST /call-tool`. */
+export interface BackendToolResult {
+	text?: string;
+	images?: BackendImage[];
+	/** Pages a search answer was drawn from; wrappers that predate citations omit it */
+	sources?: BackendSource[];
+	[key: string]: unknown;
+}
+
+export interface CallOptions {
+	/** Abort the call after this many milliseconds. */
+	timeoutMs?: number;
+	/** Safe to repeat: enables retries with jittered backoff. */
+	idempotent?: boolean;
+	/** Number of extra attempts for idempotent calls. */
+	retries?: number;
+}
+
+/** A progress event relayed from the backend while a long call runs. */
+export interface BackendProgress {
+	/** Stage reached so far, e.g. "retrieving pages" or "analyzing 3 images" */
+	message: string;
+	progress?: number;
+	total?: number;
+}
+
+/**
+ * One line of the NDJSON body returned by `POST /call-tool/stream`:
+ * any number of `progress` events, then exactly one `result` or `error`.
+ */
+type StreamEvent =
+	| ({ type: 'progress' } & BackendProgress)
+	| ({ type: 'result' } & BackendToolResult)
+	| { type: 'error'; message: string; status?: number };
+
+/** What a failing backend is called in error messages, and how to fix it when unreachable. */
+export interface BackendTarget {
+	name: string;
+	baseUrl: string;
+	unreachableHint?: string;
+}
+
+const PYTHON_UNREACHABLE_HINT =
+	'Make sure:\n1. The Python HTTP wrapper is running (python http_wrapper.py)\n2. The URL is correct\n3. For deployed version, use ngrok to expose your local server';
+
+/** One HTTP attempt against the backend, reported for latency metrics. */
+export interface BackendAttempt {
+	path: string;
+	/** Until the body was read: the whole stream for `callToolStream` */
+	durationMs: number;
+	error?: BackendErrorCategory;
+}
+
+/** Ties backend calls to the MCP request that made them. */
+export interface BackendTelemetry {
+	/** Sent as `X-Request-Id`, so backend logs can be matched with the Worker's */
+	requestId?: string;
+	/** Called after every attempt, including retries */
+	onAttempt?: (attempt: BackendAttempt) => void;
+}
+
+export interface BackendClientOptions extends BackendTelemetry {
+	name?: string;
+	baseUrl?: string;
+	headers?: Record<string, string>;
+	unreachableHint?: string;
+	timeoutMs?: number;
+	retries?: number;
+	fetch?: typeof fetch;
+}
+
+export class BackendClient implements BackendTarget {
+	readonly name: string;
+	readonly baseUrl: string;
+	readonly unreachableHint?: string;
+	private readonly headers: Record<string, string>;
+	private readonly timeoutMs: number;
+	private readonly retries: number;
+	private readonly fetchImpl: typeof fetch;
+	private readonly onAttempt?: (attempt: BackendAttempt) => void;
+
+	constructor(options: BackendClientOptions = {}) {
+		this.name = options.name ?? 'Backend';
+		this.unreachableHint = options.unreachableHint;
+		this.headers = { ...options.headers, ...(options.requestId && { 'X-Request-Id': options.requestId }) };
+		this.baseUrl = (options.baseUrl || DEFAULT_PYTHON_MCP_URL).replace(/\/+$/, '');
+		this.timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+		this.retries = options.retries ?? DEFAULT_RETRIES;
+		this.fetchImpl = options.fetch ?? ((input, init) => fetch(input, init));
+		this.onAttempt = options.onAttempt;
+	}
+
+	/** Call a tool on the Python server through `POST /call-tool`. */
+	async callTool(name: string, args: Record<string, unknown>, options: CallOptions = {}): Promise<BackendToolResult> {
+		return this.request<BackendToolResult>(
+			'/call-tool',
+			{
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ name, arguments: args }),
+			},
+			options,
+		);
+	}
+
+	/**
+	 * Call a tool through `POST /call-tool/stream`, passing each progress event to
+	 * `onProgress` as it arrives. Not retried: the backend may already have done the
+	 * expensive part. Older wrappers without the endpoint answer 404.
+	 */
+	async callToolStream(
+		name: string,
+		args: Record<string, unknown>,
+		onProgress: (update: BackendProgress) => void | Promise<void>,
+		options: CallOptions = {},
+	): Promise<BackendToolResult> {
+		return this.timed('/call-tool/stream', () =>
+			this.readToolStream(name, args, onProgress, options.timeoutMs ?? this.timeoutMs),
+		);
+	}
+
+	private async readToolStream(
+		name: string,
+		args: Record<string, unknown>,
+		onProgress: (update: BackendProgress) => void | Promise<void>,
+		timeoutMs: number,
+	): Promise<BackendToolResult> {
+		const response = await this.send(
+			'/call-tool/stream',
+			{
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', Accept: 'application/x-ndjson' },
+				body: JSON.stringify({ name, arguments: args }),
+			},
+			timeoutMs,
+		);
+		if (!response.body) {
+			throw new BackendError('invalid_response', `${this.name} returned an empty stream`, { status: response.status });
+		}
+
+		try {
+			for await (const line of readLines(response.body)) {
+				let event: StreamEvent;
+				try {
+					event = JSON.parse(line) as StreamEvent;
+				} catch (error) {
+					throw new BackendError('invalid_response', `${this.name} sent a stream line that is not valid JSON`, {
+						cause: error,
+					});
+				}
+
+				switch (event.type) {
+					case 'progress':
+						await onProgress({ message: event.message, progress: event.progress, total: event.total });
+						break;
+					case 'result': {
+						const { type: _type, ...result } = event;
+						return result;
+					}
+					case 'error': {
+						const category = event.status !== undefined && event.status < 500 ? 'client_error' : 'server_error';
+						throw new BackendError(category, `${this.name} failed: ${event.message}`, { status: event.status });
+					}
+				}
+			}
+		} catch (error) {
+			if (isTimeout(error)) {
+				throw new BackendError('timeout', `No result within ${timeoutMs}ms`, { cause: error });
+			}
+			throw error;
+		}
+
+		throw new BackendError('invalid_response', `${this.name} ended the stream without a result`);
+	}
+
+	/** Read `GET /health` from the Python server. */
+	async health(options: CallOptions = {}): Promise<unknown> {
+		return this.request('/health', { method: 'GET' }, { idempotent: true, ...options });
+	}
+
+	/** Send a request relative to the base URL and parse the JSON response. */
+	async request<T>(path: string, init: RequestInit, options: CallOptions = {}): Promise<T> {
+		const attempts = options.idempotent ? 1 + (options.retries ?? this.retries) : 1;
+
+		for (let attempt = 0; ; attempt++) {
+			try {
+				return await this.attempt<T>(path, init, options.timeoutMs ?? this.timeoutMs);
+			} catch (error) {
+				if (!(error instanceof BackendError) || !error.retryable || attempt + 1 >= attempts) {
+					throw error;
+				}
+				await sleep(backoffDelay(attempt));
+			}
+		}
+	}
+
+	private attempt<T>(path: string, init: RequestInit, timeoutMs: number): Promise<T> {
+		return this.timed(path, async () => {
+			const response = await this.send(path, init, timeoutMs);
+
+			try {
+				return (await response.json()) as T;
+			} catch (error) {
+				throw new BackendError('invalid_response', `${this.name} returned a body that is not valid JSON`, {
+					status: response.status,
+					cause: error,
+				});
+			}
+		});
+	}
+
+	/** Run one attempt, reporting how long it took and how it failed to `onAttempt`. */
+	private async timed<T>(path: string, run: () => Promise<T>): Promise<T> {
+		const started = Date.now();
+		try {
+			const value = await run();
+			this.onAttempt?.({ path, durationMs: Date.now() - started });
+			return value;
+		} catch (error) {
+			const category = error instanceof BackendError ? error.category : 'unreachable';
+			this.onAttempt?.({ path, durationMs: Date.now() - started, error: category });
+			throw error;
+		}
+	}
+
+	/** Fetch with the timeout applied and non-2xx statuses turned into BackendErrors. */
+	private async send(path: string, init: RequestInit, timeoutMs: number): Promise<Response> {
+		let response: Response;
+		try {
+			response = await this.fetchImpl(`${this.baseUrl}${path}`, {
+				...init,
+				headers: { ...this.headers, ...(init.headers as Record<string, string> | undefined) },
+				signal: AbortSignal.timeout(timeoutMs),
+			});
+		} catch (error) {
+			if (isTimeout(error)) {
+				throw new BackendError('timeout', `No response within ${timeoutMs}ms`, { cause: error });
+			}
+			const reason = error instanceof Error ? error.message : String(error);
+			throw new BackendError('unreachable', `Could not connect: ${reason}`, { cause: error });
+		}
+
+		if (!response.ok) {
+			const body = await response.text().catch(() => '');
+			const category = response.status >= 500 ? 'server_error' : 'client_error';
+			throw new BackendError(category, `${this.name} returned ${response.status}: ${body}`, {
+				status: response.status,
+			});
+		}
+
+		return response;
+	}
+}
+
+/**
+ * Build a client from the Worker environment. Defaults to the Python wrapper at
+ * `PYTHON_MCP_URL`; `overrides` point it at another backend with the same timeout
+ * and retry settings.
+ */
+export function createBackendClient(env: Record<string, unknown>, overrides: BackendClientOptions = {}): BackendClient {
+	return new BackendClient({
+		name: 'Python MCP server',
+		baseUrl: env.PYTHON_MCP_URL as string | undefined,
+		unreachableHint: PYTHON_UNREACHABLE_HINT,
+		timeoutMs: parseNonNegativeInt(env.BACKEND_TIMEOUT_MS),
+		retries: parseNonNegativeInt(env.BACKEND_RETRIES),
+		...overrides,
+	});
+}
+
+/**
+ * Convert any error thrown by the client into MCP tool error content.
+ * Each category gets its own wording so the model can tell a dead backend from a bad query.
+ */
+export function backendErrorResult(error: unknown, target: BackendTarget): ToolCallResult {
+	const backendError =
+		error instanceof BackendError
+			? error
+			: new BackendError('unreachable', error instanceof Error ? error.message : 'Unknown error', { cause: error });
+
+	const { name, baseUrl } = target;
+	let text: string;
+	switch (backendError.category) {
+		case 'unreachable':
+			text = `${name} is unreachable at ${baseUrl}: ${backendError.message}`;
+			if (target.unreachableHint) {
+				text += `\n\n${target.unreachableHint}`;
+			}
+			break;
+		case 'timeout':
+			text = `${name} at ${baseUrl} timed out: ${backendError.message}\n\nThe backend is running but slow. Try again, or narrow the query.`;
+			break;
+		case 'client_error':
+			text = `${name} rejected the request: ${backendError.message}\n\nCheck the tool arguments and try again with a different query.`;
+			break;
+		case 'server_error':
+			text = `${name} failed while handling the request: ${backendError.message}\n\nThis is a backend problem, not a problem with the query.`;
+			break;
+		case 'invalid_response':
+			text = `${name} returned an unexpected response: ${backendError.message}`;
+			break;
+		case 'unavailable':
+			text = `${name} at ${baseUrl} is down. ${backendError.message}`;
+			break;
+		case 'misconfigured':
+			text = `${name} is not configured: ${backendError.message}`;
+			break;
+	}
+
+	return {
+		content: [{ type: 'text', text }],
+		isError: true,
+		_meta: {
+			errorCategory: backendError.category,
+			...(backendError.status !== undefined && { status: backendError.status }),
+			...(backendError.retryAfterSeconds !== undefined && { retryAfterSeconds: backendError.retryAfterSeconds }),
+		},
+	};
+}
+
+/**
+ * Split a byte stream into non-empty lines. A caller that stops early, on a result
+ * or an error, cancels the stream, so the connection is not left open.
+ */
+async function* readLines(body: ReadableStream<Uint8Array>): AsyncGenerator<string> {
+	// Read the body itself: cancelling a piped TextDecoderStream does not reach the body in workerd
+	const reader = body.getReader();
+	const decoder = new TextDecoder();
+	let buffered = '';
+
+	try {
+		for (;;) {
+			const { value, done } = await reader.read();
+			if (done) {
+				buffered += decoder.decode();
+				break;
+			}
+			buffered += decoder.decode(value, { stream: true });
+			const lines = buffered.split('\n');
+			buffered = lines.pop() ?? '';
+			for (const line of lines) {
+				if (line.trim()) {
+					yield line;
+				}
+			}
+		}
+
+		if (buffered.trim()) {
+			yield buffered;
+		}
+	} finally {
+		// Does nothing once the stream has ended; a stream that already failed rejects
+		await reader.cancel().catch(() => {});
+	}
+}
+
+function isTimeout(error: unknown): boolean {
+	return error instanceof Error && (error.name === 'TimeoutError' || error.name === 'AbortError');
+}
+
+/** Full jitter: a random delay between 0 and the capped exponential step. */
+function backoffDelay(attempt: number): number {
+	const cap = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+	return Math.random() * cap;
+}
+
+function sleep(ms: number): Promise<void> {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function parseNonNegativeInt(value: unknown): number | undefined {
+	if (value === undefined || value === '') {
+		return undefined;
+	}
+	const parsed = Number(value);
+	return Number.isInteger(parsed) && parsed >= 0 ? parsed : undefined;
+}
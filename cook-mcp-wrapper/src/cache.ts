@@ -0,0 +1,147 @@
+/**
+ * Response cache for backend tool results
+ *
+ * Handbook answers only change when the PDF pipeline is re-run, so repeated
+ * questions are served from Workers KV instead of going through Weaviate and
+ * GPT-4o Vision again. Without a `CACHE` binding every lookup reports `disabled`
+ * and the fetcher runs as before.
+ *
+ * Entries outlive their TTL by `STALE_RETENTION_SECONDS`. An expired entry is never
+ * served while the backend answers, but when it is down (see `BackendError.outage`)
+ * the last known answer is returned as `stale` instead of an error. KV failures are
+ * logged and never fail the call: a failed read counts as a miss.
+ */
+
+import { BackendError } from './backend';
+
+/** Reported to clients in the tool result `_meta.cache` field. */
+export type CacheStatus = 'hit' | 'miss' | 'bypass' | 'disabled' | 'stale';
+
+export interface CachedValue<T> {
+	value: T;
+	status: CacheStatus;
+	/** For `stale`: epoch milliseconds when the value was fetched */
+	storedAt?: number;
+	/** For `stale`: why the backend could not be asked */
+	error?: BackendError;
+}
+
+// What is stored under each key
+interface Entry<T> {
+	value: T;
+	storedAt: number;
+}
+
+const DEFAULT_SEARCH_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_PAGE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// KV rejects expirationTtl values below 60 seconds
+const KV_MIN_TTL_SECONDS = 60;
+
+// How long entries are kept after their TTL, to answer from while the backend is down
+const STALE_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const KEY_VERSION = 'v2';
+
+export class ResponseCache {
+	constructor(
+		private readonly kv: KVNamespace | undefined,
+		readonly ttls: { search: number; page: number },
+	) {}
+
+	/**
+	 * Return the cached value for `key`, or run `fetcher` and store its result.
+	 * With `bypass` the cached entry is ignored but the fresh result still replaces it.
+	 * A TTL of 0 turns caching off for that key.
+	 * If `fetcher` fails because the backend is down, any entry, even an expired one
+	 * or with `bypass`, is returned as `stale`.
+	 */
+	async getOrFetch<T>(key: string, ttlSeconds: number, bypass: boolean, fetcher: () => Promise<T>): Promise<CachedValue<T>> {
+		if (!this.kv || ttlSeconds <= 0) {
+			return { value: await fetcher(), status: 'disabled' };
+		}
+
+		const cached = await this.read<T>(key);
+		if (cached !== null && !bypass && Date.now() - cached.storedAt <= ttlSeconds * 1000) {
+			return { value: cached.value, status: 'hit' };
+		}
+
+		let value: T;
+		try {
+			value = await fetcher();
+		} catch (error) {
+			if (cached !== null && error instanceof BackendError && error.outage) {
+				return { value: cached.value, status: 'stale', storedAt: cached.storedAt, error };
+			}
+			throw error;
+		}
+
+		// A failed write only costs the next caller a backend call; the answer is still good
+		const entry: Entry<T> = { value, storedAt: Date.now() };
+		try {
+			await this.kv.put(key, JSON.stringify(entry), {
+				expirationTtl: Math.max(KV_MIN_TTL_SECONDS, ttlSeconds + STALE_RETENTION_SECONDS),
+			});
+		} catch (error) {
+			console.error(`[cook-mcp] Could not cache ${key}:`, error);
+		}
+		return { value, status: bypass ? 'bypass' : 'miss' };
+	}
+
+	// A failed read is a miss: the backend can still answer, so KV trouble is not an outage
+	private async read<T>(key: string): Promise<Entry<T> | null> {
+		try {
+			return await this.kv!.get<Entry<T>>(key, 'json');
+		} catch (error) {
+			console.error(`[cook-mcp] Could not read cached ${key}:`, error);
+			return null;
+		}
+	}
+}
+
+/**
+ * Normalize a search query so trivially different phrasings share an entry:
+ * case, surrounding whitespace, repeated spaces and trailing punctuation are ignored.
+ */
+export function normalizeQuery(query: string): string {
+	return query
+		.toLowerCase()
+		.replace(/\s+/g, ' ')
+		.trim()
+		.replace(/[\s?.!]+$/, '');
+}
+
+/**
+ * Keys are scoped by backend kind, since the Python and Weaviate backends answer the
+ * same query differently, and by collection. Queries are hashed because KV keys are
+ * limited to 512 bytes.
+ */
+export async function searchCacheKey(backend: string, collection: string, query: string): Promise<string> {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalizeQuery(query)));
+	const hex = [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+	return `search:${KEY_VERSION}:${backend}:${collection}:${hex}`;
+}
+
+export function pageCacheKey(backend: string, collection: string, pageNumber: number): string {
+	return `page:${KEY_VERSION}:${backend}:${collection}:${pageNumber}`;
+}
+
+export function pageIndexCacheKey(backend: string, collection: string): string {
+	return `pages:${KEY_VERSION}:${backend}:${collection}`;
+}
+
+/** Build a cache from the Worker environment. */
+export function createResponseCache(env: Record<string, unknown>): ResponseCache {
+	return new ResponseCache(env.CACHE as KVNamespace | undefined, {
+		search: parseTtl(env.SEARCH_CACHE_TTL_SECONDS, DEFAULT_SEARCH_TTL_SECONDS),
+		page: parseTtl(env.PAGE_CACHE_TTL_SECONDS, DEFAULT_PAGE_TTL_SECONDS),
+	});
+}
+
+function parseTtl(value: unknown, fallback: number): number {
+	if (value === undefined || value === '') {
+		return fallback;
+	}
+	const parsed = Number(value);
+	return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
@@ -0,0 +1,351 @@
+/**
+ * Engineering calculators
+ *
+ * Duct friction, fan laws, motor power and unit conversions are arithmetic, not
+ * search: sending them through `search_engineering_manual` costs a vision call and
+ * can come back with different numbers each time. These tools compute them in the
+ * Worker instead, with no backend call, and cite the handbook page each formula
+ * comes from once that page has been verified, so the answer can be checked
+ * against the source.
+ *
+ * All calculations use US customary units and standard air (0.075 lb/ft³) unless
+ * a tool says otherwise; `convert_units` converts to and from metric.
+ */
+
+import { JSON_RPC_ERROR_CODES, type McpServer, RpcError } from 'mcp-lite';
+import type { z } from 'zod';
+import { HANDBOOK_COLLECTION } from './collections';
+import { pageUri } from './pages';
+import {
+	type UnitName,
+	ductFrictionInput,
+	ductFrictionOutput,
+	fanLawsInput,
+	fanLawsOutput,
+	type handbookReference,
+	motorPowerInput,
+	motorPowerOutput,
+	unitConversionInput,
+	unitConversionOutput,
+} from './schemas';
+
+export type HandbookReference = z.infer<typeof handbookReference>;
+export type DuctFrictionResult = z.infer<typeof ductFrictionOutput>;
+export type FanLawsResult = z.infer<typeof fanLawsOutput>;
+export type MotorPowerResult = z.infer<typeof motorPowerOutput>;
+export type UnitConversionResult = z.infer<typeof unitConversionOutput>;
+
+/** Handbook topic of each formula, named in citations and in the search that finds its page */
+export const FORMULA_TOPICS = {
+	fanLaws: 'Fan laws',
+	ductFriction: 'Duct friction loss',
+	motorPower: 'Motor horsepower and efficiency',
+	conversions: 'Conversion factors',
+} as const;
+
+export type Formula = keyof typeof FORMULA_TOPICS;
+
+/**
+ * Pages of the Cook Engineering Handbook the formulas are printed on, numbered the
+ * way `get_page_direct` numbers pages. A formula gets an entry only once its page
+ * has been opened with `get_page_direct` and shows the formula; until then its
+ * results carry no `reference` and point at a search instead of citing a page.
+ */
+export const FORMULA_PAGES: Partial<Record<Formula, number>> = {};
+
+/** The verified page of a formula, if it has one. */
+export function reference(formula: Formula): HandbookReference | undefined {
+	const page = FORMULA_PAGES[formula];
+	return page === undefined ? undefined : { page_number: page, uri: pageUri(HANDBOOK_COLLECTION, page), topic: FORMULA_TOPICS[formula] };
+}
+
+function cited(formula: Formula): { reference?: HandbookReference } {
+	const found = reference(formula);
+	return found ? { reference: found } : {};
+}
+
+// Velocity pressure of standard air: VP = (V / 4005)², V in fpm, VP in in. wg
+const STANDARD_AIR_VP_CONSTANT = 4005;
+const KW_PER_HP = 0.745_699_9;
+
+/** NEMA standard motor ratings, in horsepower */
+export const NEMA_MOTOR_SIZES = [
+	0.25, 0.33, 0.5, 0.75, 1, 1.5, 2, 3, 5, 7.5, 10, 15, 20, 25, 30, 40, 50, 60, 75, 100, 125, 150, 200, 250, 300, 350, 400,
+	450, 500,
+];
+
+/**
+ * Friction loss in straight galvanized duct carrying standard air:
+ * Δp per 100 ft = 0.109136 · Q^1.9 / D^5.02 (Q in cfm, D in inches). A rectangular
+ * duct uses its circular equivalent, De = 1.30 · (a·b)^0.625 / (a+b)^0.25, for
+ * friction and its own area for velocity.
+ */
+export function ductFriction(input: {
+	cfm: number;
+	diameterIn?: number;
+	widthIn?: number;
+	heightIn?: number;
+	lengthFt?: number;
+}): DuctFrictionResult {
+	const { cfm, lengthFt = 100 } = input;
+	let diameter: number;
+	let areaSqFt: number;
+	if (input.diameterIn !== undefined) {
+		diameter = input.diameterIn;
+		areaSqFt = (Math.PI * (diameter / 12) ** 2) / 4;
+	} else if (input.widthIn !== undefined && input.heightIn !== undefined) {
+		const { widthIn: a, heightIn: b } = input;
+		diameter = (1.3 * (a * b) ** 0.625) / (a + b) ** 0.25;
+		areaSqFt = (a * b) / 144;
+	} else {
+		throw invalidArgument('Pass diameter_in for a round duct, or width_in and height_in for a rectangular one');
+	}
+
+	const velocity = cfm / areaSqFt;
+	const perHundredFeet = (0.109_136 * cfm ** 1.9) / diameter ** 5.02;
+	return {
+		cfm,
+		diameter_in: diameter,
+		length_ft: lengthFt,
+		velocity_fpm: velocity,
+		velocity_pressure_in_wg: (velocity / STANDARD_AIR_VP_CONSTANT) ** 2,
+		friction_per_100ft_in_wg: perHundredFeet,
+		friction_loss_in_wg: (perHundredFeet * lengthFt) / 100,
+		...cited('ductFriction'),
+	};
+}
+
+/**
+ * The fan laws for the same fan at a new speed: airflow scales with speed,
+ * pressure with its square and power with its cube. Pressure and power also
+ * scale with air density.
+ */
+export function fanLaws(input: {
+	cfm: number;
+	rpm: number;
+	staticPressure: number;
+	bhp?: number;
+	newRpm?: number;
+	newCfm?: number;
+	densityRatio?: number;
+}): FanLawsResult {
+	const { cfm, rpm, staticPressure, bhp, densityRatio = 1 } = input;
+	let ratio: number;
+	if (input.newRpm !== undefined) {
+		ratio = input.newRpm / rpm;
+	} else if (input.newCfm !== undefined) {
+		ratio = input.newCfm / cfm;
+	} else {
+		throw invalidArgument('Pass new_rpm or new_cfm');
+	}
+
+	return {
+		speed_ratio: ratio,
+		density_ratio: densityRatio,
+		cfm: cfm * ratio,
+		rpm: rpm * ratio,
+		static_pressure_in_wg: staticPressure * ratio ** 2 * densityRatio,
+		...(bhp !== undefined && { bhp: bhp * ratio ** 3 * densityRatio }),
+		...cited('fanLaws'),
+	};
+}
+
+/** Motor output and electrical input for a fan's brake horsepower. Efficiencies are percentages. */
+export function motorPower(input: { bhp: number; motorEfficiency: number; driveEfficiency?: number }): MotorPowerResult {
+	const { bhp, motorEfficiency, driveEfficiency = 100 } = input;
+	const output = bhp / (driveEfficiency / 100);
+	const inputHp = output / (motorEfficiency / 100);
+	const nominal = NEMA_MOTOR_SIZES.find((size) => size >= output - 1e-9);
+
+	return {
+		bhp,
+		motor_output_hp: output,
+		input_kw: inputHp * KW_PER_HP,
+		input_hp: inputHp,
+		...(nominal !== undefined && { nominal_motor_hp: nominal, motor_load_percent: (output / nominal) * 100 }),
+		...cited('motorPower'),
+	};
+}
+
+type Quantity = UnitConversionResult['quantity'];
+
+// Linear units as their size in the quantity's SI unit (m³/s, Pa, W, m/s, m)
+const UNITS: Record<Exclude<UnitName, 'f' | 'c' | 'k'>, { quantity: Quantity; si: number; label: string }> = {
+	cfm: { quantity: 'airflow', si: 0.000_471_947_443, label: 'cfm' },
+	m3_h: { quantity: 'airflow', si: 1 / 3600, label: 'm³/h' },
+	m3_s: { quantity: 'airflow', si: 1, label: 'm³/s' },
+	l_s: { quantity: 'airflow', si: 0.001, label: 'L/s' },
+	in_wg: { quantity: 'pressure', si: 249.088_9, label: 'in. wg' },
+	mm_wg: { quantity: 'pressure', si: 9.806_65, label: 'mm wg' },
+	pa: { quantity: 'pressure', si: 1, label: 'Pa' },
+	kpa: { quantity: 'pressure', si: 1000, label: 'kPa' },
+	psi: { quantity: 'pressure', si: 6894.757, label: 'psi' },
+	hp: { quantity: 'power', si: 745.699_9, label: 'hp' },
+	kw: { quantity: 'power', si: 1000, label: 'kW' },
+	w: { quantity: 'power', si: 1, label: 'W' },
+	btu_h: { quantity: 'power', si: 0.293_071_07, label: 'Btu/h' },
+	fpm: { quantity: 'velocity', si: 0.005_08, label: 'fpm' },
+	m_s: { quantity: 'velocity', si: 1, label: 'm/s' },
+	in: { quantity: 'length', si: 0.0254, label: 'in' },
+	ft: { quantity: 'length', si: 0.3048, label: 'ft' },
+	mm: { quantity: 'length', si: 0.001, label: 'mm' },
+	m: { quantity: 'length', si: 1, label: 'm' },
+};
+
+// Temperatures are offset scales, so they convert through kelvin
+const TEMPERATURES = {
+	f: { toKelvin: (f: number) => ((f - 32) * 5) / 9 + 273.15, fromKelvin: (k: number) => ((k - 273.15) * 9) / 5 + 32, label: '°F' },
+	c: { toKelvin: (c: number) => c + 273.15, fromKelvin: (k: number) => k - 273.15, label: '°C' },
+	k: { toKelvin: (k: number) => k, fromKelvin: (k: number) => k, label: 'K' },
+};
+
+export function convertUnits(value: number, from: UnitName, to: UnitName): UnitConversionResult {
+	let quantity: Quantity;
+	let result: number;
+	if (isTemperature(from) && isTemperature(to)) {
+		const kelvin = TEMPERATURES[from].toKelvin(value);
+		if (kelvin < 0) {
+			throw invalidArgument(`${value} ${TEMPERATURES[from].label} is below absolute zero`);
+		}
+		quantity = 'temperature';
+		result = TEMPERATURES[to].fromKelvin(kelvin);
+	} else if (!isTemperature(from) && !isTemperature(to) && UNITS[from].quantity === UNITS[to].quantity) {
+		quantity = UNITS[from].quantity;
+		result = (value * UNITS[from].si) / UNITS[to].si;
+	} else {
+		throw invalidArgument(`Cannot convert ${from} (${quantityOf(from)}) to ${to} (${quantityOf(to)})`);
+	}
+
+	return {
+		value,
+		from,
+		to,
+		quantity,
+		result,
+		text: `${formatNumber(value)} ${labelOf(from)} = ${formatNumber(result)} ${labelOf(to)}`,
+		...cited('conversions'),
+	};
+}
+
+/** Four significant figures, without exponent notation for everyday magnitudes. */
+export function formatNumber(value: number): string {
+	if (value === 0 || !Number.isFinite(value)) {
+		return String(value);
+	}
+	return Number(value.toPrecision(4)).toLocaleString('en-US', { maximumFractionDigits: 10 });
+}
+
+export function registerCalculatorTools(server: McpServer): void {
+	server.tool('calculate_duct_friction', {
+		description: `Friction loss, velocity and velocity pressure for airflow through straight galvanized duct (standard air).
+Pass diameter_in for round duct, or width_in and height_in for rectangular duct. Deterministic; no handbook search needed.`,
+		inputSchema: ductFrictionInput,
+		outputSchema: ductFrictionOutput,
+		handler: (args) => {
+			const result = ductFriction({
+				cfm: args.cfm,
+				diameterIn: args.diameter_in,
+				widthIn: args.width_in,
+				heightIn: args.height_in,
+				lengthFt: args.length_ft,
+			});
+			const duct =
+				args.diameter_in !== undefined
+					? `${formatNumber(args.diameter_in)} in. round duct`
+					: `${formatNumber(args.width_in!)} × ${formatNumber(args.height_in!)} in. duct (${formatNumber(result.diameter_in)} in. round equivalent)`;
+			return calculation(result, 'ductFriction', [
+				`${formatNumber(result.cfm)} cfm through ${formatNumber(result.length_ft)} ft of ${duct}:`,
+				`Friction loss: ${formatNumber(result.friction_loss_in_wg)} in. wg (${formatNumber(result.friction_per_100ft_in_wg)} in. wg per 100 ft)`,
+				`Velocity: ${formatNumber(result.velocity_fpm)} fpm, velocity pressure ${formatNumber(result.velocity_pressure_in_wg)} in. wg`,
+				'Formula: Δp per 100 ft = 0.109136 · Q^1.9 / D^5.02; VP = (V / 4005)²',
+			]);
+		},
+	});
+
+	server.tool('calculate_fan_laws', {
+		description: `Apply the fan laws to a fan running at a new speed: airflow, rpm, static pressure and brake horsepower.
+Give the current operating point and either new_rpm or new_cfm; density_ratio (new over old) covers temperature or altitude changes.`,
+		inputSchema: fanLawsInput,
+		outputSchema: fanLawsOutput,
+		handler: (args) => {
+			const result = fanLaws({
+				cfm: args.cfm,
+				rpm: args.rpm,
+				staticPressure: args.static_pressure,
+				bhp: args.bhp,
+				newRpm: args.new_rpm,
+				newCfm: args.new_cfm,
+				densityRatio: args.density_ratio,
+			});
+			const power =
+				result.bhp === undefined ? '' : `, ${formatNumber(args.bhp!)} → ${formatNumber(result.bhp)} bhp (× ratio³ × density ratio)`;
+			return calculation(result, 'fanLaws', [
+				`Speed ratio ${formatNumber(result.speed_ratio)}${result.density_ratio === 1 ? '' : `, density ratio ${formatNumber(result.density_ratio)}`}:`,
+				`${formatNumber(args.cfm)} → ${formatNumber(result.cfm)} cfm and ${formatNumber(args.rpm)} → ${formatNumber(result.rpm)} rpm (× ratio)`,
+				`${formatNumber(args.static_pressure)} → ${formatNumber(result.static_pressure_in_wg)} in. wg (× ratio² × density ratio)${power}`,
+			]);
+		},
+	});
+
+	server.tool('calculate_motor_power', {
+		description: `Motor output, electrical input (kW and hp) and the NEMA motor size for a fan's brake horsepower.
+Efficiencies are percentages; drive_efficiency covers belt losses (default 100, a direct drive).`,
+		inputSchema: motorPowerInput,
+		outputSchema: motorPowerOutput,
+		handler: (args) => {
+			const result = motorPower({
+				bhp: args.bhp,
+				motorEfficiency: args.motor_efficiency,
+				driveEfficiency: args.drive_efficiency,
+			});
+			const output = formatNumber(result.motor_output_hp);
+			return calculation(result, 'motorPower', [
+				`Motor output: ${formatNumber(result.bhp)} bhp / ${formatNumber(args.drive_efficiency ?? 100)}% drive = ${output} hp`,
+				`Electrical input: ${output} hp / ${formatNumber(args.motor_efficiency)}% = ` +
+					`${formatNumber(result.input_hp)} hp = ${formatNumber(result.input_kw)} kW`,
+				result.nominal_motor_hp === undefined
+					? 'No NEMA rating up to 500 hp covers this load'
+					: `Motor size: ${formatNumber(result.nominal_motor_hp)} hp, at ${formatNumber(result.motor_load_percent!)}% load`,
+			]);
+		},
+	});
+
+	server.tool('convert_units', {
+		description: `Convert airflow, pressure, power, velocity, length and temperature between US and metric units,
+e.g. cfm to m3_h or in_wg to pa.`,
+		inputSchema: unitConversionInput,
+		outputSchema: unitConversionOutput,
+		handler: (args) => {
+			const result = convertUnits(args.value, args.from, args.to);
+			return calculation(result, 'conversions', [result.text]);
+		},
+	});
+}
+
+// Tool result: the working, then the page the formula comes from, or how to find it
+function calculation(result: { reference?: HandbookReference }, formula: Formula, lines: string[]) {
+	const { reference } = result;
+	const source = reference
+		? `Source: Cook Engineering Handbook, ${reference.topic}, p. ${reference.page_number} (${reference.uri})`
+		: `The handbook page for this formula is not verified yet; to cite one, search the handbook for "${FORMULA_TOPICS[formula]}".`;
+	return {
+		content: [{ type: 'text' as const, text: `${lines.join('\n')}\n\n${source}` }],
+		structuredContent: result as unknown as Record<string, unknown>,
+	};
+}
+
+function isTemperature(unit: UnitName): unit is keyof typeof TEMPERATURES {
+	return unit in TEMPERATURES;
+}
+
+function quantityOf(unit: UnitName): Quantity {
+	return isTemperature(unit) ? 'temperature' : UNITS[unit].quantity;
+}
+
+function labelOf(unit: UnitName): string {
+	return isTemperature(unit) ? TEMPERATURES[unit].label : UNITS[unit].label;
+}
+
+function invalidArgument(message: string): RpcError {
+	return new RpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, message);
+}
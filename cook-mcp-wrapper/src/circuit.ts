@@ -0,0 +1,269 @@
+/**
+ * Circuit breaker for the handbook backend
+ *
+ * When the Python wrapper (or Weaviate) is down, every tool call would otherwise wait
+ * for its own timeouts and retries before failing. The `BackendCircuit` Durable
+ * Object, one per backend, counts failed calls across requests. After
+ * `CIRCUIT_FAILURE_THRESHOLD` in a row (default 5) it opens: calls fail at once with
+ * an `unavailable` error, or are answered from stale cache entries (see cache.ts).
+ * While open, an alarm probes the backend's health endpoint, every
+ * `CIRCUIT_PROBE_SECONDS` (default 30) and then less often, and closes the circuit
+ * as soon as a probe passes. A successful `health_check` closes it too.
+ *
+ * Only outages count as failures: unreachable, timeout and 5xx. A rejected query
+ * says nothing about the backend's health. Without a `CIRCUIT_BREAKER` binding, or
+ * if the Durable Object cannot be reached, calls go straight to the backend.
+ */
+
+import type { Ctx } from 'mcp-lite';
+import { type BackendToolResult, type CallOptions, BackendError } from './backend';
+import type { Collection } from './collections';
+import { type HandbookBackend, type PageSummary, type SearchOptions, createHandbookBackend } from './handbook';
+import { backendTelemetry } from './observability';
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_PROBE_SECONDS = 30;
+// Probes back off to this interval while the backend stays down
+const MAX_PROBE_SECONDS = 300;
+const PROBE_TIMEOUT_MS = 5_000;
+
+export interface CircuitPolicy {
+	/** Failures in a row that open the circuit */
+	threshold: number;
+	/** Delay before the first health probe once open */
+	probeSeconds: number;
+}
+
+export interface CircuitStatus {
+	state: 'closed' | 'open';
+	/** Failures in a row so far */
+	failures: number;
+	/** Epoch milliseconds when the circuit opened */
+	openedAt?: number;
+	/** Message of the last failure */
+	lastError?: string;
+	/** Seconds until the next health probe, while open */
+	retryAfterSeconds?: number;
+}
+
+interface CircuitState {
+	state: 'closed' | 'open';
+	failures: number;
+	openedAt?: number;
+	lastError?: string;
+	probeSeconds?: number;
+}
+
+const CLOSED: CircuitState = { state: 'closed', failures: 0 };
+
+/**
+ * Durable Object holding one backend's circuit.
+ * `POST /check`, `POST /success` and `POST /failure` (with `{ error, policy }`) answer
+ * with a `CircuitStatus`.
+ */
+export class BackendCircuit implements DurableObject {
+	constructor(
+		private readonly state: DurableObjectState,
+		private readonly env: Record<string, unknown>,
+	) {}
+
+	async fetch(request: Request): Promise<Response> {
+		switch (new URL(request.url).pathname) {
+			case '/check':
+				return Response.json(await this.status(await this.load()));
+			case '/success':
+				return Response.json(await this.status(await this.close()));
+			case '/failure': {
+				const { error, policy } = (await request.json()) as { error: string; policy: CircuitPolicy };
+				return Response.json(await this.status(await this.fail(error, policy)));
+			}
+			default:
+				return new Response('Not Found', { status: 404 });
+		}
+	}
+
+	/** Probe the backend while open; close on success, otherwise probe again later. */
+	async alarm(): Promise<void> {
+		const circuit = await this.load();
+		if (circuit.state !== 'open') {
+			return;
+		}
+
+		const backend = createHandbookBackend(this.env);
+		try {
+			await backend.health({ timeoutMs: PROBE_TIMEOUT_MS, retries: 0 });
+		} catch (error) {
+			const probeSeconds = Math.min(MAX_PROBE_SECONDS, (circuit.probeSeconds ?? DEFAULT_PROBE_SECONDS) * 2);
+			const lastError = error instanceof Error ? error.message : String(error);
+			await this.state.storage.put<CircuitState>('circuit', { ...circuit, lastError, probeSeconds });
+			await this.state.storage.setAlarm(Date.now() + probeSeconds * 1000);
+			return;
+		}
+
+		// One JSON line, like the per-call lines in observability.ts
+		const { name } = backend.target;
+		console.log(JSON.stringify({ message: `${name} circuit closed`, event: 'circuit_closed', backend: name, reason: 'probe' }));
+		await this.close();
+	}
+
+	private async load(): Promise<CircuitState> {
+		return (await this.state.storage.get<CircuitState>('circuit')) ?? CLOSED;
+	}
+
+	private async close(): Promise<CircuitState> {
+		await this.state.storage.put<CircuitState>('circuit', CLOSED);
+		await this.state.storage.deleteAlarm();
+		return CLOSED;
+	}
+
+	private async fail(error: string, policy: CircuitPolicy): Promise<CircuitState> {
+		const previous = await this.load();
+		const failures = previous.failures + 1;
+		if (previous.state === 'open' || failures < policy.threshold) {
+			const circuit = { ...previous, failures, lastError: error };
+			await this.state.storage.put<CircuitState>('circuit', circuit);
+			return circuit;
+		}
+
+		const circuit: CircuitState = {
+			state: 'open',
+			failures,
+			openedAt: Date.now(),
+			lastError: error,
+			probeSeconds: policy.probeSeconds,
+		};
+		await this.state.storage.put<CircuitState>('circuit', circuit);
+		await this.state.storage.setAlarm(Date.now() + policy.probeSeconds * 1000);
+		return circuit;
+	}
+
+	private async status(circuit: CircuitState): Promise<CircuitStatus> {
+		const { probeSeconds: _probeSeconds, ...status } = circuit;
+		if (circuit.state !== 'open') {
+			return status;
+		}
+		const alarm = await this.state.storage.getAlarm();
+		return { ...status, retryAfterSeconds: alarm === null ? 0 : Math.max(0, Math.ceil((alarm - Date.now()) / 1000)) };
+	}
+}
+
+/** Failure threshold and probe delay from `CIRCUIT_FAILURE_THRESHOLD` and `CIRCUIT_PROBE_SECONDS`. */
+export function loadCircuitPolicy(env: Record<string, unknown>): CircuitPolicy {
+	return {
+		threshold: parsePositiveInt(env.CIRCUIT_FAILURE_THRESHOLD) ?? DEFAULT_FAILURE_THRESHOLD,
+		probeSeconds: parsePositiveInt(env.CIRCUIT_PROBE_SECONDS) ?? DEFAULT_PROBE_SECONDS,
+	};
+}
+
+/** Durable Object name for a backend's circuit: one per kind and URL. */
+export function circuitName(backend: HandbookBackend): string {
+	return `${backend.kind}:${backend.target.baseUrl}`;
+}
+
+/**
+ * `backend` behind its circuit: calls are refused while the circuit is open, and
+ * their outcomes are reported to it. `health` is never refused, so `health_check`
+ * always asks the backend itself.
+ */
+export class CircuitBreakerBackend implements HandbookBackend {
+	private readonly circuit: DurableObjectStub;
+
+	constructor(
+		private readonly backend: HandbookBackend,
+		namespace: DurableObjectNamespace,
+		private readonly policy: CircuitPolicy,
+	) {
+		this.circuit = namespace.get(namespace.idFromName(circuitName(backend)));
+	}
+
+	get kind() {
+		return this.backend.kind;
+	}
+
+	get target() {
+		return this.backend.target;
+	}
+
+	get collection() {
+		return this.backend.collection;
+	}
+
+	search(query: string, options?: SearchOptions): Promise<BackendToolResult> {
+		return this.guard(() => this.backend.search(query, options));
+	}
+
+	getPage(pageNumber: number, options?: CallOptions): Promise<BackendToolResult> {
+		return this.guard(() => this.backend.getPage(pageNumber, options));
+	}
+
+	listPages(options?: CallOptions): Promise<PageSummary[]> {
+		return this.guard(() => this.backend.listPages(options));
+	}
+
+	async health(options?: CallOptions): Promise<unknown> {
+		return this.report(await this.send('/check'), () => this.backend.health(options));
+	}
+
+	private async guard<T>(run: () => Promise<T>): Promise<T> {
+		const status = await this.send('/check');
+		if (status?.state === 'open') {
+			const wait = status.retryAfterSeconds ? ` Next health check in ${status.retryAfterSeconds} s.` : '';
+			throw new BackendError(
+				'unavailable',
+				`Not called: ${status.failures} calls in a row failed, the last with "${status.lastError}".${wait}`,
+				{ retryAfterSeconds: status.retryAfterSeconds },
+			);
+		}
+		return this.report(status, run);
+	}
+
+	/** Run the call and tell the circuit about its outcome, when it changes anything. */
+	private async report<T>(status: CircuitStatus | undefined, run: () => Promise<T>): Promise<T> {
+		let value: T;
+		try {
+			value = await run();
+		} catch (error) {
+			if (error instanceof BackendError && error.retryable) {
+				await this.send('/failure', { error: error.message, policy: this.policy });
+			}
+			throw error;
+		}
+		if (status && (status.state === 'open' || status.failures > 0)) {
+			await this.send('/success');
+		}
+		return value;
+	}
+
+	/** Call the Durable Object; undefined if it fails, so a broken breaker never blocks calls. */
+	private async send(path: string, body?: unknown): Promise<CircuitStatus | undefined> {
+		try {
+			const response = await this.circuit.fetch(`https://backend-circuit${path}`, {
+				method: 'POST',
+				...(body !== undefined && { body: JSON.stringify(body) }),
+			});
+			return (await response.json()) as CircuitStatus;
+		} catch (error) {
+			console.error('[cook-mcp] Circuit breaker unavailable:', error);
+			return undefined;
+		}
+	}
+}
+
+/**
+ * The backend for a request and collection: tied to the request for logs and metrics
+ * (see observability.ts), and behind the circuit breaker when `CIRCUIT_BREAKER` is bound.
+ * Every collection on a backend shares its circuit.
+ */
+export function backendFor(ctx: Ctx, collection?: Collection): HandbookBackend {
+	const backend = createHandbookBackend(ctx.env, backendTelemetry(ctx), collection);
+	const namespace = ctx.env.CIRCUIT_BREAKER as DurableObjectNamespace | undefined;
+	return namespace ? new CircuitBreakerBackend(backend, namespace, loadCircuitPolicy(ctx.env)) : backend;
+}
+
+function parsePositiveInt(value: unknown): number | undefined {
+	if (value === undefined || value === '') {
+		return undefined;
+	}
+	const parsed = Number(value);
+	return Number.isInteger(parsed) && parsed > 0 ? parsed : undefined;
+}
@@ -0,0 +1,108 @@
+/**
+ * Document collections
+ *
+ * The tools answer from one of several Cook documents: the Engineering Handbook,
+ * product catalogs, installation manuals, spec sheets. Each is a `Collection` with
+ * its own page count, named by a short id that tools take as `collection`.
+ *
+ * The handbook is built in and is the default. Other documents come from the
+ * `COLLECTIONS` variable, a JSON array of collections, so adding one is a config
+ * change rather than a code change. An entry with id `cook-handbook` overrides the
+ * built-in one.
+ *
+ * How a collection reaches the backend:
+ * - Python wrapper: tool calls carry a `collection` argument, and `GET /pages` a
+ *   `collection` query parameter, for every collection except the handbook, so
+ *   wrappers that only know the handbook keep working
+ * - Weaviate: each collection lives in its own class, `weaviateClass`
+ */
+
+import { JSON_RPC_ERROR_CODES, RpcError } from 'mcp-lite';
+import { z } from 'zod';
+
+export interface Collection {
+	/** Lowercase letters, digits, `-` and `_` */
+	id: string;
+	title: string;
+	/** What kind of document this is, such as `handbook`, `catalog`, `installation_manual` or `spec_sheet` */
+	type: string;
+	pageCount: number;
+	description?: string;
+	/** Weaviate class holding the document's chunks. For the handbook, `WEAVIATE_CLASS` or `CookHandbook`. */
+	weaviateClass?: string;
+	/** Free-form details shown by `list_collections`, such as edition or product line */
+	metadata?: Record<string, string>;
+}
+
+export const HANDBOOK_COLLECTION: Collection = {
+	id: 'cook-handbook',
+	title: 'Cook Engineering Handbook',
+	type: 'handbook',
+	pageCount: 150,
+	description: 'Fan selection and laws, motors, ductwork, wind and seismic zones, energy codes',
+};
+
+const COLLECTION_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+const collectionSchema = z.object({
+	id: z.string().regex(COLLECTION_ID_PATTERN),
+	title: z.string().min(1),
+	type: z.string().min(1),
+	pageCount: z.number().int().positive(),
+	description: z.string().optional(),
+	weaviateClass: z.string().optional(),
+	metadata: z.record(z.string(), z.string()).optional(),
+});
+
+/** The collections this Worker serves, the handbook first. */
+export class CollectionRegistry {
+	private readonly byId: Map<string, Collection>;
+
+	constructor(collections: Collection[]) {
+		this.byId = new Map([HANDBOOK_COLLECTION, ...collections].map((collection) => [collection.id, collection]));
+	}
+
+	list(): Collection[] {
+		return [...this.byId.values()];
+	}
+
+	/** The collection named by a tool's `collection` argument; the handbook when it is absent. */
+	resolve(id: string | undefined): Collection {
+		const collection = this.byId.get(id ?? HANDBOOK_COLLECTION.id);
+		if (!collection) {
+			throw new RpcError(
+				JSON_RPC_ERROR_CODES.INVALID_PARAMS,
+				`Unknown collection "${id}". Available: ${[...this.byId.keys()].join(', ')}. See list_collections.`,
+			);
+		}
+		return collection;
+	}
+}
+
+/** The built-in handbook plus the collections in the `COLLECTIONS` JSON variable. */
+export function loadCollections(env: Record<string, unknown>): CollectionRegistry {
+	const raw = env.COLLECTIONS;
+	if (typeof raw !== 'string' || raw.trim() === '') {
+		return new CollectionRegistry([]);
+	}
+	try {
+		return new CollectionRegistry(z.array(collectionSchema).parse(JSON.parse(raw)));
+	} catch (error) {
+		console.error('[cook-mcp] COLLECTIONS is not a valid collection list, serving only the handbook:', error);
+		return new CollectionRegistry([]);
+	}
+}
+
+export function isDefaultCollection(collection: Collection): boolean {
+	return collection.id === HANDBOOK_COLLECTION.id;
+}
+
+/** Refuse page numbers past the end of the collection with INVALID_PARAMS. */
+export function checkPageNumber(collection: Collection, pageNumber: number): void {
+	if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > collection.pageCount) {
+		throw new RpcError(
+			JSON_RPC_ERROR_CODES.INVALID_PARAMS,
+			`page_number must be from 1 to ${collection.pageCount} in ${collection.title}, got ${pageNumber}`,
+		);
+	}
+}
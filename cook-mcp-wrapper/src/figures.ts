@@ -0,0 +1,223 @@
+/**
+ * Handbook figures, cropped and downscaled
+ *
+ * Page images come back from the backend at full resolution, which fills a
+ * client's context quickly. `get_figure` returns one image of a page instead,
+ * optionally cropped to a bounding box, scaled down to a maximum dimension and
+ * re-encoded as PNG or WebP, with alt text taken from the page's figure captions.
+ *
+ * Rendering uses the Cloudflare Images binding, `IMAGES`. Rendered variants are
+ * stored in the `FIGURES` R2 bucket when it is bound, keyed by a hash of the source
+ * image and the requested crop, size and format: a page re-extracted with new
+ * images gets new keys, so variants never need to expire.
+ */
+
+import { JSON_RPC_ERROR_CODES, RpcError } from 'mcp-lite';
+import type { BackendImage, BackendToolResult } from './backend';
+import type { CacheStatus } from './cache';
+import type { Collection } from './collections';
+
+export type FigureFormat = 'png' | 'webp';
+
+/** Crop rectangle as fractions of the page image, from its top-left corner */
+export interface FigureBox {
+	x: number;
+	y: number;
+	width: number;
+	height: number;
+}
+
+export interface FigureRequest {
+	pageNumber: number;
+	/** Position of the figure among the page's images */
+	figureIndex: number;
+	box?: FigureBox;
+	/** Longest side of the result, in pixels; smaller images are not enlarged */
+	maxDimension: number;
+	format: FigureFormat;
+	/** Render again instead of reading the `FIGURES` bucket */
+	bypass?: boolean;
+}
+
+export interface RenderedFigure {
+	/** Base64 image data */
+	data: string;
+	mimeType: string;
+	width: number;
+	height: number;
+	alt: string;
+	/** Images on the page */
+	figureCount: number;
+	/** `hit` when served from the `FIGURES` bucket */
+	cache: CacheStatus;
+}
+
+// Variants written before a change to the rendering are not reused
+const KEY_VERSION = 'v1';
+
+// Lines such as "Figure 12: Fan curve" or "Fig. 3-2 Duct sizing chart"
+const CAPTION_PATTERN = /^\s*(fig(?:ure)?\.?\s*\d+[\w.-]*)\s*[:.\-–—]?\s*(.*)$/i;
+
+/**
+ * Render the requested figure of a fetched page. Throws INVALID_PARAMS for a
+ * figure index the page does not have or a crop the Images binding cannot make.
+ */
+export async function renderFigure(
+	images: ImagesBinding,
+	bucket: R2Bucket | undefined,
+	page: BackendToolResult,
+	collection: Collection,
+	request: FigureRequest,
+): Promise<RenderedFigure> {
+	const figures = page.images ?? [];
+	const source = figures[request.figureIndex];
+	if (!source) {
+		throw new RpcError(
+			JSON_RPC_ERROR_CODES.INVALID_PARAMS,
+			figures.length === 0
+				? `Page ${request.pageNumber} of ${collection.title} has no images`
+				: `figure_index must be from 0 to ${figures.length - 1} on page ${request.pageNumber} of ${collection.title}, got ${request.figureIndex}`,
+		);
+	}
+
+	const alt = figureAltText(page.text ?? '', collection, request.pageNumber, request.figureIndex, figures.length);
+	const key = await figureKey(source, request);
+
+	if (bucket && !request.bypass) {
+		const stored = await bucket.get(key);
+		if (stored) {
+			const { width, height } = stored.customMetadata ?? {};
+			return {
+				data: toBase64(new Uint8Array(await stored.arrayBuffer())),
+				mimeType: stored.httpMetadata?.contentType ?? mimeTypeOf(request.format),
+				width: Number(width),
+				height: Number(height),
+				alt,
+				figureCount: figures.length,
+				cache: 'hit',
+			};
+		}
+	}
+
+	const rendered = await transform(images, source, request);
+	if (bucket) {
+		await bucket.put(key, rendered.bytes, {
+			httpMetadata: { contentType: rendered.mimeType },
+			customMetadata: { width: String(rendered.width), height: String(rendered.height) },
+		});
+	}
+
+	return {
+		data: toBase64(rendered.bytes),
+		mimeType: rendered.mimeType,
+		width: rendered.width,
+		height: rendered.height,
+		alt,
+		figureCount: figures.length,
+		cache: !bucket ? 'disabled' : request.bypass ? 'bypass' : 'miss',
+	};
+}
+
+/**
+ * Alt text for a figure: its caption when the page text has one caption per image,
+ * in order, otherwise where the figure is and what the page is about.
+ */
+export function figureAltText(
+	pageText: string,
+	collection: Collection,
+	pageNumber: number,
+	figureIndex: number,
+	figureCount: number,
+): string {
+	const lines = pageText.split('\n').map((line) => line.trim());
+	const captions = lines.filter((line) => CAPTION_PATTERN.test(line));
+	const where = `page ${pageNumber} of ${collection.title}`;
+
+	const caption = captions[figureIndex];
+	if (caption) {
+		const [, label, description] = caption.match(CAPTION_PATTERN)!;
+		return `${label.trim()}${description ? `: ${description}` : ''} (${where})`;
+	}
+
+	const topic = lines.find((line) => line !== '');
+	const figure = figureCount > 1 ? `Figure ${figureIndex + 1} of ${figureCount} on ${where}` : `Figure on ${where}`;
+	return topic ? `${figure}: ${topic}` : figure;
+}
+
+async function transform(
+	images: ImagesBinding,
+	source: BackendImage,
+	request: FigureRequest,
+): Promise<{ bytes: Uint8Array; mimeType: string; width: number; height: number }> {
+	const bytes = fromBase64(source.data);
+	const info = await images.info(toStream(bytes));
+	if (!('width' in info)) {
+		throw new RpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, `Figure ${request.figureIndex} is a vector image and cannot be cropped`);
+	}
+
+	let transformer = images.input(toStream(bytes));
+	let width = info.width;
+	let height = info.height;
+	if (request.box) {
+		const crop = cropPixels(request.box, info.width, info.height);
+		transformer = transformer.transform({ trim: crop });
+		({ width, height } = crop);
+	}
+
+	const scale = Math.min(1, request.maxDimension / Math.max(width, height));
+	width = Math.max(1, Math.round(width * scale));
+	height = Math.max(1, Math.round(height * scale));
+	const mimeType = mimeTypeOf(request.format);
+	const output = await transformer
+		.transform({ width, height, fit: 'scale-down' })
+		.output({ format: mimeType as ImageOutputOptions['format'] });
+
+	return { bytes: new Uint8Array(await output.response().arrayBuffer()), mimeType, width, height };
+}
+
+// Whole pixels, at least one, inside the image
+function cropPixels(box: FigureBox, imageWidth: number, imageHeight: number) {
+	const left = Math.min(imageWidth - 1, Math.round(box.x * imageWidth));
+	const top = Math.min(imageHeight - 1, Math.round(box.y * imageHeight));
+	return {
+		left,
+		top,
+		width: Math.max(1, Math.min(imageWidth - left, Math.round(box.width * imageWidth))),
+		height: Math.max(1, Math.min(imageHeight - top, Math.round(box.height * imageHeight))),
+	};
+}
+
+function mimeTypeOf(format: FigureFormat): string {
+	return `image/${format}`;
+}
+
+/** `figures/v1/<source hash>/<crop>-<max dimension>.<format>` */
+async function figureKey(source: BackendImage, request: FigureRequest): Promise<string> {
+	const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(source.data)));
+	const hash = [...digest].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+	const { box } = request;
+	const crop = box ? [box.x, box.y, box.width, box.height].map((value) => Number(value.toFixed(4))).join(',') : 'full';
+	return `figures/${KEY_VERSION}/${hash}/${crop}-${request.maxDimension}.${request.format}`;
+}
+
+function fromBase64(data: string): Uint8Array {
+	const binary = atob(data);
+	const bytes = new Uint8Array(binary.length);
+	for (let i = 0; i < binary.length; i++) {
+		bytes[i] = binary.charCodeAt(i);
+	}
+	return bytes;
+}
+
+function toBase64(bytes: Uint8Array): string {
+	let binary = '';
+	// Chunked, so large images do not overflow String.fromCharCode's argument list
+	for (let i = 0; i < bytes.length; i += 0x8000) {
+		binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+	}
+	return btoa(binary);
+}
+
+function toStream(bytes: Uint8Array): ReadableStream<Uint8Array> {
+	return new Response(bytes).body!;
+}
@@ -0,0 +1,169 @@
+/**
+ * Handbook backends
+ *
+ * The three tools only depend on `HandbookBackend`. `HANDBOOK_BACKEND` picks the
+ * implementation:
+ * - `python` (default): the Python HTTP wrapper, with GPT-4o Vision answers
+ * - `weaviate`: the Worker queries Weaviate directly, no Python process needed
+ *
+ * Both return the Python wrapper's `{ text, images }` shape so tool handlers and the
+ * response cache do not care which one answered. A backend serves one document
+ * collection (see collections.ts), the handbook unless told otherwise.
+ */
+
+import {
+	type BackendClient,
+	type BackendProgress,
+	type BackendTarget,
+	type BackendTelemetry,
+	type BackendToolResult,
+	type CallOptions,
+	BackendError,
+	createBackendClient,
+} from './backend';
+import { type Collection, HANDBOOK_COLLECTION, isDefaultCollection } from './collections';
+import { WeaviateHandbookBackend } from './weaviate';
+
+export type HandbookBackendKind = 'python' | 'weaviate';
+
+export interface SearchOptions extends CallOptions {
+	/** Receives stage updates while the search runs; set only when the client asked for progress */
+	onProgress?: (update: BackendProgress) => void | Promise<void>;
+}
+
+/** One entry in the handbook's page index. */
+export interface PageSummary {
+	page_number: number;
+	title?: string;
+}
+
+export interface HandbookBackend {
+	readonly kind: HandbookBackendKind;
+	/** Used in error messages when the backend fails */
+	readonly target: BackendTarget;
+	/** The document this backend answers from */
+	readonly collection: Collection;
+	search(query: string, options?: SearchOptions): Promise<BackendToolResult>;
+	getPage(pageNumber: number, options?: CallOptions): Promise<BackendToolResult>;
+	/** Page index for resources/list. Empty when the backend cannot list pages. */
+	listPages(options?: CallOptions): Promise<PageSummary[]>;
+	health(options?: CallOptions): Promise<unknown>;
+}
+
+export class PythonHandbookBackend implements HandbookBackend {
+	readonly kind = 'python';
+
+	constructor(
+		private readonly client: BackendClient,
+		readonly collection: Collection = HANDBOOK_COLLECTION,
+	) {}
+
+	get target(): BackendTarget {
+		return this.client;
+	}
+
+	async search(query: string, options: SearchOptions = {}): Promise<BackendToolResult> {
+		const { onProgress, ...callOptions } = options;
+		const args = { query, ...this.collectionArgument() };
+		if (!onProgress) {
+			return this.client.callTool('search_engineering_manual', args, callOptions);
+		}
+
+		try {
+			return await this.client.callToolStream('search_engineering_manual', args, onProgress, callOptions);
+		} catch (error) {
+			// Wrappers that predate /call-tool/stream still answer the plain endpoint
+			if (error instanceof BackendError && error.status === 404) {
+				return this.client.callTool('search_engineering_manual', args, callOptions);
+			}
+			throw error;
+		}
+	}
+
+	getPage(pageNumber: number, options: CallOptions = {}): Promise<BackendToolResult> {
+		return this.client.callTool('get_page_direct', { page_number: pageNumber, ...this.collectionArgument() }, options);
+	}
+
+	/** `GET /pages` on the wrapper; older wrappers without it answer 404. */
+	async listPages(options: CallOptions = {}): Promise<PageSummary[]> {
+		const path = isDefaultCollection(this.collection) ? '/pages' : `/pages?collection=${encodeURIComponent(this.collection.id)}`;
+		try {
+			const result = await this.client.request<{ pages?: PageSummary[] }>(path, { method: 'GET' }, { idempotent: true, ...options });
+			return result.pages ?? [];
+		} catch (error) {
+			if (error instanceof BackendError && error.status === 404) {
+				return [];
+			}
+			throw error;
+		}
+	}
+
+	health(options: CallOptions = {}): Promise<unknown> {
+		return this.client.health(options);
+	}
+
+	// Only other collections are named, so wrappers that serve just the handbook see the calls they always did
+	private collectionArgument(): { collection?: string } {
+		return isDefaultCollection(this.collection) ? {} : { collection: this.collection.id };
+	}
+}
+
+/**
+ * A backend whose settings are missing or unknown: every call fails with the configuration
+ * error, so the tools report it as a tool error instead of failing the request.
+ */
+class MisconfiguredBackend implements HandbookBackend {
+	constructor(
+		readonly kind: HandbookBackendKind,
+		readonly target: BackendTarget,
+		readonly collection: Collection,
+		private readonly error: BackendError,
+	) {}
+
+	search(): Promise<BackendToolResult> {
+		return Promise.reject(this.error);
+	}
+
+	getPage(): Promise<BackendToolResult> {
+		return Promise.reject(this.error);
+	}
+
+	listPages(): Promise<PageSummary[]> {
+		return Promise.reject(this.error);
+	}
+
+	health(): Promise<unknown> {
+		return Promise.reject(this.error);
+	}
+}
+
+/**
+ * Build the backend selected by `HANDBOOK_BACKEND` from the Worker environment, for
+ * `collection`. `telemetry` ties its calls to the current MCP request (see observability.ts).
+ */
+export function createHandbookBackend(
+	env: Record<string, unknown>,
+	telemetry: BackendTelemetry = {},
+	collection: Collection = HANDBOOK_COLLECTION,
+): HandbookBackend {
+	const kind = ((env.HANDBOOK_BACKEND as string | undefined) || 'python').toLowerCase();
+
+	switch (kind) {
+		case 'python':
+			return new PythonHandbookBackend(createBackendClient(env, telemetry), collection);
+		case 'weaviate':
+			try {
+				return WeaviateHandbookBackend.fromEnv(env, telemetry, collection);
+			} catch (error) {
+				if (error instanceof BackendError) {
+					return new MisconfiguredBackend('weaviate', { name: 'Weaviate', baseUrl: String(env.WEAVIATE_URL ?? '') }, collection, error);
+				}
+				throw error;
+			}
+		default: {
+			const error = new BackendError('misconfigured', `Unknown HANDBOOK_BACKEND "${kind}". Use "python" or "weaviate".`);
+			// Reported under the default kind; it never answers, so nothing is cached for it
+			return new MisconfiguredBackend('python', { name: 'The handbook backend', baseUrl: '' }, collection, error);
+		}
+	}
+}
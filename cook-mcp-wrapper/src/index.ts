@@ -6,200 +6,675 @@
  *
  * Architecture:
  * User → Claude → mcp-lite (Cloudflare Worker) → HTTP → Python MCP Server → Weaviate + OpenAI
+ *
+ * With HANDBOOK_BACKEND=weaviate the Worker skips the Python hop and queries Weaviate itself.
  */
 
-import { McpServer, StreamableHttpTransport } from 'mcp-lite';
+import { type Ctx, JSON_RPC_ERROR_CODES, McpServer, RpcError, StreamableHttpTransport, type ToolCallResult } from 'mcp-lite';
+import { type ClientIdentity, authenticate, clientOf } from './auth';
+import { registerCalculatorTools } from './calculations';
+import { type BackendProgress, type BackendTarget, type BackendToolResult, backendErrorResult } from './backend';
+import { type CachedValue, createResponseCache, searchCacheKey } from './cache';
+import { backendFor } from './circuit';
+import { type Collection, checkPageNumber, isDefaultCollection, loadCollections } from './collections';
+import { type RenderedFigure, renderFigure } from './figures';
+import {
+	type IngestionJob,
+	type IngestionMessage,
+	type IngestionRequest,
+	IngestionError,
+	decodePdf,
+	formatJob,
+	getIngestionJob,
+	handleIngestRequest,
+	handleIngestionBatch,
+	submitIngestion,
+} from './ingest';
+import { OAuthProvider } from './oauth';
+import { formatStats, logEvent, observabilityMiddleware, recentCalls, requestIdFor } from './observability';
+import { loadPage, pageUri, pageUriTemplate, registerPageResources } from './pages';
+import { registerEngineeringPrompts } from './prompts';
+import { consumeRateLimit, consumeRateLimitFor, rateLimitKey, rateLimitMessage, rateLimitMiddleware } from './ratelimit';
+import {
+	DEFAULT_FIGURE_DIMENSION,
+	designZonesInput,
+	figureInput,
+	healthInput,
+	ingestInput,
+	ingestionStatusInput,
+	listCollectionsInput,
+	pageInput,
+	schemaAdapter,
+	searchInput,
+	statsInput,
+} from './schemas';
+import { type DesignZoneMatch, findUsState, loadDesignZones, lookupDesignZones, zoneLocation } from './zones';
+
+// Durable Object classes must be exported from the Worker entry point
+export { BackendCircuit } from './circuit';
+export { RateLimiter } from './ratelimit';
 
-interface Env {
+export interface Env {
+	/** Which backend answers the tools: "python" (default) or "weaviate" */
+	HANDBOOK_BACKEND?: string;
 	PYTHON_MCP_URL: string;
+	/** Default per-call timeout for backend requests, in milliseconds */
+	BACKEND_TIMEOUT_MS?: string;
+	/** Extra attempts for idempotent backend calls */
+	BACKEND_RETRIES?: string;
+	/** JSON array of extra document collections; see src/collections.ts */
+	COLLECTIONS?: string;
+	/** Optional KV namespace for cached search and page results */
+	CACHE?: KVNamespace;
+	SEARCH_CACHE_TTL_SECONDS?: string;
+	PAGE_CACHE_TTL_SECONDS?: string;
+	/** Native backend settings, used when HANDBOOK_BACKEND is "weaviate" */
+	WEAVIATE_URL?: string;
+	WEAVIATE_API_KEY?: string;
+	WEAVIATE_CLASS?: string;
+	OPENAI_API_KEY?: string;
+	/** Client API keys are secrets named API_KEY_<CLIENT>; see src/auth.ts */
+	[apiKey: `API_KEY_${string}`]: string | undefined;
+	/** Binding this KV namespace turns on the OAuth 2.1 authorization server */
+	OAUTH_KV?: KVNamespace;
+	/** Per-client token buckets and quotas; unbound means no rate limiting */
+	RATE_LIMITER?: DurableObjectNamespace;
+	/** JSON overrides for the per-tool policies in src/ratelimit.ts */
+	RATE_LIMITS?: string;
+	/** Circuit breaker for the handbook backend; unbound means every call goes to the backend */
+	CIRCUIT_BREAKER?: DurableObjectNamespace;
+	/** Backend failures in a row that open the circuit (default 5) */
+	CIRCUIT_FAILURE_THRESHOLD?: string;
+	/** Seconds before the first health probe of an open circuit (default 30) */
+	CIRCUIT_PROBE_SECONDS?: string;
+	/** Optional Analytics Engine dataset for per-tool call metrics; see src/observability.ts */
+	METRICS?: AnalyticsEngineDataset;
+	/** R2 bucket for uploaded PDFs and ingestion jobs; with INGEST_QUEUE, turns on ingest_document */
+	DOCUMENTS?: R2Bucket;
+	/** Queue whose consumer extracts and indexes uploaded PDFs; see src/ingest.ts */
+	INGEST_QUEUE?: Queue<IngestionMessage>;
+	/** Cloudflare Images binding that crops and scales get_figure results */
+	IMAGES?: ImagesBinding;
+	/** Optional R2 bucket for rendered figures */
+	FIGURES?: R2Bucket;
+	/** JSON table of wind and seismic zones by state, over the bundled one in src/zones.ts */
+	DESIGN_ZONES?: string;
+}
+
+// Per-request data handed from the fetch handler to the MCP context via authInfo.extra
+interface RequestExtra {
+	env: Env;
+	client: ClientIdentity;
+	/** Caller IP, used to rate limit anonymous clients */
+	ip?: string;
+	/** Correlation ID for logs and backend calls */
+	requestId: string;
+}
+
+// Vision analysis can take a while; health probes should fail fast
+const SEARCH_TIMEOUT_MS = 60_000;
+const HEALTH_TIMEOUT_MS = 5_000;
+
+type Content = ToolCallResult['content'][number];
+
+// Turn a backend result into tool content: the text first, then any page images
+function resultContent(result: BackendToolResult, fallbackText: string): Content[] {
+	const content: Content[] = [
+		{
+			type: 'text',
+			text: result.text || fallbackText,
+		},
+	];
+
+	if (result.images && Array.isArray(result.images)) {
+		for (const img of result.images) {
+			content.push({
+				type: 'image',
+				data: img.data,
+				mimeType: img.mimeType,
+			});
+		}
+	}
+
+	return content;
+}
+
+// A stale answer, served from the cache while the backend is down, says so at the top of its text
+function withCacheNotice(content: Content[], cached: CachedValue<unknown>, target: BackendTarget): Content[] {
+	const [first, ...rest] = content;
+	if (cached.status !== 'stale' || first?.type !== 'text') {
+		return content;
+	}
+	const notice =
+		`⚠️ Degraded mode: ${target.name} is unavailable (${cached.error?.message ?? 'unknown error'}). ` +
+		`This answer was cached at ${cachedAt(cached)} and may be out of date.`;
+	return [{ ...first, text: `${notice}\n\n${first.text}` }, ...rest];
+}
+
+// _meta of cached tool results: the cache status, and for stale answers when they were fetched
+function cacheMeta(cached: CachedValue<unknown>): Record<string, unknown> {
+	return {
+		cache: cached.status,
+		...(cached.status === 'stale' && { degraded: true, cachedAt: cachedAt(cached) }),
+	};
+}
+
+function cachedAt(cached: CachedValue<unknown>): string {
+	return new Date(cached.storedAt ?? 0).toISOString();
+}
+
+// structuredContent of search_engineering_manual: where the answer came from
+interface SearchCitations {
+	query: string;
+	collection: string;
+	sources: Array<{
+		page_number: number;
+		uri: string;
+		excerpt?: string;
+		score?: number;
+		image?: { content_index: number; mimeType: string };
+	}>;
+}
+
+const SEARCH_OUTPUT_SCHEMA = {
+	type: 'object',
+	properties: {
+		query: { type: 'string' },
+		collection: { type: 'string', description: 'The collection searched' },
+		sources: {
+			type: 'array',
+			description: 'Handbook passages the answer was drawn from, most relevant first',
+			items: {
+				type: 'object',
+				properties: {
+					page_number: { type: 'integer', description: 'Pass to get_page_direct to read the whole page' },
+					uri: { type: 'string', description: 'Resource URI for the page' },
+					excerpt: { type: 'string', description: 'The matching passage' },
+					score: { type: 'number', description: 'Relevance from 0 to 1, when the backend reports one' },
+					image: {
+						type: 'object',
+						description: "The page image in this result's content array",
+						properties: {
+							content_index: { type: 'integer' },
+							mimeType: { type: 'string' },
+						},
+						required: ['content_index', 'mimeType'],
+					},
+				},
+				required: ['page_number', 'uri'],
+			},
+		},
+	},
+	required: ['query', 'collection', 'sources'],
+};
+
+const ZONE_PAGE_PROPERTIES = {
+	page_number: { type: 'integer', description: 'Handbook page of the map' },
+	uri: { type: 'string', description: 'Resource URI for the page' },
+};
+
+const DESIGN_ZONES_OUTPUT_SCHEMA = {
+	type: 'object',
+	properties: {
+		state: { type: 'string' },
+		state_code: { type: 'string' },
+		county: { type: 'string', description: 'The county asked about' },
+		source: {
+			type: 'string',
+			enum: ['dataset', 'search'],
+			description: '"dataset" for an answer from the zone table, "search" for a handbook search when the table has no entry',
+		},
+		level: { type: 'string', enum: ['state', 'county'], description: 'Whether a county entry or the state-wide one answered' },
+		wind: {
+			type: 'object',
+			properties: {
+				zone: { type: 'string' },
+				high_wind: { type: 'boolean' },
+				design_speed_mph: { type: 'number', description: 'Basic design wind speed, when the map gives one' },
+				...ZONE_PAGE_PROPERTIES,
+			},
+			required: ['zone', 'high_wind', 'page_number', 'uri'],
+		},
+		seismic: {
+			type: 'object',
+			properties: { category: { type: 'string', description: 'Seismic design category or zone' }, ...ZONE_PAGE_PROPERTIES },
+			required: ['category', 'page_number', 'uri'],
+		},
+		notes: { type: 'string' },
+		search: { ...SEARCH_OUTPUT_SCHEMA, description: 'Citations of the handbook search, when source is "search"' },
+	},
+	required: ['state', 'state_code', 'source'],
+};
+
+function designZonesResult(match: DesignZoneMatch, collection: Collection, county: string | undefined): ToolCallResult {
+	const { wind, seismic } = match;
+	const cite = (page: number) => `${collection.title}, p. ${page} (${pageUri(collection, page)})`;
+	const speed = wind.design_speed_mph === undefined ? '' : `, ${wind.design_speed_mph} mph design wind speed`;
+	const lines = [
+		zoneLocation(match.state, county) + (county && !match.county ? ' (no county entry; state-wide zones)' : ''),
+		`Wind: zone ${wind.zone}, ${wind.high_wind ? '' : 'not '}a high wind zone${speed}. Source: ${cite(wind.page)}`,
+		`Seismic: ${seismic.category}. Source: ${cite(seismic.page)}`,
+		...(match.notes ? [match.notes] : []),
+	];
+
+	return {
+		content: [{ type: 'text', text: lines.join('\n') }],
+		structuredContent: {
+			state: match.state,
+			state_code: match.stateCode,
+			...(county && { county }),
+			source: 'dataset',
+			level: match.county ? 'county' : 'state',
+			wind: {
+				zone: wind.zone,
+				high_wind: wind.high_wind,
+				...(wind.design_speed_mph !== undefined && { design_speed_mph: wind.design_speed_mph }),
+				page_number: wind.page,
+				uri: pageUri(collection, wind.page),
+			},
+			seismic: { category: seismic.category, page_number: seismic.page, uri: pageUri(collection, seismic.page) },
+			...(match.notes && { notes: match.notes }),
+		},
+	};
+}
+
+// Citations for a search result; images follow the text in resultContent, so image i is content i + 1
+function searchCitations(query: string, collection: Collection, result: BackendToolResult): SearchCitations {
+	const sources = Array.isArray(result.sources) ? result.sources : [];
+
+	return {
+		query,
+		collection: collection.id,
+		sources: sources
+			.filter((source) => Number.isInteger(source.page_number))
+			.map((source) => {
+				const imageIndex = source.image_index ?? -1;
+				const image = result.images?.[imageIndex];
+				return {
+					page_number: source.page_number,
+					uri: pageUri(collection, source.page_number),
+					...(source.excerpt && { excerpt: source.excerpt }),
+					...(typeof source.score === 'number' && { score: source.score }),
+					...(image && { image: { content_index: imageIndex + 1, mimeType: image.mimeType } }),
+				};
+			}),
+	};
+}
+
+// search_engineering_manual, also run by lookup_design_zones for locations its table lacks
+async function searchCollection(ctx: Ctx, collection: Collection, query: string, noCache: boolean): Promise<ToolCallResult> {
+	const backend = backendFor(ctx, collection);
+	const cache = createResponseCache(ctx.env);
+
+	try {
+		const cached = await cache.getOrFetch(
+			await searchCacheKey(backend.kind, collection.id, query),
+			cache.ttls.search,
+			noCache,
+			() =>
+				backend.search(query, {
+					timeoutMs: SEARCH_TIMEOUT_MS,
+					idempotent: true,
+					onProgress: ctx.progress && progressRelay(ctx.progress),
+				}),
+		);
+
+		// The native backend has no vision step, so it hands back page images for the model to read
+		return {
+			content: withCacheNotice(resultContent(cached.value, 'No response from server'), cached, backend.target),
+			structuredContent: searchCitations(query, collection, cached.value),
+			_meta: cacheMeta(cached),
+		};
+	} catch (error) {
+		return backendErrorResult(error, backend.target);
+	}
+}
+
+// Forward backend stages as notifications/progress; stages without a count get a running one
+function progressRelay(send: NonNullable<Ctx['progress']>): (update: BackendProgress) => Promise<void> {
+	let step = 0;
+	return async (update) => {
+		step = update.progress ?? step + 1;
+		await send({ progress: step, total: update.total, message: update.message });
+	};
 }
 
 // Create MCP Server instance
 const server = new McpServer({
 	name: 'cook-engineering-manual-wrapper',
 	version: '1.0.0',
+	// Tool inputs are Zod schemas; see src/schemas.ts
+	schemaAdapter,
 });
 
+// The Worker env and the authenticated client arrive through authInfo; expose them to handlers
+server.use(async (ctx, next) => {
+	const extra = ctx.authInfo?.extra as RequestExtra | undefined;
+	ctx.env = (extra?.env ?? {}) as unknown as Record<string, unknown>;
+	ctx.state.client = extra?.client;
+	ctx.state.ip = extra?.ip;
+	ctx.state.requestId = extra?.requestId;
+	await next();
+});
+
+// JSON log line per message and per-tool metrics; before rate limiting so refusals are counted
+server.use(observabilityMiddleware());
+
+server.use(rateLimitMiddleware());
+
+// Document pages as cook-handbook://page/{n} and cook-docs://{collection}/page/{n} resources
+registerPageResources(server);
+
+// Prompts for fan sizing, design zones and motor efficiency
+registerEngineeringPrompts(server);
+
+// Duct friction, fan law, motor power and unit conversion calculators
+registerCalculatorTools(server);
+
 // Tool 1: Search Engineering Manual
 server.tool('search_engineering_manual', {
 	description: `Search the Cook Engineering Handbook for technical specifications,
 formulas, charts, and guidelines. Use this for questions about fans, motors,
 ductwork, HVAC systems, wind zones, seismic zones, etc.
+Pass a collection from list_collections to search a catalog, installation manual or spec sheet instead.
 
 Examples:
 - "What is the friction loss for round elbows?"
 - "Is Missouri a high wind zone?"
 - "What are the motor efficiency requirements?"
 
-This tool will automatically handle visual content like maps, charts, and diagrams.`,
-	inputSchema: {
-		type: 'object',
-		properties: {
-			query: {
-				type: 'string',
-				description: 'The technical question or search query',
-			},
-		},
-		required: ['query'],
-	},
-	handler: async (args: { query: string }, ctx) => {
-		const env = ctx.env as Record<string, string>;
-		const pythonServerUrl = env.PYTHON_MCP_URL || 'http://localhost:5001';
-
-		try {
-			// Call the Python HTTP wrapper
-			const response = await fetch(`${pythonServerUrl}/call-tool`, {
-				method: 'POST',
-				headers: {
-					'Content-Type': 'application/json',
-				},
-				body: JSON.stringify({
-					name: 'search_engineering_manual',
-					arguments: { query: args.query },
-				}),
-			});
+This tool will automatically handle visual content like maps, charts, and diagrams.
+The structured result lists the source pages; follow up with get_page_direct to read one in full.`,
+	inputSchema: searchInput,
+	outputSchema: SEARCH_OUTPUT_SCHEMA,
+	handler: (args, ctx) =>
+		searchCollection(ctx, loadCollections(ctx.env).resolve(args.collection), args.query, args.no_cache === true),
+});
 
-			if (!response.ok) {
-				throw new Error(`Python server returned ${response.status}: ${await response.text()}`);
-			}
+// Tool 2: Get Page Direct
+server.tool('get_page_direct', {
+	description: `Retrieve a specific page from the Cook Engineering Handbook, or another collection, by page number.
+Use this when you know the exact page you need or when search results reference a specific page.
+The same pages are available as cook-handbook://page/{n} and cook-docs://{collection}/page/{n} resources.`,
+	inputSchema: pageInput,
+	handler: async (args, ctx) => {
+		const collection = loadCollections(ctx.env).resolve(args.collection);
+		checkPageNumber(collection, args.page_number);
+		const backend = backendFor(ctx, collection);
+		const cache = createResponseCache(ctx.env);
 
-			const result: any = await response.json();
+		try {
+			const cached = await loadPage(backend, cache, args.page_number, args.no_cache === true);
 
 			return {
-				content: [
-					{
-						type: 'text' as const,
-						text: result.text || 'No response from server',
-					},
-				],
+				content: withCacheNotice(resultContent(cached.value, 'No content found'), cached, backend.target),
+				_meta: cacheMeta(cached),
 			};
 		} catch (error) {
-			const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+			return backendErrorResult(error, backend.target);
+		}
+	},
+});
+
+// Tool 3: Health Check
+server.tool('health_check', {
+	description: 'Check if the handbook backend (Python MCP server or Weaviate) is accessible and responding',
+	inputSchema: healthInput,
+	handler: async (_args, ctx) => {
+		const backend = backendFor(ctx);
+
+		try {
+			const data = await backend.health({ timeoutMs: HEALTH_TIMEOUT_MS, retries: 0 });
 			return {
 				content: [
 					{
 						type: 'text' as const,
-						text: `Error calling Python MCP server: ${errorMessage}\n\nMake sure the Python HTTP wrapper is running at ${pythonServerUrl}`,
+						text: `✅ ${backend.target.name} is healthy!\n\nStatus: ${JSON.stringify(data, null, 2)}`,
 					},
 				],
-				isError: true,
 			};
+		} catch (error) {
+			return backendErrorResult(error, backend.target);
 		}
 	},
 });
 
-// Tool 2: Get Page Direct
-server.tool('get_page_direct', {
-	description: `Retrieve a specific page from the Cook Engineering Handbook by page number.
-Use this when you know the exact page you need or when search results reference a specific page.`,
-	inputSchema: {
-		type: 'object',
-		properties: {
-			page_number: {
-				type: 'number',
-				description: 'Page number (1-150)',
+// Tool 4: Stats
+server.tool('stats', {
+	description: `Summarize recent tool calls on this Worker instance: calls, errors by kind,
+p50/p95 latency and time spent in the handbook backend, per tool.
+Use this to check whether slow or failing answers come from the backend.`,
+	inputSchema: statsInput,
+	handler: async (args) => {
+		const since = args.minutes === undefined ? 0 : Date.now() - args.minutes * 60_000;
+		const stats = recentCalls.summary(since);
+		return {
+			content: [{ type: 'text' as const, text: formatStats(stats) }],
+			structuredContent: stats,
+		};
+	},
+});
+
+// Tool 5: List Collections
+server.tool('list_collections', {
+	description: `List the documents the other tools can answer from: the Cook Engineering Handbook
+plus any catalogs, installation manuals and spec sheets, with their page counts.
+Pass a collection id as the collection argument of search_engineering_manual or get_page_direct.`,
+	inputSchema: listCollectionsInput,
+	handler: async (_args, ctx) => {
+		const collections = loadCollections(ctx.env).list();
+		const lines = collections.map(
+			(collection) =>
+				`- ${collection.id}: ${collection.title} (${collection.type}, ${collection.pageCount} pages)` +
+				(collection.description ? `. ${collection.description}` : ''),
+		);
+		return {
+			content: [{ type: 'text' as const, text: `${collections.length} collections:\n${lines.join('\n')}` }],
+			structuredContent: {
+				collections: collections.map((collection) => ({
+					id: collection.id,
+					title: collection.title,
+					type: collection.type,
+					page_count: collection.pageCount,
+					...(collection.description && { description: collection.description }),
+					...(collection.metadata && { metadata: collection.metadata }),
+					default: isDefaultCollection(collection),
+					page_uri_template: pageUriTemplate(collection),
+				})),
 			},
-		},
-		required: ['page_number'],
+		};
 	},
-	handler: async (args: { page_number: number }, ctx) => {
-		const env = ctx.env as Record<string, string>;
-		const pythonServerUrl = env.PYTHON_MCP_URL || 'http://localhost:5001';
+});
 
-		try {
-			// Call the Python HTTP wrapper
-			const response = await fetch(`${pythonServerUrl}/call-tool`, {
-				method: 'POST',
-				headers: {
-					'Content-Type': 'application/json',
-				},
-				body: JSON.stringify({
-					name: 'get_page_direct',
-					arguments: { page_number: args.page_number },
-				}),
-			});
+// Tool results for ingestion jobs: unconfigured ingestion is a tool error, a bad submission invalid params
+async function ingestionResult(run: () => Promise<IngestionJob>): Promise<ToolCallResult> {
+	let job: IngestionJob;
+	try {
+		job = await run();
+	} catch (error) {
+		if (!(error instanceof IngestionError)) {
+			throw error;
+		}
+		if (error.status === 503) {
+			return { content: [{ type: 'text', text: error.message }], isError: true };
+		}
+		throw new RpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, error.message);
+	}
+	return {
+		content: [{ type: 'text', text: formatJob(job) }],
+		structuredContent: job as unknown as Record<string, unknown>,
+	};
+}
 
-			if (!response.ok) {
-				throw new Error(`Python server returned ${response.status}: ${await response.text()}`);
-			}
+// ingest_document arguments, also accepted as the JSON body of POST /ingest
+function ingestionRequest(body: unknown, client: string): IngestionRequest {
+	const parsed = ingestInput.safeParse(body);
+	if (!parsed.success) {
+		throw new IngestionError(parsed.error.issues.map((issue) => issue.message).join(', '), 400);
+	}
+	const args = parsed.data;
+	return {
+		collection: args.collection,
+		...(args.pdf_base64 !== undefined && { pdf: decodePdf(args.pdf_base64) }),
+		...(args.object_key !== undefined && { objectKey: args.object_key }),
+		...(args.filename !== undefined && { filename: args.filename }),
+		client,
+	};
+}
 
-			const result: any = await response.json();
+// Tool 6: Ingest Document
+server.tool('ingest_document', {
+	description: `Add a PDF (a catalog, manual or spec sheet) to a collection so the other tools can search it.
+Pass the PDF base64-encoded as pdf_base64, or as object_key the key of a PDF you uploaded to the DOCUMENTS bucket under uploads/<your client name>/.
+Extraction and indexing run in the background; check on them with get_ingestion_status and the returned job id.`,
+	inputSchema: ingestInput,
+	handler: (args, ctx) => ingestionResult(() => submitIngestion(ctx.env, ingestionRequest(args, clientOf(ctx).name))),
+});
 
-			// Handle both text and images if present
-			const content: Array<any> = [
-				{
-					type: 'text',
-					text: result.text || 'No content found',
-				},
-			];
-
-			// Add images if present
-			if (result.images && Array.isArray(result.images)) {
-				for (const img of result.images) {
-					content.push({
-						type: 'image',
-						data: img.data,
-						mimeType: img.mimeType,
-					});
-				}
-			}
+// Tool 7: Ingestion Status
+server.tool('get_ingestion_status', {
+	description: `Check an ingest_document job: queued, extracting, indexing, complete or failed,
+with how many pages are indexed so far and the last error.`,
+	inputSchema: ingestionStatusInput,
+	handler: (args, ctx) => ingestionResult(() => getIngestionJob(ctx.env, args.job_id, clientOf(ctx).name)),
+});
 
-			return { content };
-		} catch (error) {
-			const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+// Tool 8: Get Figure
+server.tool('get_figure', {
+	description: `Return one figure (chart, table or diagram image) from a page, cropped and scaled down.
+Use this instead of get_page_direct when you only need to look at a figure: page images are large.
+Pick the image with figure_index, crop it with bbox (fractions of the image, from its top-left corner),
+and cap its size with max_dimension. The text result is the figure's caption or a description to use as alt text.`,
+	inputSchema: figureInput,
+	handler: async (args, ctx) => {
+		const collection = loadCollections(ctx.env).resolve(args.collection);
+		checkPageNumber(collection, args.page_number);
+		const images = ctx.env.IMAGES as ImagesBinding | undefined;
+		if (!images) {
 			return {
 				content: [
 					{
 						type: 'text' as const,
-						text: `Error calling Python MCP server: ${errorMessage}\n\nMake sure the Python HTTP wrapper is running at ${pythonServerUrl}`,
+						text: 'Figure rendering is not configured: bind Cloudflare Images as IMAGES (see wrangler.toml). get_page_direct returns the full page images.',
 					},
 				],
 				isError: true,
 			};
 		}
-	},
-});
 
-// Tool 3: Health Check
-server.tool('health_check', {
-	description: 'Check if the Python MCP server is accessible and responding',
-	inputSchema: {
-		type: 'object',
-		properties: {},
-	},
-	handler: async (_args, ctx) => {
-		const env = ctx.env as Record<string, string>;
-		const pythonServerUrl = env.PYTHON_MCP_URL || 'http://localhost:5001';
+		const backend = backendFor(ctx, collection);
+		let page: CachedValue<BackendToolResult>;
+		try {
+			page = await loadPage(backend, createResponseCache(ctx.env), args.page_number, args.no_cache === true);
+		} catch (error) {
+			return backendErrorResult(error, backend.target);
+		}
 
+		let figure: RenderedFigure;
 		try {
-			const response = await fetch(`${pythonServerUrl}/health`);
-			if (!response.ok) {
-				throw new Error(`Server returned ${response.status}`);
-			}
-			const data: any = await response.json();
-			return {
-				content: [
-					{
-						type: 'text' as const,
-						text: `✅ Python MCP server is healthy!\n\nStatus: ${JSON.stringify(data, null, 2)}`,
-					},
-				],
-			};
+			figure = await renderFigure(images, ctx.env.FIGURES as R2Bucket | undefined, page.value, collection, {
+				pageNumber: args.page_number,
+				figureIndex: args.figure_index ?? 0,
+				box: args.bbox,
+				maxDimension: args.max_dimension ?? DEFAULT_FIGURE_DIMENSION,
+				format: args.format ?? 'webp',
+				bypass: args.no_cache === true,
+			});
 		} catch (error) {
-			const errorMessage = error instanceof Error ? error.message : 'Unknown error';
-			return {
-				content: [
-					{
-						type: 'text' as const,
-						text: `❌ Python MCP server is NOT accessible at ${pythonServerUrl}\n\nError: ${errorMessage}\n\nMake sure:\n1. The Python HTTP wrapper is running (python http_wrapper.py)\n2. The URL is correct\n3. For deployed version, use ngrok to expose your local server`,
-					},
-				],
-				isError: true,
-			};
+			// A missing figure or uncroppable image is the caller's mistake; anything else is the Images binding failing
+			if (error instanceof RpcError) {
+				throw error;
+			}
+			logEvent('error', 'figure_render_failed', 'Figure rendering failed', { collection: collection.id, pageNumber: args.page_number }, error);
+			const message = error instanceof Error ? error.message : String(error);
+			return { content: [{ type: 'text' as const, text: `Could not render the figure: ${message}` }], isError: true };
 		}
+
+		const content: Content[] = [
+			{ type: 'text', text: `${figure.alt}\n\n${figure.width}×${figure.height} ${figure.mimeType}` },
+			{ type: 'image', data: figure.data, mimeType: figure.mimeType },
+		];
+		return {
+			content: withCacheNotice(content, page, backend.target),
+			structuredContent: {
+				page_number: args.page_number,
+				collection: collection.id,
+				uri: pageUri(collection, args.page_number),
+				figure_index: args.figure_index ?? 0,
+				figure_count: figure.figureCount,
+				alt: figure.alt,
+				width: figure.width,
+				height: figure.height,
+				mimeType: figure.mimeType,
+				...(args.bbox && { bbox: args.bbox }),
+			},
+			_meta: { ...cacheMeta(page), figureCache: figure.cache },
+		};
 	},
 });
 
+// Tool 9: Lookup Design Zones
+server.tool('lookup_design_zones', {
+	description: `Look up the wind zone, design wind speed and seismic design category for a US state,
+or a county where the handbook's maps split the state, e.g. to answer "Is Missouri a high wind zone?".
+Answers come from a table read from the Cook Engineering Handbook's zone maps, with the map pages.
+Locations the table lacks are answered with a handbook search instead, counted as a search_engineering_manual call.`,
+	inputSchema: designZonesInput,
+	outputSchema: DESIGN_ZONES_OUTPUT_SCHEMA,
+	handler: async (args, ctx) => {
+		// The input schema refuses unknown states already; this keeps the handler safe on its own
+		const state = findUsState(args.state);
+		if (!state) {
+			throw new RpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, 'state must be a US state name or two-letter abbreviation');
+		}
+		const collection = loadCollections(ctx.env).resolve(undefined);
+		const match = lookupDesignZones(loadDesignZones(ctx.env), state.code, args.county);
+		if (match) {
+			return designZonesResult(match, collection, args.county);
+		}
+
+		await consumeRateLimit(ctx, 'search_engineering_manual');
+		const location = zoneLocation(state.name, args.county);
+		const query = `What are the wind zone and seismic design category for ${location}? Is it a high wind zone?`;
+		const result = await searchCollection(ctx, collection, query, args.no_cache === true);
+		if (result.isError) {
+			return result;
+		}
+
+		// The note goes last so the citations' image content indexes still hold
+		return {
+			...result,
+			content: [
+				...result.content,
+				{ type: 'text', text: `The design zone table has no entry for ${location}; this answer comes from a handbook search.` },
+			],
+			structuredContent: {
+				state: state.name,
+				state_code: state.code,
+				...(args.county && { county: args.county }),
+				source: 'search',
+				search: result.structuredContent,
+			},
+		};
+	},
+});
+
+// 429 for a POST /ingest over the caller's ingest_document limits; undefined otherwise
+async function ingestRateLimitResponse(request: Request, env: Record<string, unknown>, key: string): Promise<Response | undefined> {
+	if (request.method !== 'POST' || new URL(request.url).pathname !== '/ingest') {
+		return undefined;
+	}
+	const decision = await consumeRateLimitFor(env, key, 'ingest_document');
+	if (!decision || decision.allowed) {
+		return undefined;
+	}
+	const { retryAfterSeconds, limit } = decision;
+	return Response.json(
+		{ error: rateLimitMessage('ingest_document', decision), limit, ...(retryAfterSeconds !== undefined && { retryAfterSeconds }) },
+		{ status: 429, headers: retryAfterSeconds === undefined ? {} : { 'Retry-After': String(retryAfterSeconds) } },
+	);
+}
+
 // Create transport
 const transport = new StreamableHttpTransport();
 
@@ -209,7 +684,47 @@ const mcpHandler = transport.bind(server);
 // Export Cloudflare Workers handler
 export default {
 	async fetch(request: Request, env: Env): Promise<Response> {
-		// Pass environment variables through context
-		return mcpHandler(request, { authInfo: { env } as any });
+		const vars = env as unknown as Record<string, unknown>;
+
+		// OAuth metadata, registration, authorize and token endpoints
+		const oauth = OAuthProvider.fromEnv(vars, request);
+		const oauthResponse = await oauth?.handle(request);
+		if (oauthResponse) {
+			return oauthResponse;
+		}
+
+		const requestId = requestIdFor(request);
+		const client = await authenticate(request, vars, {
+			verifyToken: oauth && ((token) => oauth.verifyAccessToken(token)),
+			resourceMetadataUrl: oauth?.resourceMetadataUrl,
+		});
+		if (client instanceof Response) {
+			client.headers.set('X-Request-Id', requestId);
+			return client;
+		}
+
+		// PDF uploads outside MCP, for clients that cannot send a large file as a tool argument.
+		// They share the ingest_document limits, which the MCP middleware never sees here.
+		const ip = request.headers.get('CF-Connecting-IP') ?? undefined;
+		const ingestResponse =
+			(await ingestRateLimitResponse(request, vars, rateLimitKey(client, ip))) ??
+			(await handleIngestRequest(request, vars, client.name, (body) => ingestionRequest(body, client.name)));
+		if (ingestResponse) {
+			ingestResponse.headers.set('X-Request-Id', requestId);
+			return ingestResponse;
+		}
+
+		// Pass environment variables, the client identity and the correlation ID through context
+		const extra: RequestExtra = { env, client, ip, requestId };
+		const response = await mcpHandler(request, {
+			authInfo: { token: '', scopes: [], extra: extra as unknown as Record<string, unknown> },
+		});
+		response.headers.set('X-Request-Id', requestId);
+		return response;
+	},
+
+	// Consumer for INGEST_QUEUE: extract and index uploaded PDFs
+	async queue(batch: MessageBatch<IngestionMessage>, env: Env): Promise<void> {
+		await handleIngestionBatch(batch, env as unknown as Record<string, unknown>);
 	},
 };
@@ -0,0 +1,517 @@
+/**
+ * Document ingestion
+ *
+ * New PDFs reach a collection (see collections.ts) without the offline Python
+ * pipeline. `ingest_document` and `POST /ingest` store the PDF in the `DOCUMENTS`
+ * R2 bucket, record a job next to it and put the job on the `INGEST_QUEUE` queue.
+ * Each client sees only its own jobs, and its uploads live under `uploads/<client>/`,
+ * the only prefix it may name by `object_key`.
+ * The Worker's queue consumer then runs the two pipeline stages:
+ * - `PageExtractor` turns the PDF into page text and images
+ * - `PageIndexer` adds the pages to the collection, in batches, where search finds them
+ *
+ * The default stages send the PDF to the Python wrapper's `POST /extract-pages`,
+ * and index into Weaviate with `HANDBOOK_BACKEND=weaviate` or through the wrapper's
+ * `POST /index-pages` otherwise. Tests and other deployments pass their own.
+ *
+ * Job records are JSON objects in the same bucket, `jobs/<id>.json`, read back by
+ * `get_ingestion_status` and `GET /ingest/<id>`. Backend outages are retried with
+ * the queue's delays. Extracted pages are saved as `jobs/<id>.pages.json` before
+ * indexing starts, so a retried job neither pays for extraction again nor indexes
+ * the pages it already indexed.
+ */
+
+import {
+	type BackendClient,
+	type BackendImage,
+	type BackendTelemetry,
+	BackendError,
+	createBackendClient,
+} from './backend';
+import { type Collection, type CollectionRegistry, loadCollections } from './collections';
+import { createWeaviateClient, weaviateClassFor } from './weaviate';
+
+/** Largest PDF accepted, after base64 decoding */
+export const MAX_PDF_BYTES = 25 * 1024 * 1024;
+
+// Pages are indexed this many at a time, and the job's progress saved after each batch
+const INDEX_BATCH_SIZE = 20;
+// Extraction runs vision over every page, so it gets most of a consumer's 15 minutes
+const EXTRACT_TIMEOUT_MS = 10 * 60_000;
+const INDEX_TIMEOUT_MS = 60_000;
+// Deliveries of one job before it is marked failed; each retry waits longer
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY_SECONDS = 30;
+
+export type IngestionStatus = 'queued' | 'extracting' | 'indexing' | 'complete' | 'failed';
+
+export interface IngestionJob {
+	id: string;
+	collection: string;
+	/** The PDF in the `DOCUMENTS` bucket */
+	objectKey: string;
+	filename?: string;
+	bytes: number;
+	status: IngestionStatus;
+	/** Pages extracted from the PDF, once known */
+	pages?: number;
+	pagesIndexed: number;
+	/** Deliveries of the queue message so far */
+	attempts: number;
+	/** Why the last attempt failed; kept while a retry is queued */
+	error?: string;
+	/** Client that submitted the job */
+	client: string;
+	createdAt: string;
+	updatedAt: string;
+}
+
+/** One extracted page, in the shape the handbook backends serve. */
+export interface ExtractedPage {
+	page_number: number;
+	text: string;
+	image?: BackendImage;
+}
+
+export interface PageExtractor {
+	extract(pdf: ArrayBuffer, job: IngestionJob): Promise<ExtractedPage[]>;
+}
+
+export interface PageIndexer {
+	/** Add one batch of pages to the collection. Called again for the same pages if a job is retried. */
+	index(pages: ExtractedPage[], job: IngestionJob, collection: Collection): Promise<void>;
+}
+
+export interface IngestionStages {
+	extractor: PageExtractor;
+	indexer: PageIndexer;
+}
+
+/** Queue message body */
+export interface IngestionMessage {
+	jobId: string;
+}
+
+/** A submission the Worker refuses. `status` is the HTTP status `POST /ingest` answers with. */
+export class IngestionError extends Error {
+	constructor(
+		message: string,
+		readonly status: 400 | 404 | 413 | 503,
+	) {
+		super(message);
+		this.name = 'IngestionError';
+	}
+}
+
+export interface IngestionRequest {
+	collection: string;
+	/** The PDF itself; or */
+	pdf?: ArrayBuffer;
+	/** a PDF already uploaded to the `DOCUMENTS` bucket */
+	objectKey?: string;
+	filename?: string;
+	client: string;
+}
+
+/** `POST /extract-pages` on the Python wrapper: the PDF in, `{ pages: ExtractedPage[] }` out. */
+export class PythonPageExtractor implements PageExtractor {
+	constructor(private readonly client: BackendClient) {}
+
+	async extract(pdf: ArrayBuffer, job: IngestionJob): Promise<ExtractedPage[]> {
+		const result = await this.client.request<{ pages?: ExtractedPage[] }>(
+			'/extract-pages',
+			{
+				method: 'POST',
+				headers: { 'Content-Type': 'application/pdf', ...(job.filename && { 'X-Filename': job.filename }) },
+				body: pdf,
+			},
+			{ timeoutMs: EXTRACT_TIMEOUT_MS, idempotent: true },
+		);
+		if (!Array.isArray(result.pages)) {
+			throw new BackendError('invalid_response', `${this.client.name} returned no pages for ${job.objectKey}`);
+		}
+		return result.pages;
+	}
+}
+
+/** `POST /index-pages` on the Python wrapper, with `{ collection, job_id, pages }`. */
+export class PythonPageIndexer implements PageIndexer {
+	constructor(private readonly client: BackendClient) {}
+
+	async index(pages: ExtractedPage[], job: IngestionJob, collection: Collection): Promise<void> {
+		await this.client.request(
+			'/index-pages',
+			{
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ collection: collection.id, job_id: job.id, pages }),
+			},
+			{ timeoutMs: INDEX_TIMEOUT_MS, idempotent: true },
+		);
+	}
+}
+
+/**
+ * Weaviate batch import into the collection's class; the class vectorizer embeds
+ * the text. Object ids derive from the PDF and page, so a retried batch replaces
+ * its own objects instead of duplicating them.
+ */
+export class WeaviatePageIndexer implements PageIndexer {
+	constructor(
+		private readonly client: BackendClient,
+		private readonly className: (collection: Collection) => string,
+	) {}
+
+	async index(pages: ExtractedPage[], job: IngestionJob, collection: Collection): Promise<void> {
+		const className = this.className(collection);
+		const objects = await Promise.all(
+			pages.map(async (page) => ({
+				class: className,
+				id: await pageObjectId(className, job.objectKey, page.page_number),
+				properties: {
+					content: page.text,
+					page_number: page.page_number,
+					...(page.image && { image: page.image.data, image_mime_type: page.image.mimeType }),
+				},
+			})),
+		);
+
+		const results = await this.client.request<Array<{ result?: { errors?: { error?: Array<{ message: string }> } } }>>(
+			'/v1/batch/objects',
+			{
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ objects }),
+			},
+			{ timeoutMs: INDEX_TIMEOUT_MS, idempotent: true },
+		);
+
+		// Like GraphQL, batch imports report per-object failures in a 200 response
+		const errors = results.flatMap((item) => item.result?.errors?.error ?? []).map((error) => error.message);
+		if (errors.length > 0) {
+			throw new BackendError('client_error', `Weaviate rejected ${errors.length} pages: ${[...new Set(errors)].join('; ')}`);
+		}
+	}
+}
+
+/** Extraction through the Python wrapper; indexing where `HANDBOOK_BACKEND` searches. */
+export function defaultIngestionStages(env: Record<string, unknown>, telemetry: BackendTelemetry = {}): IngestionStages {
+	const wrapper = createBackendClient(env, telemetry);
+	const native = ((env.HANDBOOK_BACKEND as string | undefined) || 'python').toLowerCase() === 'weaviate';
+	return {
+		extractor: new PythonPageExtractor(wrapper),
+		indexer: native
+			? new WeaviatePageIndexer(createWeaviateClient(env, telemetry), (collection) => weaviateClassFor(env, collection))
+			: new PythonPageIndexer(wrapper),
+	};
+}
+
+/** Job records in the `DOCUMENTS` bucket. */
+export class IngestionJobs {
+	constructor(private readonly bucket: R2Bucket) {}
+
+	async get(id: string): Promise<IngestionJob | undefined> {
+		const object = await this.bucket.get(jobKey(id));
+		return object ? ((await object.json()) as IngestionJob) : undefined;
+	}
+
+	async put(job: IngestionJob): Promise<IngestionJob> {
+		await this.bucket.put(jobKey(job.id), JSON.stringify(job), { httpMetadata: { contentType: 'application/json' } });
+		return job;
+	}
+
+	update(job: IngestionJob, changes: Partial<IngestionJob>): Promise<IngestionJob> {
+		return this.put({ ...job, ...changes, updatedAt: new Date().toISOString() });
+	}
+
+	/** Pages an earlier attempt extracted, if it got that far. */
+	async getPages(id: string): Promise<ExtractedPage[] | undefined> {
+		const object = await this.bucket.get(pagesKey(id));
+		return object ? ((await object.json()) as ExtractedPage[]) : undefined;
+	}
+
+	async putPages(id: string, pages: ExtractedPage[]): Promise<void> {
+		await this.bucket.put(pagesKey(id), JSON.stringify(pages), { httpMetadata: { contentType: 'application/json' } });
+	}
+
+	async deletePages(id: string): Promise<void> {
+		await this.bucket.delete(pagesKey(id));
+	}
+}
+
+/** The bucket and queue, or an error saying which binding is missing. */
+export function ingestionBindings(env: Record<string, unknown>): { bucket: R2Bucket; queue: Queue<IngestionMessage> } {
+	const bucket = env.DOCUMENTS as R2Bucket | undefined;
+	const queue = env.INGEST_QUEUE as Queue<IngestionMessage> | undefined;
+	if (!bucket || !queue) {
+		throw new IngestionError(
+			'Document ingestion is not configured: bind an R2 bucket as DOCUMENTS and a queue as INGEST_QUEUE (see wrangler.toml)',
+			503,
+		);
+	}
+	return { bucket, queue };
+}
+
+/** Store the PDF, record the job and queue it. */
+export async function submitIngestion(env: Record<string, unknown>, request: IngestionRequest): Promise<IngestionJob> {
+	const { bucket, queue } = ingestionBindings(env);
+	const collection = resolveCollection(loadCollections(env), request.collection);
+	const id = crypto.randomUUID();
+
+	let objectKey: string;
+	let bytes: number;
+	if (request.pdf) {
+		checkPdf(new Uint8Array(request.pdf.slice(0, 5)), request.pdf.byteLength);
+		objectKey = `${uploadPrefix(request.client)}${collection.id}/${id}.pdf`;
+		bytes = request.pdf.byteLength;
+		await bucket.put(objectKey, request.pdf, {
+			httpMetadata: { contentType: 'application/pdf' },
+			customMetadata: { collection: collection.id, ...(request.filename && { filename: request.filename }) },
+		});
+	} else if (request.objectKey) {
+		if (!request.objectKey.startsWith(uploadPrefix(request.client))) {
+			throw new IngestionError(`object_key must be one of your uploads, under ${uploadPrefix(request.client)}`, 400);
+		}
+		const head = await bucket.get(request.objectKey, { range: { offset: 0, length: 5 } });
+		if (!head) {
+			throw new IngestionError(`No object "${request.objectKey}" in the DOCUMENTS bucket`, 404);
+		}
+		checkPdf(new Uint8Array(await head.arrayBuffer()), head.size);
+		objectKey = request.objectKey;
+		bytes = head.size;
+	} else {
+		throw new IngestionError('Pass the PDF, or the key of a PDF in the DOCUMENTS bucket', 400);
+	}
+
+	const now = new Date().toISOString();
+	const job = await new IngestionJobs(bucket).put({
+		id,
+		collection: collection.id,
+		objectKey,
+		...(request.filename && { filename: request.filename }),
+		bytes,
+		status: 'queued',
+		pagesIndexed: 0,
+		attempts: 0,
+		client: request.client,
+		createdAt: now,
+		updatedAt: now,
+	});
+	await queue.send({ jobId: id });
+	return job;
+}
+
+/**
+ * Extract and index one job's pages, saving progress as it goes. A retry resumes
+ * from the pages saved by the first extraction. Throws when a stage fails;
+ * `handleIngestionBatch` decides whether to retry.
+ */
+export async function runIngestionJob(
+	job: IngestionJob,
+	bucket: R2Bucket,
+	stages: IngestionStages,
+	collections: CollectionRegistry,
+): Promise<IngestionJob> {
+	const jobs = new IngestionJobs(bucket);
+	const collection = resolveCollection(collections, job.collection);
+
+	let current = job;
+	let pages = await jobs.getPages(job.id);
+	if (!pages) {
+		current = await jobs.update(current, { status: 'extracting' });
+		const object = await bucket.get(job.objectKey);
+		if (!object) {
+			throw new IngestionError(`The PDF ${job.objectKey} is no longer in the DOCUMENTS bucket`, 404);
+		}
+		pages = await stages.extractor.extract(await object.arrayBuffer(), current);
+		await jobs.putPages(job.id, pages);
+	}
+
+	current = await jobs.update(current, { status: 'indexing', pages: pages.length });
+	for (let start = current.pagesIndexed; start < pages.length; start += INDEX_BATCH_SIZE) {
+		const batch = pages.slice(start, start + INDEX_BATCH_SIZE);
+		await stages.indexer.index(batch, current, collection);
+		current = await jobs.update(current, { pagesIndexed: start + batch.length });
+	}
+
+	await jobs.deletePages(job.id);
+	const { error: _error, ...done } = current;
+	return jobs.update(done, { status: 'complete' });
+}
+
+/**
+ * Queue consumer: run each job, retrying backend outages with growing delays and
+ * failing the job for good on anything else or after `MAX_ATTEMPTS` deliveries.
+ * Stages that cannot be built, such as Weaviate without `WEAVIATE_URL`, fail the job.
+ */
+export async function handleIngestionBatch(
+	batch: MessageBatch<IngestionMessage>,
+	env: Record<string, unknown>,
+	stages?: IngestionStages,
+): Promise<void> {
+	const { bucket } = ingestionBindings(env);
+	const jobs = new IngestionJobs(bucket);
+	const collections = loadCollections(env);
+
+	for (const message of batch.messages) {
+		const job = await jobs.get(message.body.jobId);
+		if (!job || job.status === 'complete' || job.status === 'failed') {
+			message.ack();
+			continue;
+		}
+
+		const attempt = await jobs.update(job, { attempts: message.attempts });
+		try {
+			await runIngestionJob(attempt, bucket, stages ?? defaultIngestionStages(env), collections);
+			message.ack();
+		} catch (error) {
+			const reason = error instanceof Error ? error.message : String(error);
+			// Progress saved by runIngestionJob survives; only the status and error change
+			const latest = (await jobs.get(job.id)) ?? attempt;
+			if (error instanceof BackendError && error.outage && message.attempts < MAX_ATTEMPTS) {
+				await jobs.update(latest, { status: 'queued', error: reason });
+				message.retry({ delaySeconds: RETRY_DELAY_SECONDS * message.attempts });
+			} else {
+				console.error(`[cook-mcp] Ingestion job ${job.id} failed:`, error);
+				await jobs.update(latest, { status: 'failed', error: reason });
+				message.ack();
+			}
+		}
+	}
+}
+
+/**
+ * `POST /ingest` takes the PDF as an `application/pdf` body (with `collection` and
+ * optional `filename` query parameters) or the tool's JSON arguments, and answers
+ * 202 with the job. `GET /ingest/<id>` returns a job. Undefined for other paths.
+ * `parseArguments` validates a JSON body the way the tool validates its arguments.
+ */
+export async function handleIngestRequest(
+	request: Request,
+	env: Record<string, unknown>,
+	client: string,
+	parseArguments: (body: unknown) => IngestionRequest,
+): Promise<Response | undefined> {
+	const url = new URL(request.url);
+	if (url.pathname !== '/ingest' && !url.pathname.startsWith('/ingest/')) {
+		return undefined;
+	}
+
+	try {
+		if (request.method === 'GET' && url.pathname.startsWith('/ingest/')) {
+			const job = await getIngestionJob(env, decodeURIComponent(url.pathname.slice('/ingest/'.length)), client);
+			return Response.json(job);
+		}
+		if (request.method !== 'POST' || url.pathname !== '/ingest') {
+			return Response.json({ error: 'Method Not Allowed' }, { status: 405 });
+		}
+
+		const contentType = request.headers.get('Content-Type') ?? '';
+		let submission: IngestionRequest;
+		if (contentType.startsWith('application/pdf')) {
+			submission = {
+				collection: url.searchParams.get('collection') ?? '',
+				pdf: await request.arrayBuffer(),
+				filename: url.searchParams.get('filename') ?? undefined,
+				client,
+			};
+		} else if (contentType.startsWith('application/json')) {
+			const body = await request.json().catch(() => {
+				throw new IngestionError('The request body is not valid JSON', 400);
+			});
+			submission = parseArguments(body);
+		} else {
+			throw new IngestionError('Send the PDF as application/pdf, or JSON with pdf_base64 or object_key', 400);
+		}
+
+		const job = await submitIngestion(env, submission);
+		return Response.json(job, { status: 202, headers: { Location: `/ingest/${job.id}` } });
+	} catch (error) {
+		if (error instanceof IngestionError) {
+			return Response.json({ error: error.message }, { status: error.status });
+		}
+		throw error;
+	}
+}
+
+/** A job submitted by `client`; other clients' jobs are reported as missing. */
+export async function getIngestionJob(env: Record<string, unknown>, id: string, client: string): Promise<IngestionJob> {
+	const job = await new IngestionJobs(ingestionBindings(env).bucket).get(id);
+	if (!job || job.client !== client) {
+		throw new IngestionError(`No ingestion job "${id}"`, 404);
+	}
+	return job;
+}
+
+/** Plain-text job summary for the tool results. */
+export function formatJob(job: IngestionJob): string {
+	const progress = job.pages === undefined ? '' : `, ${job.pagesIndexed} of ${job.pages} pages indexed`;
+	const lines = [
+		`Ingestion job ${job.id} for ${job.collection}: ${job.status}${progress}`,
+		`PDF: ${job.filename ?? job.objectKey} (${job.bytes} bytes)`,
+	];
+	if (job.error) {
+		lines.push(job.status === 'failed' ? `Error: ${job.error}` : `Last attempt failed, retrying: ${job.error}`);
+	}
+	return lines.join('\n');
+}
+
+/** Decode a base64 PDF, refusing ones past `MAX_PDF_BYTES`. */
+export function decodePdf(base64: string): ArrayBuffer {
+	if (Math.floor((base64.length * 3) / 4) > MAX_PDF_BYTES + 3) {
+		throw new IngestionError(`The PDF is larger than ${MAX_PDF_BYTES / 1024 / 1024} MB`, 413);
+	}
+	let binary: string;
+	try {
+		binary = atob(base64.replace(/\s+/g, ''));
+	} catch {
+		throw new IngestionError('pdf_base64 is not valid base64', 400);
+	}
+	const bytes = new Uint8Array(binary.length);
+	for (let i = 0; i < binary.length; i++) {
+		bytes[i] = binary.charCodeAt(i);
+	}
+	return bytes.buffer;
+}
+
+function resolveCollection(collections: CollectionRegistry, id: string): Collection {
+	const collection = collections.list().find((candidate) => candidate.id === id);
+	if (!collection) {
+		throw new IngestionError(
+			`Unknown collection "${id}". Add it to COLLECTIONS first; available: ${collections
+				.list()
+				.map((candidate) => candidate.id)
+				.join(', ')}`,
+			400,
+		);
+	}
+	return collection;
+}
+
+function checkPdf(header: Uint8Array, size: number): void {
+	if (size > MAX_PDF_BYTES) {
+		throw new IngestionError(`The PDF is larger than ${MAX_PDF_BYTES / 1024 / 1024} MB`, 413);
+	}
+	if (new TextDecoder().decode(header) !== '%PDF-') {
+		throw new IngestionError('Not a PDF: the file does not start with %PDF-', 400);
+	}
+}
+
+function uploadPrefix(client: string): string {
+	return `uploads/${client}/`;
+}
+
+function jobKey(id: string): string {
+	return `jobs/${id}.json`;
+}
+
+function pagesKey(id: string): string {
+	return `jobs/${id}.pages.json`;
+}
+
+/** A UUID-shaped id from the class, PDF and page, for idempotent batch imports. */
+async function pageObjectId(className: string, objectKey: string, pageNumber: number): Promise<string> {
+	const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${className}:${objectKey}:${pageNumber}`)));
+	const hex = [...digest.slice(0, 16)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+	return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
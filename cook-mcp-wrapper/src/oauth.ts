@@ -0,0 +1,519 @@
+/**
+ * OAuth 2.1 authorization server
+ *
+ * Implements the pieces of the MCP authorization spec that remote clients (Claude
+ * Desktop, the Agents SDK's `addMcpServer`) use to connect without a stdio bridge:
+ * - `/.well-known/oauth-protected-resource` (RFC 9728) and
+ *   `/.well-known/oauth-authorization-server` (RFC 8414) metadata
+ * - `/register`: dynamic client registration (RFC 7591)
+ * - `/authorize`: authorization code flow with mandatory PKCE (S256)
+ * - `/token`: code exchange and refresh token rotation
+ *
+ * Clients, codes and tokens live in the `OAUTH_KV` namespace; tokens are stored by
+ * their SHA-256 hash. The consent page asks for one of the Worker's API keys, so an
+ * OAuth token acts as the client that approved it. With no API keys configured
+ * nothing can be approved, and removing a key revokes the tokens it approved.
+ * Registrations expire unless a client keeps using them. Registrations and API key
+ * attempts on the consent page are rate limited per IP address (`oauth_register`
+ * and `oauth_authorize` in ratelimit.ts).
+ */
+
+import { type ClientIdentity, ANONYMOUS_CLIENT, findApiKeyClient, loadApiKeys } from './auth';
+import { consumeRateLimitFor, rateLimitKey, rateLimitMessage } from './ratelimit';
+
+const SCOPE = 'mcp';
+const CODE_TTL_SECONDS = 10 * 60;
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60;
+const REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+// Renewed whenever the client gets tokens, so only abandoned registrations expire
+const CLIENT_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+export const OAUTH_PATHS = {
+	protectedResource: '/.well-known/oauth-protected-resource',
+	authorizationServer: '/.well-known/oauth-authorization-server',
+	register: '/register',
+	authorize: '/authorize',
+	token: '/token',
+} as const;
+
+interface RegisteredClient {
+	client_id: string;
+	client_secret_hash?: string;
+	client_name?: string;
+	redirect_uris: string[];
+	token_endpoint_auth_method: 'none' | 'client_secret_post' | 'client_secret_basic';
+	client_id_issued_at: number;
+}
+
+interface AuthorizationCode {
+	clientId: string;
+	redirectUri: string;
+	codeChallenge: string;
+	scope: string;
+	resource?: string;
+	client: ClientIdentity;
+}
+
+interface StoredToken {
+	clientId: string;
+	scope: string;
+	client: ClientIdentity;
+	expiresAt: number;
+}
+
+/** An OAuth error as defined in RFC 6749 section 5.2 */
+class OAuthError extends Error {
+	constructor(
+		readonly error: string,
+		description: string,
+		readonly status = 400,
+		readonly retryAfterSeconds?: number,
+	) {
+		super(description);
+		this.name = 'OAuthError';
+	}
+
+	toResponse(): Response {
+		const response = jsonResponse({ error: this.error, error_description: this.message }, this.status);
+		if (this.retryAfterSeconds !== undefined) {
+			response.headers.set('Retry-After', String(this.retryAfterSeconds));
+		}
+		return response;
+	}
+}
+
+export class OAuthProvider {
+	private readonly issuer: string;
+
+	constructor(
+		private readonly kv: KVNamespace,
+		private readonly env: Record<string, unknown>,
+		origin: string,
+	) {
+		this.issuer = origin;
+	}
+
+	/** The OAuth server is on when an `OAUTH_KV` namespace is bound. */
+	static fromEnv(env: Record<string, unknown>, request: Request): OAuthProvider | undefined {
+		const kv = env.OAUTH_KV as KVNamespace | undefined;
+		return kv ? new OAuthProvider(kv, env, new URL(request.url).origin) : undefined;
+	}
+
+	get resourceMetadataUrl(): string {
+		return `${this.issuer}${OAUTH_PATHS.protectedResource}`;
+	}
+
+	/** Handle an OAuth endpoint, or return undefined so the request goes to the MCP transport. */
+	async handle(request: Request): Promise<Response | undefined> {
+		const { pathname } = new URL(request.url);
+		const isOAuthPath =
+			pathname.startsWith(OAUTH_PATHS.protectedResource) || Object.values(OAUTH_PATHS).includes(pathname as never);
+		if (!isOAuthPath) {
+			return undefined;
+		}
+
+		// Browser-based clients (MCP Inspector) call these endpoints cross-origin
+		if (request.method === 'OPTIONS') {
+			return new Response(null, { status: 204, headers: CORS_HEADERS });
+		}
+
+		try {
+			if (pathname.startsWith(OAUTH_PATHS.protectedResource)) {
+				return this.protectedResourceMetadata();
+			}
+			switch (pathname) {
+				case OAUTH_PATHS.authorizationServer:
+					return this.authorizationServerMetadata();
+				case OAUTH_PATHS.register:
+					return await this.register(request);
+				case OAUTH_PATHS.authorize:
+					return await this.authorize(request);
+				case OAUTH_PATHS.token:
+					return await this.token(request);
+			}
+		} catch (error) {
+			if (error instanceof OAuthError) {
+				return error.toResponse();
+			}
+			throw error;
+		}
+		return undefined;
+	}
+
+	/** Resolve an access token to the client that approved it, while that client's API key still exists. */
+	async verifyAccessToken(token: string): Promise<ClientIdentity | undefined> {
+		const tokenKey = `oauth:token:${await sha256(token)}`;
+		const stored = await this.kv.get<StoredToken>(tokenKey, 'json');
+		if (!stored || stored.expiresAt <= Date.now() / 1000) {
+			return undefined;
+		}
+		if (!this.approverExists(stored)) {
+			await this.kv.delete(tokenKey);
+			return undefined;
+		}
+		return { ...stored.client, method: 'oauth', oauthClientId: stored.clientId };
+	}
+
+	// Tokens act as the API key that approved them, so they go when the key does
+	private approverExists(grant: { client: ClientIdentity }): boolean {
+		return loadApiKeys(this.env).has(grant.client.name);
+	}
+
+	private protectedResourceMetadata(): Response {
+		return jsonResponse({
+			resource: this.issuer,
+			authorization_servers: [this.issuer],
+			scopes_supported: [SCOPE],
+			bearer_methods_supported: ['header'],
+		});
+	}
+
+	private authorizationServerMetadata(): Response {
+		return jsonResponse({
+			issuer: this.issuer,
+			authorization_endpoint: `${this.issuer}${OAUTH_PATHS.authorize}`,
+			token_endpoint: `${this.issuer}${OAUTH_PATHS.token}`,
+			registration_endpoint: `${this.issuer}${OAUTH_PATHS.register}`,
+			scopes_supported: [SCOPE],
+			response_types_supported: ['code'],
+			grant_types_supported: ['authorization_code', 'refresh_token'],
+			token_endpoint_auth_methods_supported: ['none', 'client_secret_post', 'client_secret_basic'],
+			code_challenge_methods_supported: ['S256'],
+		});
+	}
+
+	private async register(request: Request): Promise<Response> {
+		if (request.method !== 'POST') {
+			throw new OAuthError('invalid_request', 'Registration requires POST', 405);
+		}
+
+		const ip = request.headers.get('CF-Connecting-IP') ?? undefined;
+		const decision = await consumeRateLimitFor(this.env, rateLimitKey(ANONYMOUS_CLIENT, ip), 'oauth_register');
+		if (decision && !decision.allowed) {
+			throw new OAuthError('invalid_request', rateLimitMessage('oauth_register', decision), 429, decision.retryAfterSeconds);
+		}
+
+		const body = (await request.json().catch(() => null)) as Record<string, unknown> | null;
+		if (!body) {
+			throw new OAuthError('invalid_client_metadata', 'Body must be a JSON object');
+		}
+
+		const redirectUris = body.redirect_uris;
+		if (!Array.isArray(redirectUris) || redirectUris.length === 0 || !redirectUris.every(isAllowedRedirectUri)) {
+			throw new OAuthError('invalid_redirect_uri', 'redirect_uris must be https URLs or http loopback URLs');
+		}
+
+		const authMethod = (body.token_endpoint_auth_method as string | undefined) ?? 'client_secret_basic';
+		if (!['none', 'client_secret_post', 'client_secret_basic'].includes(authMethod)) {
+			throw new OAuthError('invalid_client_metadata', `Unsupported token_endpoint_auth_method "${authMethod}"`);
+		}
+
+		const clientId = randomToken();
+		const clientSecret = authMethod === 'none' ? undefined : randomToken();
+		const client: RegisteredClient = {
+			client_id: clientId,
+			client_secret_hash: clientSecret ? await sha256(clientSecret) : undefined,
+			client_name: typeof body.client_name === 'string' ? body.client_name : undefined,
+			redirect_uris: redirectUris as string[],
+			token_endpoint_auth_method: authMethod as RegisteredClient['token_endpoint_auth_method'],
+			client_id_issued_at: Math.floor(Date.now() / 1000),
+		};
+		await this.putClient(client);
+
+		return jsonResponse(
+			{
+				client_id: clientId,
+				...(clientSecret && { client_secret: clientSecret, client_secret_expires_at: 0 }),
+				client_id_issued_at: client.client_id_issued_at,
+				client_name: client.client_name,
+				redirect_uris: client.redirect_uris,
+				token_endpoint_auth_method: client.token_endpoint_auth_method,
+				grant_types: ['authorization_code', 'refresh_token'],
+				response_types: ['code'],
+			},
+			201,
+		);
+	}
+
+	private async authorize(request: Request): Promise<Response> {
+		const params =
+			request.method === 'POST' ? new URLSearchParams(await request.text()) : new URL(request.url).searchParams;
+
+		// Until client_id and redirect_uri check out, errors must not be redirected
+		const client = await this.getClient(params.get('client_id'));
+		const redirectUri = params.get('redirect_uri') ?? (client.redirect_uris.length === 1 ? client.redirect_uris[0] : null);
+		if (!redirectUri || !client.redirect_uris.includes(redirectUri)) {
+			throw new OAuthError('invalid_request', 'redirect_uri is missing or not registered for this client');
+		}
+
+		const state = params.get('state');
+		const redirectError = (error: string, description: string) =>
+			redirect(redirectUri, { error, error_description: description, state });
+
+		if (params.get('response_type') !== 'code') {
+			return redirectError('unsupported_response_type', 'Only response_type=code is supported');
+		}
+		const codeChallenge = params.get('code_challenge');
+		if (!codeChallenge || params.get('code_challenge_method') !== 'S256') {
+			return redirectError('invalid_request', 'PKCE with code_challenge_method=S256 is required');
+		}
+
+		// Without keys there is nobody to approve as; anyone who registered a client would get a token
+		const keys = loadApiKeys(this.env);
+		if (keys.size === 0) {
+			return redirectError('access_denied', 'The server has no API keys configured, so no one can approve access');
+		}
+		if (request.method !== 'POST') {
+			return consentPage(params, client);
+		}
+
+		if (params.get('decision') !== 'approve') {
+			return redirectError('access_denied', 'The user denied the request');
+		}
+
+		// Every attempt counts, so the consent page cannot be used to guess keys
+		const ip = request.headers.get('CF-Connecting-IP') ?? undefined;
+		const decision = await consumeRateLimitFor(this.env, rateLimitKey(ANONYMOUS_CLIENT, ip), 'oauth_authorize');
+		if (decision && !decision.allowed) {
+			throw new OAuthError('invalid_request', rateLimitMessage('oauth_authorize', decision), 429, decision.retryAfterSeconds);
+		}
+
+		const keyName = await findApiKeyClient(params.get('api_key') ?? '', keys);
+		if (!keyName) {
+			return consentPage(params, client, 'That API key is not valid.');
+		}
+		const approvedBy: ClientIdentity = { name: keyName, method: 'api_key' };
+
+		const code = randomToken();
+		const stored: AuthorizationCode = {
+			clientId: client.client_id,
+			redirectUri,
+			codeChallenge,
+			scope: SCOPE,
+			resource: params.get('resource') ?? undefined,
+			client: approvedBy,
+		};
+		await this.kv.put(`oauth:code:${await sha256(code)}`, JSON.stringify(stored), { expirationTtl: CODE_TTL_SECONDS });
+
+		return redirect(redirectUri, { code, state });
+	}
+
+	private async token(request: Request): Promise<Response> {
+		if (request.method !== 'POST') {
+			throw new OAuthError('invalid_request', 'Token requests require POST', 405);
+		}
+
+		const params = new URLSearchParams(await request.text());
+		const client = await this.authenticateClient(request, params);
+
+		switch (params.get('grant_type')) {
+			case 'authorization_code':
+				return this.exchangeCode(client, params);
+			case 'refresh_token':
+				return this.refresh(client, params);
+			default:
+				throw new OAuthError('unsupported_grant_type', 'Use authorization_code or refresh_token');
+		}
+	}
+
+	private async exchangeCode(client: RegisteredClient, params: URLSearchParams): Promise<Response> {
+		const codeKey = `oauth:code:${await sha256(params.get('code') ?? '')}`;
+		const code = await this.kv.get<AuthorizationCode>(codeKey, 'json');
+		// Codes are single use
+		await this.kv.delete(codeKey);
+
+		if (!code || code.clientId !== client.client_id) {
+			throw new OAuthError('invalid_grant', 'Authorization code is invalid or expired');
+		}
+		if (params.get('redirect_uri') && params.get('redirect_uri') !== code.redirectUri) {
+			throw new OAuthError('invalid_grant', 'redirect_uri does not match the authorization request');
+		}
+		const verifier = params.get('code_verifier');
+		if (!verifier || base64url(await sha256Bytes(verifier)) !== code.codeChallenge) {
+			throw new OAuthError('invalid_grant', 'PKCE verification failed');
+		}
+		if (!this.approverExists(code)) {
+			throw new OAuthError('invalid_grant', 'The API key that approved this client no longer exists');
+		}
+
+		return this.issueTokens(client, code.scope, code.client);
+	}
+
+	private async refresh(client: RegisteredClient, params: URLSearchParams): Promise<Response> {
+		const refreshKey = `oauth:refresh:${await sha256(params.get('refresh_token') ?? '')}`;
+		const stored = await this.kv.get<StoredToken>(refreshKey, 'json');
+		// Refresh tokens rotate: the old one stops working as soon as it is used
+		await this.kv.delete(refreshKey);
+
+		if (!stored || stored.clientId !== client.client_id || stored.expiresAt <= Date.now() / 1000) {
+			throw new OAuthError('invalid_grant', 'Refresh token is invalid or expired');
+		}
+		if (!this.approverExists(stored)) {
+			throw new OAuthError('invalid_grant', 'The API key that approved this client no longer exists');
+		}
+
+		return this.issueTokens(client, stored.scope, stored.client);
+	}
+
+	private async issueTokens(client: RegisteredClient, scope: string, approvedBy: ClientIdentity): Promise<Response> {
+		const clientId = client.client_id;
+		const now = Math.floor(Date.now() / 1000);
+		const accessToken = randomToken();
+		const refreshToken = randomToken();
+
+		const access: StoredToken = { clientId, scope, client: approvedBy, expiresAt: now + ACCESS_TOKEN_TTL_SECONDS };
+		const refresh: StoredToken = { clientId, scope, client: approvedBy, expiresAt: now + REFRESH_TOKEN_TTL_SECONDS };
+		await Promise.all([
+			this.kv.put(`oauth:token:${await sha256(accessToken)}`, JSON.stringify(access), {
+				expirationTtl: ACCESS_TOKEN_TTL_SECONDS,
+			}),
+			this.kv.put(`oauth:refresh:${await sha256(refreshToken)}`, JSON.stringify(refresh), {
+				expirationTtl: REFRESH_TOKEN_TTL_SECONDS,
+			}),
+			this.putClient(client),
+		]);
+
+		return jsonResponse({
+			access_token: accessToken,
+			token_type: 'Bearer',
+			expires_in: ACCESS_TOKEN_TTL_SECONDS,
+			refresh_token: refreshToken,
+			scope,
+		});
+	}
+
+	private async putClient(client: RegisteredClient): Promise<void> {
+		await this.kv.put(`oauth:client:${client.client_id}`, JSON.stringify(client), { expirationTtl: CLIENT_TTL_SECONDS });
+	}
+
+	private async getClient(clientId: string | null): Promise<RegisteredClient> {
+		const client = clientId ? await this.kv.get<RegisteredClient>(`oauth:client:${clientId}`, 'json') : null;
+		if (!client) {
+			throw new OAuthError('invalid_client', 'Unknown client_id', 401);
+		}
+		return client;
+	}
+
+	/** Token endpoint client authentication: none, client_secret_post or client_secret_basic. */
+	private async authenticateClient(request: Request, params: URLSearchParams): Promise<RegisteredClient> {
+		let clientId = params.get('client_id');
+		let clientSecret = params.get('client_secret');
+
+		const authorization = request.headers.get('Authorization');
+		if (authorization?.startsWith('Basic ')) {
+			try {
+				const [id, secret] = atob(authorization.slice(6)).split(':');
+				clientId = decodeURIComponent(id);
+				clientSecret = decodeURIComponent(secret ?? '');
+			} catch {
+				throw new OAuthError('invalid_client', 'Malformed Basic authorization header', 401);
+			}
+		}
+
+		const client = await this.getClient(clientId);
+		if (client.token_endpoint_auth_method !== 'none') {
+			if (!clientSecret || (await sha256(clientSecret)) !== client.client_secret_hash) {
+				throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+			}
+		}
+		return client;
+	}
+}
+
+const CORS_HEADERS = {
+	'Access-Control-Allow-Origin': '*',
+	'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+	'Access-Control-Allow-Headers': 'Authorization, Content-Type, MCP-Protocol-Version',
+};
+
+function jsonResponse(body: unknown, status = 200): Response {
+	return new Response(JSON.stringify(body), {
+		status,
+		headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...CORS_HEADERS },
+	});
+}
+
+function redirect(uri: string, params: Record<string, string | null>): Response {
+	const url = new URL(uri);
+	for (const [key, value] of Object.entries(params)) {
+		if (value !== null) {
+			url.searchParams.set(key, value);
+		}
+	}
+	return new Response(null, { status: 302, headers: { Location: url.toString() } });
+}
+
+/** OAuth 2.1 allows https redirects, plus http only for loopback (native apps). */
+function isAllowedRedirectUri(value: unknown): boolean {
+	if (typeof value !== 'string') {
+		return false;
+	}
+	try {
+		const url = new URL(value);
+		if (url.hash) {
+			return false;
+		}
+		if (url.protocol === 'https:') {
+			return true;
+		}
+		return url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+	} catch {
+		return false;
+	}
+}
+
+function consentPage(params: URLSearchParams, client: RegisteredClient, error?: string): Response {
+	const hidden = [...params.entries()]
+		.filter(([key]) => key !== 'api_key' && key !== 'decision')
+		.map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+		.join('\n\t\t');
+	const clientName = escapeHtml(client.client_name ?? client.client_id);
+
+	const html = `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>Authorize ${clientName}</title></head>
+<body style="font-family: system-ui, sans-serif; max-width: 28rem; margin: 4rem auto;">
+	<h1>Cook Engineering Manual</h1>
+	<p><strong>${clientName}</strong> wants to use the handbook tools on your behalf.</p>
+	${error ? `<p style="color: #b00020;">${escapeHtml(error)}</p>` : ''}
+	<form method="post" action="${OAUTH_PATHS.authorize}">
+		${hidden}
+		<p><label>Your API key<br><input type="password" name="api_key" required autofocus></label></p>
+		<button type="submit" name="decision" value="approve">Approve</button>
+		<button type="submit" name="decision" value="deny" formnovalidate>Deny</button>
+	</form>
+</body>
+</html>`;
+
+	return new Response(html, {
+		status: error ? 401 : 200,
+		headers: {
+			'Content-Type': 'text/html; charset=utf-8',
+			'Cache-Control': 'no-store',
+			'X-Frame-Options': 'DENY',
+		},
+	});
+}
+
+function escapeHtml(value: string): string {
+	return value.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function randomToken(): string {
+	return base64url(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+async function sha256Bytes(value: string): Promise<Uint8Array> {
+	return new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value)));
+}
+
+async function sha256(value: string): Promise<string> {
+	return [...(await sha256Bytes(value))].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function base64url(bytes: Uint8Array): string {
+	return btoa(String.fromCharCode(...bytes))
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_')
+		.replace(/=+$/, '');
+}
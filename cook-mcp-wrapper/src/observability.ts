@@ -0,0 +1,316 @@
+/**
+ * Structured request logs and per-tool call metrics
+ *
+ * Every JSON-RPC message gets one JSON log line (Workers Logs indexes the fields)
+ * carrying a correlation ID: the caller's `X-Request-Id` when it sends a usable one,
+ * otherwise a fresh UUID. The same ID goes to the backend as `X-Request-Id` and back
+ * to the caller on the HTTP response, so one search can be followed from Claude
+ * through the Worker to the Python wrapper.
+ *
+ * Each tool call is also recorded as a `CallMetric` in every sink returned for the
+ * environment: always the in-memory `recentCalls` behind the `stats` tool, plus
+ * Workers Analytics Engine when a `METRICS` dataset is bound.
+ */
+
+import type { Ctx, Middleware } from 'mcp-lite';
+import { clientOf } from './auth';
+import type { BackendTelemetry } from './backend';
+
+/** How many tool calls `recentCalls` keeps, per Worker isolate */
+const RECENT_CALLS_LIMIT = 500;
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+export type CallOutcome = 'ok' | 'tool_error' | 'error';
+
+/** One finished tool call. */
+export interface CallMetric {
+	tool: string;
+	client: string;
+	outcome: CallOutcome;
+	/** Backend error category for a tool error, JSON-RPC error code for an error */
+	error?: string;
+	durationMs: number;
+	/** Time spent waiting on the backend, over all attempts */
+	backendMs: number;
+	backendCalls: number;
+	/** Epoch milliseconds when the call finished */
+	at: number;
+}
+
+/** Somewhere tool call metrics go. */
+export interface MetricsSink {
+	record(metric: CallMetric): void;
+}
+
+export interface ToolStats {
+	tool: string;
+	calls: number;
+	errors: number;
+	/** Errors by backend category or JSON-RPC code */
+	errorsBy: Record<string, number>;
+	p50Ms: number;
+	p95Ms: number;
+	maxMs: number;
+	avgBackendMs: number;
+	lastError?: { at: string; error: string };
+}
+
+export interface CallStats {
+	/** When the oldest call counted finished; absent when there are none */
+	since?: string;
+	calls: number;
+	tools: ToolStats[];
+}
+
+/** The most recent tool calls handled by this isolate, for the `stats` tool. */
+export class RecentCalls implements MetricsSink {
+	private readonly calls: CallMetric[] = [];
+
+	constructor(private readonly limit = RECENT_CALLS_LIMIT) {}
+
+	record(metric: CallMetric): void {
+		this.calls.push(metric);
+		if (this.calls.length > this.limit) {
+			this.calls.shift();
+		}
+	}
+
+	clear(): void {
+		this.calls.length = 0;
+	}
+
+	/** Per-tool counts and latencies of the calls that finished at or after `since`. */
+	summary(since = 0): CallStats {
+		const calls = this.calls.filter((call) => call.at >= since);
+		const byTool = new Map<string, CallMetric[]>();
+		for (const call of calls) {
+			byTool.set(call.tool, [...(byTool.get(call.tool) ?? []), call]);
+		}
+
+		const tools = [...byTool].map(([tool, toolCalls]): ToolStats => {
+			const durations = toolCalls.map((call) => call.durationMs).sort((a, b) => a - b);
+			const failed = toolCalls.filter((call) => call.outcome !== 'ok');
+			const errorsBy: Record<string, number> = {};
+			for (const call of failed) {
+				const key = call.error ?? call.outcome;
+				errorsBy[key] = (errorsBy[key] ?? 0) + 1;
+			}
+			const last = failed.at(-1);
+
+			return {
+				tool,
+				calls: toolCalls.length,
+				errors: failed.length,
+				errorsBy,
+				p50Ms: percentile(durations, 0.5),
+				p95Ms: percentile(durations, 0.95),
+				maxMs: durations.at(-1) ?? 0,
+				avgBackendMs: Math.round(toolCalls.reduce((sum, call) => sum + call.backendMs, 0) / toolCalls.length),
+				...(last && { lastError: { at: new Date(last.at).toISOString(), error: last.error ?? last.outcome } }),
+			};
+		});
+
+		return {
+			...(calls.length > 0 && { since: new Date(calls[0].at).toISOString() }),
+			calls: calls.length,
+			tools: tools.sort((a, b) => b.calls - a.calls),
+		};
+	}
+}
+
+/** Shared by every request this isolate serves */
+export const recentCalls = new RecentCalls();
+
+/**
+ * Writes one Analytics Engine data point per call, indexed by tool:
+ * blobs `[tool, outcome, error, client]`, doubles `[durationMs, backendMs, backendCalls]`.
+ */
+export class AnalyticsEngineSink implements MetricsSink {
+	constructor(private readonly dataset: AnalyticsEngineDataset) {}
+
+	record(metric: CallMetric): void {
+		this.dataset.writeDataPoint({
+			indexes: [metric.tool],
+			blobs: [metric.tool, metric.outcome, metric.error ?? '', metric.client],
+			doubles: [metric.durationMs, metric.backendMs, metric.backendCalls],
+		});
+	}
+}
+
+/** The sinks for this environment: recent calls, and Analytics Engine when `METRICS` is bound. */
+export function defaultMetricsSinks(env: Record<string, unknown>): MetricsSink[] {
+	const dataset = env.METRICS as AnalyticsEngineDataset | undefined;
+	return dataset ? [recentCalls, new AnalyticsEngineSink(dataset)] : [recentCalls];
+}
+
+/** The caller's `X-Request-Id` if it is safe to log and forward, otherwise a new one. */
+export function requestIdFor(request: Request): string {
+	const presented = request.headers.get('X-Request-Id');
+	return presented && REQUEST_ID_PATTERN.test(presented) ? presented : crypto.randomUUID();
+}
+
+/**
+ * Log something that happened outside a request's own line, such as a failed
+ * dependency, as one JSON line in the same shape: `message`, then `event` and
+ * fields, with an error's message as `errorMessage`.
+ */
+export function logEvent(
+	level: 'info' | 'error',
+	event: string,
+	message: string,
+	fields: Record<string, unknown> = {},
+	error?: unknown,
+): void {
+	const line = {
+		message,
+		event,
+		...fields,
+		...(error !== undefined && { errorMessage: error instanceof Error ? error.message : String(error) }),
+	};
+	if (level === 'info') {
+		console.log(JSON.stringify(line));
+	} else {
+		console.error(JSON.stringify(line));
+	}
+}
+
+// Built up while one JSON-RPC message is handled
+interface Trace {
+	requestId: string;
+	backendCalls: number;
+	backendMs: number;
+}
+
+/** Backend options that forward this request's ID and count its backend time. */
+export function backendTelemetry(ctx: Ctx): BackendTelemetry {
+	const trace = ctx.state.trace as Trace | undefined;
+	if (!trace) {
+		return {};
+	}
+	return {
+		requestId: trace.requestId,
+		onAttempt: (attempt) => {
+			trace.backendCalls++;
+			trace.backendMs += attempt.durationMs;
+		},
+	};
+}
+
+/**
+ * Log every message as one JSON line once it is handled, and record tool calls in
+ * the metrics sinks. Expects `ctx.state.requestId` from the fetch handler.
+ */
+export function observabilityMiddleware(
+	sinksFor: (env: Record<string, unknown>) => MetricsSink[] = defaultMetricsSinks,
+): Middleware {
+	return async (ctx, next) => {
+		const trace: Trace = {
+			requestId: (ctx.state.requestId as string | undefined) ?? crypto.randomUUID(),
+			backendCalls: 0,
+			backendMs: 0,
+		};
+		ctx.state.trace = trace;
+		const started = Date.now();
+
+		let thrown: unknown;
+		try {
+			await next();
+		} catch (error) {
+			thrown = error;
+			throw error;
+		} finally {
+			const finished = Date.now();
+			const tool = ctx.request.method === 'tools/call' ? (ctx.request.params as { name?: string } | undefined)?.name : undefined;
+			const { outcome, error, message } = outcomeOf(ctx, thrown);
+			const client = clientOf(ctx).name;
+
+			const line = {
+				message: `${ctx.request.method}${tool ? ` ${tool}` : ''} ${outcome}`,
+				requestId: trace.requestId,
+				method: ctx.request.method,
+				...(ctx.requestId !== undefined && { id: ctx.requestId }),
+				...(tool && { tool }),
+				client,
+				...(ctx.session && { session: ctx.session.id }),
+				durationMs: finished - started,
+				backendCalls: trace.backendCalls,
+				backendMs: trace.backendMs,
+				outcome,
+				...(error && { error }),
+				...(message && { errorMessage: message }),
+			};
+			if (outcome === 'ok') {
+				console.log(JSON.stringify(line));
+			} else {
+				console.error(JSON.stringify(line));
+			}
+
+			if (tool) {
+				const metric: CallMetric = {
+					tool,
+					client,
+					outcome,
+					...(error && { error }),
+					durationMs: finished - started,
+					backendMs: trace.backendMs,
+					backendCalls: trace.backendCalls,
+					at: finished,
+				};
+				for (const sink of sinksFor(ctx.env)) {
+					try {
+						sink.record(metric);
+					} catch (sinkError) {
+						console.error('[cook-mcp] Metrics sink failed:', sinkError);
+					}
+				}
+			}
+		}
+	};
+}
+
+/** Plain-text rendering of `stats` for the tool result. */
+export function formatStats(stats: CallStats): string {
+	if (stats.calls === 0) {
+		return 'No tool calls recorded yet on this Worker instance.';
+	}
+
+	const lines = [`${stats.calls} tool calls since ${stats.since} on this Worker instance:`];
+	for (const tool of stats.tools) {
+		const errors = tool.errors === 0 ? 'no errors' : `${tool.errors} errors (${formatErrors(tool.errorsBy)})`;
+		const latency = `p50 ${tool.p50Ms} ms, p95 ${tool.p95Ms} ms, max ${tool.maxMs} ms`;
+		lines.push(`- ${tool.tool}: ${tool.calls} calls, ${errors}; ${latency}; backend ${tool.avgBackendMs} ms on average`);
+	}
+	return lines.join('\n');
+}
+
+function outcomeOf(ctx: Ctx, thrown: unknown): { outcome: CallOutcome; error?: string; message?: string } {
+	if (thrown !== undefined) {
+		const code = (thrown as { code?: unknown }).code;
+		return {
+			outcome: 'error',
+			error: String(typeof code === 'number' ? code : -32603),
+			message: thrown instanceof Error ? thrown.message : String(thrown),
+		};
+	}
+	if (ctx.response?.error) {
+		return { outcome: 'error', error: String(ctx.response.error.code), message: ctx.response.error.message };
+	}
+
+	const result = ctx.response?.result as { isError?: boolean; _meta?: { errorCategory?: string } } | undefined;
+	if (result?.isError) {
+		return { outcome: 'tool_error', error: result._meta?.errorCategory };
+	}
+	return { outcome: 'ok' };
+}
+
+function formatErrors(errorsBy: Record<string, number>): string {
+	return Object.entries(errorsBy)
+		.map(([error, count]) => `${count} ${error}`)
+		.join(', ');
+}
+
+/** Nearest-rank percentile of sorted values. */
+function percentile(sorted: number[], p: number): number {
+	return sorted.length === 0 ? 0 : sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+}
@@ -0,0 +1,197 @@
+/**
+ * Document pages as MCP resources
+ *
+ * Every handbook page is addressable as `cook-handbook://page/{n}`, and every page
+ * of another collection (see collections.ts) as `cook-docs://{collection}/page/{n}`,
+ * so clients can attach pages as context without a tool call:
+ * - `resources/templates/list` advertises the URI templates
+ * - `resources/list` returns one entry per page with its title, collection by
+ *   collection, paginated by cursor
+ * - `resources/read` returns the page text and its images as blobs
+ *
+ * Page reads share the `get_page_direct` cache entries and rate limit. mcp-lite only lists static
+ * resources, so `resources/list` is answered by a middleware here.
+ */
+
+import { type Ctx, JSON_RPC_ERROR_CODES, type McpServer, RpcError } from 'mcp-lite';
+import { type BackendToolResult, BackendError } from './backend';
+import { type CachedValue, type ResponseCache, createResponseCache, pageIndexCacheKey, pageCacheKey } from './cache';
+import { backendFor } from './circuit';
+import { type Collection, isDefaultCollection, loadCollections } from './collections';
+import type { HandbookBackend, PageSummary } from './handbook';
+import { consumeRateLimit } from './ratelimit';
+
+export const PAGE_URI_TEMPLATE = 'cook-handbook://page/{n}';
+export const COLLECTION_PAGE_URI_TEMPLATE = 'cook-docs://{collection}/page/{n}';
+
+const LIST_PAGE_SIZE = 50;
+const PAGE_TIMEOUT_MS = 30_000;
+
+export function pageUriTemplate(collection: Collection): string {
+	return isDefaultCollection(collection) ? PAGE_URI_TEMPLATE : `cook-docs://${collection.id}/page/{n}`;
+}
+
+export function pageUri(collection: Collection, pageNumber: number): string {
+	return isDefaultCollection(collection)
+		? `cook-handbook://page/${pageNumber}`
+		: `cook-docs://${collection.id}/page/${pageNumber}`;
+}
+
+/** Fetch one page through the response cache. */
+export function loadPage(
+	backend: HandbookBackend,
+	cache: ResponseCache,
+	pageNumber: number,
+	bypass = false,
+): Promise<CachedValue<BackendToolResult>> {
+	return cache.getOrFetch(pageCacheKey(backend.kind, backend.collection.id, pageNumber), cache.ttls.page, bypass, () =>
+		backend.getPage(pageNumber, { timeoutMs: PAGE_TIMEOUT_MS, idempotent: true }),
+	);
+}
+
+/**
+ * The collection's full page index, 1 through its page count. Pages the backend does
+ * not know a title for (or all of them, if it cannot list pages) have none.
+ */
+export async function loadPageIndex(backend: HandbookBackend, cache: ResponseCache): Promise<PageSummary[]> {
+	const { collection } = backend;
+	const { value: known } = await cache.getOrFetch(pageIndexCacheKey(backend.kind, collection.id), cache.ttls.page, false, () =>
+		backend.listPages(),
+	);
+	const titles = new Map(known.map((page) => [page.page_number, page.title]));
+
+	return Array.from({ length: collection.pageCount }, (_, i) => ({
+		page_number: i + 1,
+		title: titles.get(i + 1),
+	}));
+}
+
+export function registerPageResources(server: McpServer): void {
+	const readPage = async (uri: URL, vars: Record<string, string | undefined>, ctx: Ctx) => {
+		const collection = loadCollections(ctx.env).resolve(vars.collection);
+		const pageNumber = Number(vars.n);
+		if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > collection.pageCount) {
+			throw new RpcError(
+				JSON_RPC_ERROR_CODES.INVALID_PARAMS,
+				`Page must be an integer from 1 to ${collection.pageCount} in ${collection.title}, got "${vars.n}"`,
+			);
+		}
+
+		// Otherwise resources/read would be an unlimited way round get_page_direct
+		await consumeRateLimit(ctx, 'get_page_direct');
+
+		const backend = backendFor(ctx, collection);
+		let result: BackendToolResult;
+		try {
+			({ value: result } = await loadPage(backend, createResponseCache(ctx.env), pageNumber));
+		} catch (error) {
+			throw toRpcError(error, backend);
+		}
+
+		return {
+			contents: [
+				{ uri: uri.href, type: 'text' as const, mimeType: 'text/plain', text: result.text || 'No content found' },
+				...(result.images ?? []).map((image) => ({ uri: uri.href, mimeType: image.mimeType, blob: image.data })),
+			],
+		};
+	};
+
+	server.resource(
+		PAGE_URI_TEMPLATE,
+		{
+			name: 'Cook Engineering Handbook page',
+			description: 'A single handbook page: extracted text plus page images',
+			mimeType: 'text/plain',
+		},
+		readPage,
+	);
+	server.resource(
+		COLLECTION_PAGE_URI_TEMPLATE,
+		{
+			name: 'Cook document page',
+			description: 'A page of a catalog, manual or spec sheet (see the list_collections tool): extracted text plus page images',
+			mimeType: 'text/plain',
+		},
+		readPage,
+	);
+
+	// Paginated resources/list with page titles, answered before mcp-lite's static-only listing
+	server.use(async (ctx, next) => {
+		if (ctx.request.method !== 'resources/list' || ctx.requestId === undefined) {
+			return next();
+		}
+
+		const cursor = (ctx.request.params as { cursor?: string } | undefined)?.cursor;
+		const offset = cursor === undefined ? 0 : decodeCursor(cursor);
+
+		// Offsets run through every collection's pages in turn; only the collections in this slice are fetched
+		const cache = createResponseCache(ctx.env);
+		const resources: Array<{ uri: string; name: string; mimeType: string }> = [];
+		let start = 0;
+		for (const collection of loadCollections(ctx.env).list()) {
+			const end = start + collection.pageCount;
+			if (end > offset && start < offset + LIST_PAGE_SIZE) {
+				const backend = backendFor(ctx, collection);
+				let index: PageSummary[];
+				try {
+					index = await loadPageIndex(backend, cache);
+				} catch (error) {
+					throw toRpcError(error, backend);
+				}
+				const slice = index.slice(Math.max(0, offset - start), offset + LIST_PAGE_SIZE - start);
+				resources.push(...slice.map((page) => pageResource(collection, page)));
+			}
+			start = end;
+		}
+
+		const nextOffset = offset + resources.length;
+		ctx.response = {
+			jsonrpc: '2.0',
+			id: ctx.requestId,
+			result: {
+				resources,
+				...(nextOffset < start && { nextCursor: encodeCursor(nextOffset) }),
+			},
+		};
+	});
+}
+
+function pageResource(collection: Collection, page: PageSummary): { uri: string; name: string; mimeType: string } {
+	const name = page.title ? `Page ${page.page_number}: ${page.title}` : `Page ${page.page_number}`;
+	return {
+		uri: pageUri(collection, page.page_number),
+		name: isDefaultCollection(collection) ? name : `${collection.title}, ${name}`,
+		mimeType: 'text/plain',
+	};
+}
+
+function encodeCursor(offset: number): string {
+	return btoa(`offset:${offset}`);
+}
+
+function decodeCursor(cursor: string): number {
+	let offset = Number.NaN;
+	try {
+		const decoded = atob(cursor);
+		if (decoded.startsWith('offset:')) {
+			offset = Number(decoded.slice('offset:'.length));
+		}
+	} catch {
+		// Fall through to the invalid cursor error
+	}
+	if (!Number.isInteger(offset) || offset < 0) {
+		throw new RpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, 'Invalid cursor');
+	}
+	return offset;
+}
+
+/** Resource requests have no tool result to carry errors, so backend failures become JSON-RPC errors. */
+function toRpcError(error: unknown, backend: HandbookBackend): RpcError {
+	if (error instanceof BackendError) {
+		return new RpcError(JSON_RPC_ERROR_CODES.INTERNAL_ERROR, `${backend.target.name}: ${error.message}`, {
+			errorCategory: error.category,
+			...(error.status !== undefined && { status: error.status }),
+		});
+	}
+	return new RpcError(JSON_RPC_ERROR_CODES.INTERNAL_ERROR, error instanceof Error ? error.message : 'Unknown error');
+}
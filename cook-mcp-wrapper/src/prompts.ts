@@ -0,0 +1,181 @@
+/**
+ * Prompts for common engineering workflows
+ *
+ * Each prompt expands into a short message sequence: shared ground rules (answer
+ * from the handbook, cite page numbers), then the task broken into the searches the
+ * model should run with `search_engineering_manual`.
+ *
+ * Prompt arguments arrive as strings, so numbers and states are checked here and bad
+ * values are refused with INVALID_PARAMS before any message is built.
+ */
+
+import { JSON_RPC_ERROR_CODES, type McpServer, RpcError } from 'mcp-lite';
+import { PAGE_URI_TEMPLATE } from './pages';
+import { findUsState, zoneLocation } from './zones';
+
+interface PromptMessage {
+	role: 'user' | 'assistant';
+	content: { type: 'text'; text: string };
+}
+
+type PromptArgs = Record<string, unknown>;
+
+const GROUND_RULES = `You are helping an engineer with a question about Cook fans, motors and ductwork.
+Answer only from the Cook Engineering Handbook:
+- Use the search_engineering_manual tool for every fact you need. Run one search per sub-question rather than one broad search.
+- When a search points at a specific page, read it with get_page_direct or the ${PAGE_URI_TEMPLATE} resource.
+- For arithmetic (duct friction, fan laws, motor power, unit conversions) use the calculate_* and convert_units tools rather than computing by hand.
+- For the wind zone or seismic category of a US state or county, use lookup_design_zones before searching the maps.
+- Cite the handbook page number for every value, formula, table or map you rely on, e.g. "(p. 42)".
+- If the handbook does not cover something, say so instead of filling the gap from general knowledge.`;
+
+export function registerEngineeringPrompts(server: McpServer): void {
+	server.prompt('size_fan', {
+		title: 'Size a fan',
+		description: 'Select and size a fan for a required airflow and static pressure',
+		arguments: [
+			{ name: 'cfm', description: 'Required airflow in cubic feet per minute', required: true },
+			{ name: 'static_pressure', description: 'System static pressure in inches of water gauge', required: true },
+			{ name: 'application', description: 'What the fan is for, e.g. "kitchen exhaust" or "rooftop supply"' },
+			{ name: 'duct_diameter', description: 'Round duct diameter at the fan connection, in inches' },
+		],
+		handler: (args: PromptArgs) => {
+			const cfm = positiveNumber(args, 'cfm');
+			const staticPressure = positiveNumber(args, 'static_pressure');
+			const application = optionalText(args, 'application');
+			const ductDiameter = optionalPositiveNumber(args, 'duct_diameter');
+
+			const steps = [
+				`Search for the fan selection procedure and fan laws, and summarize how the handbook says to pick a fan type and size for ${cfm} CFM at ${staticPressure} in. wg.`,
+				application && `Search for guidance specific to ${application} applications (recommended fan types, construction, code requirements).`,
+				ductDiameter !== undefined &&
+					`Compute the duct velocity and friction loss for ${cfm} CFM in a ${ductDiameter} in. round duct with calculate_duct_friction, then search for recommended duct velocities so you can say whether that velocity is acceptable.`,
+				'Search for system effect and inlet/outlet connection losses, and say whether the static pressure should be adjusted before selecting the fan.',
+				'Recommend a fan type and the operating point to select at, show any calculations step by step, and list the page numbers you used.',
+			];
+
+			return {
+				description: `Fan sizing for ${cfm} CFM at ${staticPressure} in. wg`,
+				messages: conversation(
+					`I need to size a fan for ${cfm} CFM at ${staticPressure} in. wg static pressure${application ? ` for ${application}` : ''}.`,
+					steps,
+				),
+			};
+		},
+	});
+
+	server.prompt('check_design_zones', {
+		title: 'Check wind and seismic zones',
+		description: 'Look up wind and seismic design requirements for a US state',
+		arguments: [
+			{ name: 'state', description: 'US state name or two-letter abbreviation, e.g. "Missouri" or "MO"', required: true },
+			{ name: 'county', description: 'County, when the zone maps split the state' },
+		],
+		handler: (args: PromptArgs) => {
+			const { code, name: state } = usState(args, 'state');
+			const county = optionalText(args, 'county');
+			const location = zoneLocation(state, county);
+			const lookup = county ? `state "${code}" and county "${county}"` : `state "${code}"`;
+
+			const steps = [
+				`Call lookup_design_zones with ${lookup} for the wind zone, design wind speed and seismic category of ${location}, and whether it is a high wind zone.`,
+				'Search for the equipment requirements that follow from those zones: fan and curb attachment, restraints, certification, and any wind or seismic rated construction.',
+				county
+					? 'Explain how the county location affects the zones, if the maps show it.'
+					: 'If the maps split the state into several zones, list the zones and which parts of the state they cover.',
+				'Summarize the wind zone, seismic zone and resulting requirements in a short table, with the page number for each entry.',
+			];
+
+			return {
+				description: `Wind and seismic design zones for ${location}`,
+				messages: conversation(`What wind and seismic zone requirements apply to equipment installed in ${location}?`, steps),
+			};
+		},
+	});
+
+	server.prompt('compare_motor_efficiency', {
+		title: 'Compare motor efficiency classes',
+		description: 'Compare motor efficiency classes for a motor size',
+		arguments: [
+			{ name: 'horsepower', description: 'Motor size in horsepower', required: true },
+			{ name: 'classes', description: 'Classes to compare, e.g. "premium, NEMA super premium"; defaults to all the handbook lists' },
+			{ name: 'enclosure', description: 'Motor enclosure, e.g. "ODP" or "TEFC"' },
+		],
+		handler: (args: PromptArgs) => {
+			const horsepower = positiveNumber(args, 'horsepower');
+			const classes = optionalText(args, 'classes');
+			const enclosure = optionalText(args, 'enclosure');
+			const motor = `${horsepower} hp${enclosure ? ` ${enclosure}` : ''} motor`;
+
+			const steps = [
+				`Search for motor efficiency requirements and the efficiency classes the handbook defines${classes ? `, focusing on ${classes}` : ''}.`,
+				`Search for the nominal full-load efficiency tables and read off the values for a ${motor} in each class.`,
+				'Search for what the regulations require as a minimum and which classes meet it.',
+				`Estimate the difference in annual energy use between the classes for a ${motor}, stating the operating hours and load you assume.`,
+				'Present the comparison as a table (class, efficiency, notes) with page numbers, then recommend a class.',
+			];
+
+			return {
+				description: `Motor efficiency classes for a ${motor}`,
+				messages: conversation(`Compare the motor efficiency classes for a ${motor}.`, steps),
+			};
+		},
+	});
+}
+
+// Ground rules first, then the ask with its steps numbered
+function conversation(ask: string, steps: Array<string | false | undefined>): PromptMessage[] {
+	const numbered = steps.filter((step): step is string => Boolean(step)).map((step, i) => `${i + 1}. ${step}`);
+	return [
+		{ role: 'user', content: { type: 'text', text: GROUND_RULES } },
+		{ role: 'user', content: { type: 'text', text: `${ask}\n\nWork through it in this order:\n${numbered.join('\n')}` } },
+	];
+}
+
+function invalidArgument(message: string): RpcError {
+	return new RpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, message);
+}
+
+function optionalText(args: PromptArgs, name: string): string | undefined {
+	const value = args[name];
+	if (value === undefined || value === null) {
+		return undefined;
+	}
+	if (typeof value !== 'string' && typeof value !== 'number') {
+		throw invalidArgument(`Argument "${name}" must be a string`);
+	}
+	const text = String(value).trim();
+	return text === '' ? undefined : text;
+}
+
+function optionalPositiveNumber(args: PromptArgs, name: string): number | undefined {
+	const text = optionalText(args, name);
+	if (text === undefined) {
+		return undefined;
+	}
+	const value = Number(text.replace(/,/g, ''));
+	if (!Number.isFinite(value) || value <= 0) {
+		throw invalidArgument(`Argument "${name}" must be a positive number, got "${text}"`);
+	}
+	return value;
+}
+
+function positiveNumber(args: PromptArgs, name: string): number {
+	const value = optionalPositiveNumber(args, name);
+	if (value === undefined) {
+		throw invalidArgument(`Missing required argument "${name}"`);
+	}
+	return value;
+}
+
+function usState(args: PromptArgs, name: string): { code: string; name: string } {
+	const text = optionalText(args, name);
+	if (text === undefined) {
+		throw invalidArgument(`Missing required argument "${name}"`);
+	}
+	const state = findUsState(text);
+	if (!state) {
+		throw invalidArgument(`Argument "${name}" must be a US state name or abbreviation, got "${text}"`);
+	}
+	return state;
+}
@@ -0,0 +1,232 @@
+/**
+ * Per-client rate limiting and quotas
+ *
+ * `search_engineering_manual` costs a GPT-4o Vision call every time, so each client
+ * gets a token bucket per tool plus optional daily and monthly call quotas. State
+ * lives in the `RateLimiter` Durable Object, one instance per client, which
+ * serializes its requests so concurrent calls cannot overspend a bucket.
+ *
+ * Clients are identified by API key / OAuth identity, or by IP address when
+ * anonymous. Tools without a policy (such as `health_check`) are never limited.
+ * Without a `RATE_LIMITER` binding the middleware does nothing, and if the Durable
+ * Object fails, calls go through rather than fail with it.
+ */
+
+import { type Ctx, type Middleware, RpcError } from 'mcp-lite';
+import { ANONYMOUS_CLIENT, type ClientIdentity, clientOf } from './auth';
+import { logEvent } from './observability';
+
+/** JSON-RPC server error code for rate-limited and over-quota calls */
+export const RATE_LIMITED_ERROR_CODE = -32029;
+
+export interface RateLimitPolicy {
+	/** Burst size: calls allowed back to back */
+	capacity: number;
+	/** Sustained rate at which the bucket refills */
+	refillPerMinute: number;
+	/** Calls allowed per UTC day, unlimited when omitted */
+	daily?: number;
+	/** Calls allowed per UTC month, unlimited when omitted */
+	monthly?: number;
+}
+
+export const DEFAULT_RATE_LIMITS: Record<string, RateLimitPolicy> = {
+	search_engineering_manual: { capacity: 5, refillPerMinute: 5, daily: 200, monthly: 2000 },
+	get_page_direct: { capacity: 20, refillPerMinute: 20 },
+	get_figure: { capacity: 20, refillPerMinute: 20 },
+	// Each job runs vision extraction over every page of the PDF
+	ingest_document: { capacity: 3, refillPerMinute: 1, daily: 20 },
+	// Not tools: OAuth dynamic client registration and consent page API key attempts, per IP address (see oauth.ts)
+	oauth_register: { capacity: 5, refillPerMinute: 1, daily: 20 },
+	oauth_authorize: { capacity: 5, refillPerMinute: 1, daily: 50 },
+};
+
+/** Tools that are never limited, even if `RATE_LIMITS` names them */
+const EXEMPT_TOOLS = new Set(['health_check']);
+
+export interface RateLimitDecision {
+	allowed: boolean;
+	/** Which limit refused the call */
+	limit?: 'rate' | 'daily' | 'monthly';
+	/** Seconds until a retry can succeed; omitted when the limit never refills */
+	retryAfterSeconds?: number;
+}
+
+interface Bucket {
+	tokens: number;
+	updatedAt: number;
+}
+
+/**
+ * Durable Object holding one client's buckets and quota counters.
+ * `POST /consume` with `{ tool, policy }` answers with a `RateLimitDecision`.
+ */
+export class RateLimiter implements DurableObject {
+	constructor(private readonly state: DurableObjectState) {}
+
+	async fetch(request: Request): Promise<Response> {
+		const { tool, policy } = (await request.json()) as { tool: string; policy: RateLimitPolicy };
+		return Response.json(await this.consume(tool, policy, Date.now()));
+	}
+
+	private async consume(tool: string, policy: RateLimitPolicy, now: number): Promise<RateLimitDecision> {
+		const date = new Date(now);
+		const dayKey = `quota:${tool}:day:${date.toISOString().slice(0, 10)}`;
+		const monthKey = `quota:${tool}:month:${date.toISOString().slice(0, 7)}`;
+		const bucketKey = `bucket:${tool}`;
+
+		const stored = await this.state.storage.get<number | Bucket>([dayKey, monthKey, bucketKey]);
+		const dayCount = (stored.get(dayKey) as number | undefined) ?? 0;
+		const monthCount = (stored.get(monthKey) as number | undefined) ?? 0;
+
+		if (policy.daily !== undefined && dayCount >= policy.daily) {
+			return { allowed: false, limit: 'daily', retryAfterSeconds: secondsUntil(nextUtcDay(date), now) };
+		}
+		if (policy.monthly !== undefined && monthCount >= policy.monthly) {
+			return { allowed: false, limit: 'monthly', retryAfterSeconds: secondsUntil(nextUtcMonth(date), now) };
+		}
+
+		const refillPerMs = policy.refillPerMinute / 60_000;
+		const previous = stored.get(bucketKey) as Bucket | undefined;
+		const tokens = previous
+			? Math.min(policy.capacity, previous.tokens + (now - previous.updatedAt) * refillPerMs)
+			: policy.capacity;
+
+		if (tokens < 1) {
+			// A bucket that does not refill is spent for good; there is no time to retry after
+			return refillPerMs > 0
+				? { allowed: false, limit: 'rate', retryAfterSeconds: Math.ceil((1 - tokens) / refillPerMs / 1000) }
+				: { allowed: false, limit: 'rate' };
+		}
+
+		await this.state.storage.put<number | Bucket>({
+			[bucketKey]: { tokens: tokens - 1, updatedAt: now },
+			[dayKey]: dayCount + 1,
+			[monthKey]: monthCount + 1,
+		});
+		// Counters from past days and months are never read again; sweep them after midnight
+		await this.state.storage.setAlarm(nextUtcDay(date).getTime());
+
+		return { allowed: true };
+	}
+
+	/** Drop counters from past periods. */
+	async alarm(): Promise<void> {
+		const today = new Date().toISOString();
+		const current = new Set([today.slice(0, 10), today.slice(0, 7)]);
+		const quotas = await this.state.storage.list({ prefix: 'quota:' });
+		const stale = [...quotas.keys()].filter((key) => !current.has(key.slice(key.lastIndexOf(':') + 1)));
+		await this.state.storage.delete(stale);
+	}
+}
+
+/** Per-tool policies: the defaults, overridden tool by tool by the `RATE_LIMITS` JSON variable. */
+export function loadRateLimits(env: Record<string, unknown>): Record<string, RateLimitPolicy> {
+	const raw = env.RATE_LIMITS;
+	if (typeof raw !== 'string' || raw.trim() === '') {
+		return DEFAULT_RATE_LIMITS;
+	}
+	try {
+		return { ...DEFAULT_RATE_LIMITS, ...(JSON.parse(raw) as Record<string, RateLimitPolicy>) };
+	} catch (error) {
+		logEvent('error', 'rate_limits_invalid', 'RATE_LIMITS is not valid JSON, using defaults', {}, error);
+		return DEFAULT_RATE_LIMITS;
+	}
+}
+
+/**
+ * Bucket key for the current caller: their identity, or their IP when anonymous.
+ * OAuth tokens approved while authentication was off carry the anonymous identity,
+ * and are keyed by IP too rather than sharing one bucket between every such client.
+ */
+export function rateLimitKey(client: ClientIdentity, ip: string | undefined): string {
+	const anonymous = client.method === 'anonymous' || client.name === ANONYMOUS_CLIENT.name;
+	return anonymous ? `ip:${ip ?? 'unknown'}` : `client:${client.name}`;
+}
+
+/**
+ * Refuse `tools/call` requests over their client's limit with a JSON-RPC error
+ * carrying `retryAfterSeconds`, before the tool handler runs.
+ */
+export function rateLimitMiddleware(): Middleware {
+	return async (ctx, next) => {
+		const tool = (ctx.request.params as { name?: string } | undefined)?.name;
+		if (ctx.request.method === 'tools/call' && tool) {
+			await consumeRateLimit(ctx, tool);
+		}
+		await next();
+	};
+}
+
+/**
+ * Count one call of `tool` against the caller's limits, throwing the rate-limited
+ * JSON-RPC error when they are used up. Tools that do the work of another tool
+ * call this for that tool too, so one limit covers both.
+ */
+export async function consumeRateLimit(ctx: Ctx, tool: string): Promise<void> {
+	const decision = await consumeRateLimitFor(ctx.env, rateLimitKey(clientOf(ctx), ctx.state.ip as string | undefined), tool);
+	if (decision && !decision.allowed) {
+		throw new RpcError(RATE_LIMITED_ERROR_CODE, rateLimitMessage(tool, decision), {
+			tool,
+			limit: decision.limit,
+			retryAfterSeconds: decision.retryAfterSeconds,
+		});
+	}
+}
+
+/**
+ * Count one call of `tool` against the limits of the caller with bucket key `key`
+ * (see `rateLimitKey`), for requests that do not go through MCP. Undefined when
+ * nothing limits the call, including when the limiter fails: a broken limiter
+ * should not take every limited tool down with it.
+ */
+export async function consumeRateLimitFor(
+	env: Record<string, unknown>,
+	key: string,
+	tool: string,
+): Promise<RateLimitDecision | undefined> {
+	const namespace = env.RATE_LIMITER as DurableObjectNamespace | undefined;
+	if (!namespace || EXEMPT_TOOLS.has(tool)) {
+		return undefined;
+	}
+
+	const policy = loadRateLimits(env)[tool];
+	if (!policy) {
+		return undefined;
+	}
+
+	try {
+		const stub = namespace.get(namespace.idFromName(key));
+		const response = await stub.fetch('https://rate-limiter/consume', {
+			method: 'POST',
+			body: JSON.stringify({ tool, policy }),
+		});
+		return (await response.json()) as RateLimitDecision;
+	} catch (error) {
+		logEvent('error', 'rate_limiter_unavailable', `Rate limiter unavailable, not limiting ${tool}`, { tool }, error);
+		return undefined;
+	}
+}
+
+/** Why a call was refused, and when to retry. */
+export function rateLimitMessage(tool: string, decision: RateLimitDecision): string {
+	const reason =
+		decision.limit === 'rate'
+			? `Too many ${tool} calls`
+			: `${decision.limit === 'daily' ? 'Daily' : 'Monthly'} quota for ${tool} is used up`;
+	return decision.retryAfterSeconds === undefined
+		? `${reason}. This limit does not refill.`
+		: `${reason}. Retry after ${decision.retryAfterSeconds} seconds.`;
+}
+
+function nextUtcDay(date: Date): Date {
+	return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+}
+
+function nextUtcMonth(date: Date): Date {
+	return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+}
+
+function secondsUntil(target: Date, now: number): number {
+	return Math.ceil((target.getTime() - now) / 1000);
+}
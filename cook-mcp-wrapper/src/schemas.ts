@@ -0,0 +1,286 @@
+/**
+ * Input schemas for the Cook tools
+ *
+ * Tool arguments are validated with Zod before a handler runs, so a bad page
+ * number or an empty query comes back as a JSON-RPC invalid-params error (-32602)
+ * without a backend round trip. The same schemas, converted by `schemaAdapter`,
+ * are what `tools/list` advertises. Unknown properties are rejected rather than
+ * ignored, so a misspelt `no_cache` does not go unnoticed.
+ *
+ * Page bounds depend on the collection, which comes from the environment, so the
+ * handlers check the upper bound (see `checkPageNumber` in collections.ts).
+ */
+
+import { z } from 'zod';
+import { findUsState } from './zones';
+
+/** Longest query passed to the backend, after trimming */
+export const MAX_QUERY_LENGTH = 500;
+
+/** Bounds and default for `get_figure`'s `max_dimension`, in pixels */
+export const MIN_FIGURE_DIMENSION = 64;
+export const MAX_FIGURE_DIMENSION = 2048;
+export const DEFAULT_FIGURE_DIMENSION = 1024;
+
+// mcp-lite reports only the issue messages, so each one names its field
+const noCache = z
+	.boolean({ error: 'no_cache must be a boolean' })
+	.optional()
+	.describe('Skip the response cache and fetch a fresh answer');
+
+const collection = z
+	.string({ error: 'collection must be a string' })
+	.trim()
+	.toLowerCase()
+	.min(1, { error: 'collection must not be empty' })
+	.optional()
+	.describe('Document to use, from list_collections (default: cook-handbook, the Cook Engineering Handbook)');
+
+const pageNumber = z
+	.number({ error: 'page_number must be a number' })
+	.int({ error: 'page_number must be a whole number' })
+	.min(1, { error: 'page_number must be at least 1' })
+	.describe('Page number, from 1 to the page count list_collections gives for the collection');
+
+export const searchInput = z.strictObject({
+	query: z
+		.string({ error: 'query must be a string' })
+		.trim()
+		.min(1, { error: 'query must not be empty' })
+		.max(MAX_QUERY_LENGTH, { error: `query must be at most ${MAX_QUERY_LENGTH} characters` })
+		.describe('The technical question or search query'),
+	collection,
+	no_cache: noCache,
+});
+
+export const pageInput = z.strictObject({
+	page_number: pageNumber,
+	collection,
+	no_cache: noCache,
+});
+
+// Fractions of the page image, so a box works at any rendering resolution
+const fraction = (name: string) =>
+	z
+		.number({ error: `bbox.${name} must be a number` })
+		.min(0, { error: `bbox.${name} must be from 0 to 1` })
+		.max(1, { error: `bbox.${name} must be from 0 to 1` });
+
+export const figureInput = z.strictObject({
+	page_number: pageNumber,
+	collection,
+	figure_index: z
+		.number({ error: 'figure_index must be a number' })
+		.int({ error: 'figure_index must be a whole number' })
+		.min(0, { error: 'figure_index must be at least 0' })
+		.optional()
+		.describe('Which of the page\'s images, from 0 (default: 0, the first)'),
+	bbox: z
+		.strictObject({ x: fraction('x'), y: fraction('y'), width: fraction('width'), height: fraction('height') })
+		.refine((box) => box.width > 0 && box.height > 0, { error: 'bbox must have a width and height above 0' })
+		// With a little slack for sums like 0.7 + 0.3 that land just above 1
+		.refine((box) => box.x + box.width <= 1 + 1e-9 && box.y + box.height <= 1 + 1e-9, { error: 'bbox must lie inside the image' })
+		.optional()
+		.describe('Crop to this box, in fractions of the image from its top-left corner (default: the whole image)'),
+	max_dimension: z
+		.number({ error: 'max_dimension must be a number' })
+		.int({ error: 'max_dimension must be a whole number' })
+		.min(MIN_FIGURE_DIMENSION, { error: `max_dimension must be at least ${MIN_FIGURE_DIMENSION}` })
+		.max(MAX_FIGURE_DIMENSION, { error: `max_dimension must be at most ${MAX_FIGURE_DIMENSION}` })
+		.optional()
+		.describe(`Longest side of the returned image in pixels (default: ${DEFAULT_FIGURE_DIMENSION})`),
+	format: z
+		.enum(['png', 'webp'], { error: 'format must be "png" or "webp"' })
+		.optional()
+		.describe('Image format (default: webp, smaller; png for line art that must stay sharp)'),
+	no_cache: z
+		.boolean({ error: 'no_cache must be a boolean' })
+		.optional()
+		.describe('Fetch the page and render the figure again instead of using cached copies'),
+});
+
+// Calculator inputs are plain quantities, so one message covers a missing or non-positive value
+const positive = (name: string, unit: string) =>
+	z
+		.number({ error: `${name} must be a number` })
+		.positive({ error: `${name} must be positive` })
+		.describe(unit);
+
+const percent = (name: string, description: string) =>
+	z
+		.number({ error: `${name} must be a number` })
+		.gt(0, { error: `${name} must be a percentage above 0` })
+		.max(100, { error: `${name} must be at most 100 (a percentage)` })
+		.describe(description);
+
+export const ductFrictionInput = z
+	.strictObject({
+		cfm: positive('cfm', 'Airflow in cubic feet per minute'),
+		diameter_in: positive('diameter_in', 'Round duct diameter in inches').optional(),
+		width_in: positive('width_in', 'Rectangular duct width in inches').optional(),
+		height_in: positive('height_in', 'Rectangular duct height in inches').optional(),
+		length_ft: positive('length_ft', 'Duct length in feet (default: 100)').optional(),
+	})
+	.refine(
+		(args) =>
+			args.diameter_in !== undefined
+				? args.width_in === undefined && args.height_in === undefined
+				: args.width_in !== undefined && args.height_in !== undefined,
+		{ error: 'Pass diameter_in for a round duct, or width_in and height_in for a rectangular one' },
+	);
+
+export const fanLawsInput = z
+	.strictObject({
+		cfm: positive('cfm', 'Current airflow in cfm'),
+		rpm: positive('rpm', 'Current fan speed in rpm'),
+		static_pressure: positive('static_pressure', 'Current static pressure in inches of water gauge'),
+		bhp: positive('bhp', 'Current brake horsepower, to scale power too').optional(),
+		new_rpm: positive('new_rpm', 'New fan speed in rpm').optional(),
+		new_cfm: positive('new_cfm', 'Airflow to reach, instead of new_rpm').optional(),
+		density_ratio: positive('density_ratio', 'New air density over the current one (default: 1)').optional(),
+	})
+	.refine((args) => (args.new_rpm === undefined) !== (args.new_cfm === undefined), {
+		error: 'Pass exactly one of new_rpm and new_cfm',
+	});
+
+export const motorPowerInput = z.strictObject({
+	bhp: positive('bhp', 'Fan brake horsepower at the operating point'),
+	motor_efficiency: percent('motor_efficiency', 'Motor full-load efficiency in percent, e.g. 91.7'),
+	drive_efficiency: percent('drive_efficiency', 'Belt drive efficiency in percent (default: 100, a direct drive)').optional(),
+});
+
+export const UNIT_NAMES = [
+	'cfm', 'm3_h', 'm3_s', 'l_s',
+	'in_wg', 'mm_wg', 'pa', 'kpa', 'psi',
+	'hp', 'kw', 'w', 'btu_h',
+	'fpm', 'm_s',
+	'in', 'ft', 'mm', 'm',
+	'f', 'c', 'k',
+] as const;
+
+export type UnitName = (typeof UNIT_NAMES)[number];
+
+const unitName = (name: string) =>
+	z
+		.enum(UNIT_NAMES, { error: `${name} must be one of ${UNIT_NAMES.join(', ')}` })
+		.describe('Unit, e.g. cfm, m3_h, in_wg, pa, hp, kw, fpm, f, c');
+
+export const unitConversionInput = z.strictObject({
+	value: z.number({ error: 'value must be a number' }).describe('Value to convert'),
+	from: unitName('from'),
+	to: unitName('to'),
+});
+
+export const handbookReference = z.object({
+	page_number: z.number().int().describe('Handbook page the formula comes from'),
+	uri: z.string().describe('Resource URI for the page'),
+	topic: z.string(),
+});
+
+const formulaReference = handbookReference.optional().describe('Handbook page of the formula; absent until that page is verified');
+
+export const ductFrictionOutput = z.object({
+	cfm: z.number(),
+	diameter_in: z.number().describe('Round duct diameter, or the circular equivalent of a rectangular duct'),
+	length_ft: z.number(),
+	velocity_fpm: z.number(),
+	velocity_pressure_in_wg: z.number(),
+	friction_per_100ft_in_wg: z.number(),
+	friction_loss_in_wg: z.number().describe('Friction loss over length_ft'),
+	reference: formulaReference,
+});
+
+export const fanLawsOutput = z.object({
+	speed_ratio: z.number().describe('New speed over the current one'),
+	density_ratio: z.number(),
+	cfm: z.number(),
+	rpm: z.number(),
+	static_pressure_in_wg: z.number(),
+	bhp: z.number().optional().describe('When the current brake horsepower was given'),
+	reference: formulaReference,
+});
+
+export const motorPowerOutput = z.object({
+	bhp: z.number(),
+	motor_output_hp: z.number().describe('Power the motor delivers: brake horsepower plus drive losses'),
+	input_kw: z.number().describe('Electrical input'),
+	input_hp: z.number(),
+	nominal_motor_hp: z.number().optional().describe('Smallest NEMA rating at or above motor_output_hp, up to 500 hp'),
+	motor_load_percent: z.number().optional().describe('motor_output_hp as a percentage of nominal_motor_hp'),
+	reference: formulaReference,
+});
+
+export const unitConversionOutput = z.object({
+	value: z.number(),
+	from: z.enum(UNIT_NAMES),
+	to: z.enum(UNIT_NAMES),
+	quantity: z.enum(['airflow', 'pressure', 'power', 'velocity', 'length', 'temperature']),
+	result: z.number(),
+	text: z.string().describe('The conversion written out, e.g. "2,000 cfm = 3,398 m³/h"'),
+	reference: formulaReference,
+});
+
+export const designZonesInput = z.strictObject({
+	state: z
+		.string({ error: 'state must be a string' })
+		.trim()
+		.refine((state) => findUsState(state) !== undefined, { error: 'state must be a US state name or two-letter abbreviation' })
+		.describe('US state name or two-letter abbreviation, e.g. "Missouri" or "MO"'),
+	county: z
+		.string({ error: 'county must be a string' })
+		.trim()
+		.min(1, { error: 'county must not be empty' })
+		.optional()
+		.describe('County, for states the zone maps split, e.g. "Jackson"'),
+	no_cache: noCache,
+});
+
+export const healthInput = z.strictObject({});
+
+export const listCollectionsInput = z.strictObject({});
+
+export const statsInput = z.strictObject({
+	minutes: z
+		.number({ error: 'minutes must be a number' })
+		.positive({ error: 'minutes must be positive' })
+		.optional()
+		.describe('Only count calls from the last this many minutes (default: all recent calls)'),
+});
+
+export const ingestInput = z
+	.strictObject({
+		collection: z
+			.string({ error: 'collection must be a string' })
+			.trim()
+			.toLowerCase()
+			.min(1, { error: 'collection must not be empty' })
+			.describe('Collection to add the pages to, from list_collections'),
+		pdf_base64: z
+			.string({ error: 'pdf_base64 must be a string' })
+			.min(1, { error: 'pdf_base64 must not be empty' })
+			.optional()
+			.describe('The PDF, base64-encoded (up to 25 MB decoded)'),
+		object_key: z
+			.string({ error: 'object_key must be a string' })
+			.min(1, { error: 'object_key must not be empty' })
+			.optional()
+			.describe('Key of a PDF you uploaded to the DOCUMENTS R2 bucket under uploads/<client>/, instead of pdf_base64'),
+		filename: z.string({ error: 'filename must be a string' }).optional().describe('Original file name, for the job record'),
+	})
+	.refine((args) => (args.pdf_base64 === undefined) !== (args.object_key === undefined), {
+		error: 'Pass exactly one of pdf_base64 and object_key',
+	});
+
+export const ingestionStatusInput = z.strictObject({
+	job_id: z
+		.string({ error: 'job_id must be a string' })
+		.trim()
+		.min(1, { error: 'job_id must not be empty' })
+		.describe('Job id returned by ingest_document'),
+});
+
+/** Converts the schemas above to the JSON Schema advertised in `tools/list`. */
+export function schemaAdapter(schema: unknown): Record<string, unknown> {
+	const { $schema: _dialect, ...jsonSchema } = z.toJSONSchema(schema as z.ZodType, { io: 'input' });
+	return jsonSchema;
+}
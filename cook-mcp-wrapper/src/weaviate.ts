@@ -0,0 +1,251 @@
+/**
+ * Native Weaviate backend
+ *
+ * Answers the handbook tools straight from the Weaviate GraphQL API, so the Worker
+ * can be deployed without http_wrapper.py. There is no vision step: search returns
+ * the best-matching passages and their page images, and the calling model does the
+ * reading.
+ *
+ * Each collection has its own class (see collections.ts). Each object in it is one
+ * chunk of a page with these properties:
+ * - `content` (text): extracted page text
+ * - `page_number` (int)
+ * - `image` (text, optional): base64 page image
+ * - `image_mime_type` (text, optional): defaults to image/png
+ */
+
+import {
+	BackendError,
+	type BackendClient,
+	type BackendImage,
+	type BackendSource,
+	type BackendTarget,
+	type BackendTelemetry,
+	type BackendToolResult,
+	type CallOptions,
+	createBackendClient,
+} from './backend';
+import { type Collection, HANDBOOK_COLLECTION, isDefaultCollection } from './collections';
+import type { HandbookBackend, PageSummary, SearchOptions } from './handbook';
+
+const DEFAULT_CLASS_NAME = 'CookHandbook';
+const DEFAULT_SEARCH_LIMIT = 5;
+const EXCERPT_LENGTH = 600;
+const TITLE_LENGTH = 80;
+// Upper bound on chunks scanned to build the page index
+const PAGE_INDEX_LIMIT = 5000;
+
+interface HandbookChunk {
+	content?: string | null;
+	page_number?: number | null;
+	image?: string | null;
+	image_mime_type?: string | null;
+	_additional?: { distance?: number | null };
+}
+
+interface GraphQLResponse {
+	data?: { Get?: Record<string, HandbookChunk[] | null> };
+	errors?: Array<{ message: string }>;
+}
+
+export interface WeaviateHandbookOptions {
+	className?: string;
+	searchLimit?: number;
+	collection?: Collection;
+}
+
+export class WeaviateHandbookBackend implements HandbookBackend {
+	readonly kind = 'weaviate';
+	readonly collection: Collection;
+	private readonly className: string;
+	private readonly searchLimit: number;
+
+	constructor(
+		private readonly client: BackendClient,
+		options: WeaviateHandbookOptions = {},
+	) {
+		this.className = options.className || DEFAULT_CLASS_NAME;
+		this.searchLimit = options.searchLimit ?? DEFAULT_SEARCH_LIMIT;
+		this.collection = options.collection ?? HANDBOOK_COLLECTION;
+	}
+
+	static fromEnv(
+		env: Record<string, unknown>,
+		telemetry: BackendTelemetry = {},
+		collection: Collection = HANDBOOK_COLLECTION,
+	): WeaviateHandbookBackend {
+		return new WeaviateHandbookBackend(createWeaviateClient(env, telemetry), {
+			className: weaviateClassFor(env, collection),
+			collection,
+		});
+	}
+
+	get target(): BackendTarget {
+		return this.client;
+	}
+
+	async search(query: string, options: SearchOptions = {}): Promise<BackendToolResult> {
+		const { onProgress, ...callOptions } = options;
+
+		await onProgress?.({ message: 'retrieving pages', progress: 1, total: 2 });
+		const chunks = await this.get(
+			`nearText: { concepts: [${JSON.stringify(query)}] }, limit: ${this.searchLimit}`,
+			'content page_number image image_mime_type _additional { distance }',
+			callOptions,
+		);
+		await onProgress?.({ message: 'composing answer', progress: 2, total: 2 });
+
+		if (chunks.length === 0) {
+			return { text: `No passages in the ${this.collection.title} matched "${query}".`, images: [] };
+		}
+
+		const passages = chunks.map((chunk) => {
+			const relevance = chunk._additional?.distance != null ? ` (distance ${chunk._additional.distance.toFixed(3)})` : '';
+			return `[Page ${chunk.page_number ?? '?'}]${relevance}\n${excerpt(chunk.content ?? '')}`;
+		});
+		const { images, indexByPage } = collectImages(chunks);
+
+		return {
+			text: `Found ${chunks.length} relevant passages in the ${this.collection.title}:\n\n${passages.join('\n\n')}`,
+			images,
+			sources: chunks.flatMap((chunk): BackendSource[] => {
+				if (chunk.page_number == null) {
+					return [];
+				}
+				const distance = chunk._additional?.distance;
+				return [
+					{
+						page_number: chunk.page_number,
+						excerpt: excerpt(chunk.content ?? ''),
+						// Cosine distance runs from 0 (same direction) to 2; clamp anything past orthogonal to 0
+						...(distance != null && { score: Number(Math.max(0, 1 - distance).toFixed(3)) }),
+						...(indexByPage.has(chunk.page_number) && { image_index: indexByPage.get(chunk.page_number) }),
+					},
+				];
+			}),
+		};
+	}
+
+	async getPage(pageNumber: number, options: CallOptions = {}): Promise<BackendToolResult> {
+		const chunks = await this.get(
+			`where: { path: ["page_number"], operator: Equal, valueInt: ${Math.trunc(pageNumber)} }`,
+			'content page_number image image_mime_type',
+			options,
+		);
+
+		if (chunks.length === 0) {
+			return { text: `Page ${pageNumber} was not found in the ${this.collection.title}.`, images: [] };
+		}
+
+		return {
+			text: `Page ${pageNumber}\n\n${chunks.map((chunk) => chunk.content ?? '').join('\n\n')}`,
+			images: collectImages(chunks).images,
+		};
+	}
+
+	/** Titles are the first line of each page's first chunk. */
+	async listPages(options: CallOptions = {}): Promise<PageSummary[]> {
+		const chunks = await this.get(`limit: ${PAGE_INDEX_LIMIT}`, 'content page_number', { idempotent: true, ...options });
+		const pages = new Map<number, PageSummary>();
+
+		for (const chunk of chunks) {
+			if (chunk.page_number == null || pages.has(chunk.page_number)) {
+				continue;
+			}
+			const firstLine = (chunk.content ?? '').trim().split('\n')[0]?.trim();
+			pages.set(chunk.page_number, {
+				page_number: chunk.page_number,
+				title: firstLine ? firstLine.slice(0, TITLE_LENGTH) : undefined,
+			});
+		}
+
+		return [...pages.values()].sort((a, b) => a.page_number - b.page_number);
+	}
+
+	health(options: CallOptions = {}): Promise<unknown> {
+		return this.client.request('/v1/meta', { method: 'GET' }, { idempotent: true, ...options });
+	}
+
+	private async get(args: string, fields: string, options: CallOptions): Promise<HandbookChunk[]> {
+		const query = `{ Get { ${this.className}(${args}) { ${fields} } } }`;
+		const response = await this.client.request<GraphQLResponse>(
+			'/v1/graphql',
+			{
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ query }),
+			},
+			options,
+		);
+
+		// GraphQL reports bad classes and fields as 200 responses with an errors array
+		if (response.errors?.length) {
+			throw new BackendError('client_error', response.errors.map((error) => error.message).join('; '));
+		}
+
+		return response.data?.Get?.[this.className] ?? [];
+	}
+}
+
+/** Client for the Weaviate REST and GraphQL APIs, from `WEAVIATE_URL` and its keys. */
+export function createWeaviateClient(env: Record<string, unknown>, telemetry: BackendTelemetry = {}): BackendClient {
+	const url = env.WEAVIATE_URL as string | undefined;
+	if (!url) {
+		throw new BackendError('misconfigured', 'HANDBOOK_BACKEND is "weaviate" but WEAVIATE_URL is not set');
+	}
+
+	const headers: Record<string, string> = {};
+	if (env.WEAVIATE_API_KEY) {
+		headers.Authorization = `Bearer ${env.WEAVIATE_API_KEY}`;
+	}
+	// nearText (and imports) need the vectorizer's key to embed text on the Weaviate side
+	if (env.OPENAI_API_KEY) {
+		headers['X-OpenAI-Api-Key'] = env.OPENAI_API_KEY as string;
+	}
+
+	return createBackendClient(env, {
+		...telemetry,
+		name: 'Weaviate',
+		baseUrl: url.startsWith('http') ? url : `https://${url}`,
+		headers,
+		unreachableHint: 'Check WEAVIATE_URL and that the cluster is awake.',
+	});
+}
+
+/**
+ * The class holding a collection's chunks. Only the handbook falls back to
+ * `WEAVIATE_CLASS` and then `CookHandbook`; another document in the same class would mix the two.
+ */
+export function weaviateClassFor(env: Record<string, unknown>, collection: Collection): string {
+	if (collection.weaviateClass) {
+		return collection.weaviateClass;
+	}
+	if (!isDefaultCollection(collection)) {
+		throw new BackendError(
+			'misconfigured',
+			`Collection "${collection.id}" has no weaviateClass, so HANDBOOK_BACKEND "weaviate" cannot serve it`,
+		);
+	}
+	return (env.WEAVIATE_CLASS as string | undefined) || DEFAULT_CLASS_NAME;
+}
+
+function excerpt(text: string): string {
+	const trimmed = text.trim();
+	return trimmed.length > EXCERPT_LENGTH ? `${trimmed.slice(0, EXCERPT_LENGTH)}…` : trimmed;
+}
+
+/** One image per page, in result order, with each page's position in the list. */
+function collectImages(chunks: HandbookChunk[]): { images: BackendImage[]; indexByPage: Map<number | null | undefined, number> } {
+	const indexByPage = new Map<number | null | undefined, number>();
+	const images: BackendImage[] = [];
+
+	for (const chunk of chunks) {
+		if (!chunk.image || indexByPage.has(chunk.page_number)) {
+			continue;
+		}
+		indexByPage.set(chunk.page_number, images.length);
+		images.push({ data: chunk.image, mimeType: chunk.image_mime_type || 'image/png' });
+	}
+
+	return { images, indexByPage };
+}
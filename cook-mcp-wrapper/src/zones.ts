@@ -0,0 +1,178 @@
+/**
+ * Wind and seismic design zones by US state
+ *
+ * "Is Missouri a high wind zone?" otherwise costs a vector search and a vision call
+ * over the handbook's zone maps every time it is asked. `lookup_design_zones`
+ * answers from a table instead: an entry per state, with county entries where the
+ * maps split a state, transcribed once from the wind and seismic maps along with
+ * the page each zone was read from. Locations without a complete entry fall back to a handbook search.
+ *
+ * The bundled table is `DESIGN_ZONES`. The `DESIGN_ZONES` variable, a JSON object of
+ * the same shape, adds states or replaces bundled ones without a rebuild.
+ */
+
+import { z } from 'zod';
+
+export interface WindZone {
+	/** Zone as the map labels it */
+	zone: string;
+	high_wind: boolean;
+	/** Basic design wind speed, when the map gives one */
+	design_speed_mph?: number;
+	/** Handbook page of the map the zone was read from */
+	page: number;
+}
+
+export interface SeismicZone {
+	/** Seismic design category or zone as the map labels it, e.g. "C" or "2A" */
+	category: string;
+	/** Handbook page of the map the category was read from */
+	page: number;
+}
+
+export interface ZoneEntry {
+	wind?: WindZone;
+	seismic?: SeismicZone;
+	notes?: string;
+}
+
+export interface StateZones extends ZoneEntry {
+	/** Where the maps split the state, by county name (see `normalizeCounty`) */
+	counties?: Record<string, ZoneEntry>;
+}
+
+/** By two-letter state code */
+export type DesignZoneDataset = Record<string, StateZones>;
+
+/** A complete answer from the table. */
+export interface DesignZoneMatch {
+	stateCode: string;
+	state: string;
+	/** The county entry used, if the state has one for the requested county */
+	county?: string;
+	wind: WindZone;
+	seismic: SeismicZone;
+	notes?: string;
+}
+
+/**
+ * States are added here as they are transcribed from the handbook's wind and seismic
+ * maps; until a state has an entry, lookups for it go to the handbook search.
+ *
+ * Empty for now: the handbook PDF is not part of this repository, so nothing has been
+ * read from its maps yet. Transcribe a state only from the map pages themselves (open
+ * them with `get_page_direct`), never from a search answer, and record each page.
+ */
+export const DESIGN_ZONES: DesignZoneDataset = {};
+
+export const US_STATES: Record<string, string> = {
+	AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+	CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+	HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+	LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+	MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+	NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+	OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+	SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+	VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+};
+
+/** Code and name of a US state given either, in any case. */
+export function findUsState(text: string): { code: string; name: string } | undefined {
+	const trimmed = text.trim();
+	const code = trimmed.toUpperCase();
+	if (US_STATES[code]) {
+		return { code, name: US_STATES[code] };
+	}
+	const entry = Object.entries(US_STATES).find(([, name]) => name.toLowerCase() === trimmed.toLowerCase());
+	return entry && { code: entry[0], name: entry[1] };
+}
+
+/** County key: lowercase, without a trailing "County", "Parish" or "Borough". */
+export function normalizeCounty(county: string): string {
+	return county
+		.trim()
+		.toLowerCase()
+		.replace(/\s+/g, ' ')
+		.replace(/\s+(county|parish|borough)$/, '');
+}
+
+/** "Jackson" and "Jackson County" in Missouri both read as "Jackson County, Missouri". */
+export function zoneLocation(state: string, county: string | undefined): string {
+	if (!county) {
+		return state;
+	}
+	return /\b(county|parish|borough)$/i.test(county) ? `${county}, ${state}` : `${county} County, ${state}`;
+}
+
+const mapPage = z.number().int().positive();
+
+const zoneEntrySchema = z.object({
+	wind: z
+		.object({ zone: z.string().min(1), high_wind: z.boolean(), design_speed_mph: z.number().positive().optional(), page: mapPage })
+		.optional(),
+	seismic: z.object({ category: z.string().min(1), page: mapPage }).optional(),
+	notes: z.string().optional(),
+});
+
+const datasetSchema = z.record(z.string(), zoneEntrySchema.extend({ counties: z.record(z.string(), zoneEntrySchema).optional() }));
+
+/** The bundled table, with the states in the `DESIGN_ZONES` JSON variable added or replaced. */
+export function loadDesignZones(env: Record<string, unknown>): DesignZoneDataset {
+	const raw = env.DESIGN_ZONES;
+	if (typeof raw !== 'string' || raw.trim() === '') {
+		return DESIGN_ZONES;
+	}
+	try {
+		const extra = datasetSchema.parse(JSON.parse(raw));
+		const states = Object.fromEntries(
+			Object.entries(extra).map(([code, zones]) => [
+				code.toUpperCase(),
+				{
+					...zones,
+					...(zones.counties && {
+						counties: Object.fromEntries(Object.entries(zones.counties).map(([county, entry]) => [normalizeCounty(county), entry])),
+					}),
+				},
+			]),
+		);
+		return { ...DESIGN_ZONES, ...states };
+	} catch (error) {
+		console.error('[cook-mcp] DESIGN_ZONES is not a valid zone table, using the bundled one:', error);
+		return DESIGN_ZONES;
+	}
+}
+
+/**
+ * The wind and seismic zones for a state, or one of its counties. County entries
+ * override the state's; a county without an entry gets the state's. Undefined
+ * unless both zones are known, so the caller can fall back to a search.
+ */
+export function lookupDesignZones(
+	dataset: DesignZoneDataset,
+	stateCode: string,
+	county?: string,
+): DesignZoneMatch | undefined {
+	const zones = dataset[stateCode];
+	if (!zones) {
+		return undefined;
+	}
+
+	const countyKey = county === undefined ? undefined : normalizeCounty(county);
+	const countyZones = countyKey === undefined ? undefined : zones.counties?.[countyKey];
+	const wind = countyZones?.wind ?? zones.wind;
+	const seismic = countyZones?.seismic ?? zones.seismic;
+	if (!wind || !seismic) {
+		return undefined;
+	}
+
+	const notes = [zones.notes, countyZones?.notes].filter(Boolean).join(' ');
+	return {
+		stateCode,
+		state: US_STATES[stateCode] ?? stateCode,
+		...(countyZones && { county: county!.trim() }),
+		wind,
+		seismic,
+		...(notes && { notes }),
+	};
+}
@@ -1,100 +1,89 @@
 #!/usr/bin/env node
 /**
- * MCP stdio-to-HTTP Bridge for Claude Desktop
+ * MCP stdio-to-HTTP bridge for Claude Desktop
  *
- * This bridge allows Claude Desktop (which uses stdio) to connect to
- * HTTP-based MCP servers like our mcp-lite Cloudflare Worker.
+ * Claude Desktop (stdio) → this bridge → mcp-lite Worker(s) (Streamable HTTP)
+ *
+ * Two modes:
+ * - Single upstream (default): raw JSON-RPC is forwarded to one Worker, whose own
+ *   capabilities and serverInfo the client sees. See bridge/passthrough.mjs.
+ * - Aggregation: with a config file, the bridge serves the tools, prompts and
+ *   resources of several Workers as one server, with prefixed names and a
+ *   `bridge_status` health tool. See bridge/aggregate.mjs and bridge/config.mjs.
+ *
+ * Configuration:
+ *   MCP_SERVER_URL     Worker endpoint in single-upstream mode (default http://localhost:8787)
+ *   MCP_BRIDGE_CONFIG  Aggregation config file; `--config <path>` does the same
+ * Credentials (bearer tokens, extra headers, OAuth) are described in bridge/config.mjs.
+ *
+ * Debugging:
+ *   --record <file>    Append every message to and from the client to a JSONL file,
+ *                      with secrets redacted (see bridge/record.mjs)
+ *   --replay <file>    Answer from such a recording instead of a Worker (see bridge/replay.mjs)
+ *
+ * Logs go to stderr; stdout carries only protocol messages.
  */
 
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { Server } from '@modelcontextprotocol/sdk/server/index.js';
-
-const MCP_HTTP_URL = process.env.MCP_SERVER_URL || 'http://localhost:8787';
-
-// Log to stderr (won't interfere with stdio protocol)
-const log = (...args) => console.error('[Bridge]', ...args);
-
-log('Starting MCP stdio-to-HTTP bridge');
-log('Target MCP server:', MCP_HTTP_URL);
-
-// Create a proxy MCP server that forwards to HTTP
-const server = new Server(
-  {
-    name: 'cook-mcp-http-bridge',
-    version: '1.0.0',
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
+import { runAggregate } from './bridge/aggregate.mjs';
+import { ConfigError, envConfig, loadConfig } from './bridge/config.mjs';
+import { log } from './bridge/log.mjs';
+import { runPassthrough } from './bridge/passthrough.mjs';
+import { Recording, RecordingTransport, configuredSecrets } from './bridge/record.mjs';
+import { runReplay } from './bridge/replay.mjs';
+
+/** The value after `--name` on the command line, if it was given. */
+function flag(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? undefined : process.argv[i + 1];
+}
+
+const CONFIG_PATH = flag('config') ?? process.env.MCP_BRIDGE_CONFIG;
+const RECORD_PATH = flag('record');
+const REPLAY_PATH = flag('replay');
+
+/** The stdio transport, writing to the recording if one was asked for. */
+function stdio(upstreams) {
+  if (!RECORD_PATH) {
+    return new StdioServerTransport();
   }
-);
-
-// Forward tools/list to HTTP server
-server.setRequestHandler('tools/list', async () => {
-  log('Forwarding tools/list request');
-
-  try {
-    const response = await fetch(MCP_HTTP_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        id: 1,
-        method: 'tools/list',
-        params: {}
-      })
-    });
+  log('Recording traffic to', RECORD_PATH);
+  return new RecordingTransport(new StdioServerTransport(), new Recording(RECORD_PATH, configuredSecrets(upstreams)));
+}
 
-    const data = await response.json();
-    log('Received tools/list response:', data.result?.tools?.length || 0, 'tools');
+let close;
+let closing = false;
 
-    return data.result;
-  } catch (error) {
-    log('Error fetching tools:', error.message);
-    throw error;
+async function shutdown(reason) {
+  if (closing) {
+    return;
   }
-});
-
-// Forward tools/call to HTTP server
-server.setRequestHandler('tools/call', async (request) => {
-  const { name, arguments: args } = request.params;
-  log('Forwarding tools/call:', name);
-
-  try {
-    const response = await fetch(MCP_HTTP_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        id: 2,
-        method: 'tools/call',
-        params: { name, arguments: args }
-      })
-    });
+  closing = true;
+  log('Shutting down:', reason);
+  await close?.();
+  process.exit(0);
+}
 
-    const data = await response.json();
-    log('Received tools/call response for:', name);
+log('Starting MCP stdio-to-HTTP bridge');
 
-    return data.result;
-  } catch (error) {
-    log('Error calling tool:', error.message);
-    throw error;
+try {
+  if (REPLAY_PATH) {
+    close = await runReplay(REPLAY_PATH, stdio([]));
+  } else if (CONFIG_PATH) {
+    log('Aggregating upstreams from', CONFIG_PATH);
+    const config = await loadConfig(CONFIG_PATH);
+    close = await runAggregate(config, stdio(config.upstreams));
+  } else {
+    const config = envConfig(process.env);
+    close = await runPassthrough(config, stdio([config]));
   }
-});
-
-// Connect to stdio
-const transport = new StdioServerTransport();
-
-log('Connecting to Claude Desktop via stdio...');
-
-await server.connect(transport);
-
-log('Bridge connected and ready!');
-
-// Keep process alive
-process.on('SIGINT', async () => {
-  log('Shutting down bridge...');
-  await server.close();
-  process.exit(0);
-});
+  log('✓ Bridge ready');
+} catch (error) {
+  log(error instanceof ConfigError ? '✗ Invalid config:' : '✗ Failed to start:', error.message);
+  process.exit(1);
+}
+
+// Claude Desktop closes stdin when it quits
+process.stdin.on('end', () => shutdown('stdin closed'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,200 @@
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { ErrorCode, McpError, ProgressNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { ConfigError, parseConfig } from '../../bridge/config.mjs';
+import { type Upstream, startUpstream } from './upstream';
+
+const BRIDGE = fileURLToPath(new URL('../../stdio-bridge.mjs', import.meta.url));
+
+describe('stdio bridge aggregation mode', () => {
+	let cook: Upstream;
+	let ops: Upstream;
+	let offline: string;
+	let dir: string;
+	let client: Client;
+
+	beforeAll(async () => {
+		cook = await startUpstream({ name: 'cook-upstream', resourceUri: 'cook://readme' });
+		ops = await startUpstream({ name: 'ops-upstream', resourceUri: 'ops://readme' });
+		const closed = await startUpstream();
+		offline = closed.url;
+		await closed.close();
+
+		dir = await mkdtemp(join(tmpdir(), 'bridge-config-'));
+		const config = join(dir, 'bridge.json');
+		await writeFile(
+			config,
+			JSON.stringify({
+				upstreams: [
+					{ name: 'cook', url: cook.url },
+					{ name: 'ops', url: ops.url, prefix: 'internal', headers: { 'X-API-Key': 'ops-key' } },
+					{ name: 'offline', url: offline },
+				],
+			}),
+		);
+
+		client = new Client({ name: 'bridge-test-client', version: '1.0.0' });
+		await client.connect(
+			new StdioClientTransport({
+				command: process.execPath,
+				args: [BRIDGE],
+				env: { PATH: process.env.PATH ?? '', MCP_BRIDGE_CONFIG: config },
+				stderr: 'ignore',
+			}),
+		);
+	});
+
+	afterAll(async () => {
+		await client.close();
+		await cook.close();
+		await ops.close();
+		await rm(dir, { recursive: true, force: true });
+	});
+
+	it('serves as one server with its own identity', () => {
+		expect(client.getServerVersion()?.name).toBe('cook-mcp-bridge');
+		expect(client.getServerCapabilities()).toMatchObject({ tools: {}, resources: {}, prompts: {}, logging: {} });
+	});
+
+	it('merges tools and prompts under each upstream prefix', async () => {
+		const { tools } = await client.listTools();
+		expect(tools.map((tool) => tool.name)).toEqual([
+			'cook__echo',
+			'cook__count',
+			'cook__wait',
+			'cook__add_tool',
+			'internal__echo',
+			'internal__count',
+			'internal__wait',
+			'internal__add_tool',
+			'bridge_status',
+		]);
+
+		const { prompts } = await client.listPrompts();
+		expect(prompts.map((prompt) => prompt.name)).toEqual(['cook__greet', 'internal__greet']);
+	});
+
+	it('routes each call to the upstream that owns the name', async () => {
+		const result = await client.callTool({ name: 'internal__echo', arguments: { text: 'to ops' } });
+		expect(result.content).toEqual([{ type: 'text', text: 'to ops' }]);
+
+		const call = (upstream: Upstream) =>
+			upstream.requests.find(
+				(request) => request.method === 'tools/call' && (request.params as { arguments?: { text?: string } }).arguments?.text === 'to ops',
+			);
+		expect(call(ops)?.params).toMatchObject({ name: 'echo' });
+		expect(call(cook)).toBeUndefined();
+
+		const prompt = await client.getPrompt({ name: 'cook__greet', arguments: { name: 'Ada' } });
+		expect(prompt.messages).toEqual([{ role: 'user', content: { type: 'text', text: 'Say hello to Ada' } }]);
+		expect(cook.requests.some((request) => request.method === 'prompts/get')).toBe(true);
+		expect(ops.requests.some((request) => request.method === 'prompts/get')).toBe(false);
+	});
+
+	it('sends the configured headers to their upstream only', () => {
+		expect(ops.requests.every((request) => request.headers['x-api-key'] === 'ops-key')).toBe(true);
+		expect(cook.requests.some((request) => request.headers['x-api-key'] !== undefined)).toBe(false);
+	});
+
+	it('merges resources and routes reads by URI', async () => {
+		const { resources } = await client.listResources();
+		expect(resources.map((resource) => resource.uri)).toEqual(['cook://readme', 'ops://readme']);
+
+		const { contents } = await client.readResource({ uri: 'ops://readme' });
+		expect(contents).toEqual([{ uri: 'ops://readme', mimeType: 'text/plain', text: 'Read me' }]);
+		expect(ops.requests.some((request) => request.method === 'resources/read')).toBe(true);
+		expect(cook.requests.some((request) => request.method === 'resources/read')).toBe(false);
+	});
+
+	it('relays progress under the token the client asked for', async () => {
+		const updates: Array<{ progress: number; total?: number }> = [];
+		client.setNotificationHandler(ProgressNotificationSchema, ({ params }) => {
+			updates.push({ progress: params.progress, total: params.total });
+		});
+
+		const result = await client.callTool({ name: 'cook__count', arguments: {} }, undefined, { onprogress: () => {} });
+
+		expect(result.content).toEqual([{ type: 'text', text: 'counted to 3' }]);
+		await expect.poll(() => updates).toEqual([
+			{ progress: 1, total: 3 },
+			{ progress: 2, total: 3 },
+			{ progress: 3, total: 3 },
+		]);
+	});
+
+	it('reports the health of each upstream', async () => {
+		const result = await client.callTool({ name: 'bridge_status', arguments: {} });
+
+		expect(result.isError).toBe(true);
+		expect(result.structuredContent).toEqual({
+			upstreams: [
+				{ name: 'cook', url: cook.url, prefix: 'cook', status: 'up', server: { name: 'cook-upstream', version: '0.1.0' } },
+				{ name: 'ops', url: ops.url, prefix: 'internal', status: 'up', server: { name: 'ops-upstream', version: '0.1.0' } },
+				{ name: 'offline', url: offline, prefix: 'offline', status: 'down', error: expect.any(String) },
+			],
+		});
+		expect((result.content as Array<{ text: string }>)[0].text).toContain(`❌ offline (${offline})`);
+	});
+
+	it('rejects names no upstream serves', async () => {
+		const error = await client.callTool({ name: 'offline__echo', arguments: {} }).catch((e: unknown) => e);
+
+		expect(error).toBeInstanceOf(McpError);
+		expect((error as McpError).code).toBe(ErrorCode.InvalidParams);
+	});
+});
+
+describe('bridge config', () => {
+	it('defaults the prefix to the upstream name', () => {
+		const config = parseConfig({ upstreams: [{ name: 'cook', url: 'http://localhost:8787/mcp' }] });
+
+		expect(config.upstreams).toEqual([
+			{ name: 'cook', url: new URL('http://localhost:8787/mcp'), prefix: 'cook', headers: {} },
+		]);
+	});
+
+	it('allows one upstream with an empty prefix', () => {
+		const config = parseConfig({
+			upstreams: [
+				{ name: 'cook', url: 'http://a.test/mcp', prefix: '' },
+				{ name: 'ops', url: 'http://b.test/mcp' },
+			],
+		});
+
+		expect(config.upstreams.map((upstream) => upstream.prefix)).toEqual(['', 'ops']);
+	});
+
+	it.each([
+		[{}, '"upstreams" must be a non-empty array'],
+		[{ upstreams: [{ url: 'http://a.test' }] }, 'upstreams[0].name is required'],
+		[{ upstreams: [{ name: 'a', url: 'not a url' }] }, 'upstreams[0].url is not a valid URL'],
+		[{ upstreams: [{ name: 'a', url: 'http://a.test', prefix: 'a b' }] }, 'upstreams[0].prefix may only contain'],
+		[
+			{
+				upstreams: [
+					{ name: 'a', url: 'http://a.test' },
+					{ name: 'a', url: 'http://b.test' },
+				],
+			},
+			'upstreams[1].name "a" is used twice',
+		],
+		[
+			{
+				upstreams: [
+					{ name: 'a', url: 'http://a.test', prefix: 'x' },
+					{ name: 'b', url: 'http://b.test', prefix: 'x' },
+				],
+			},
+			'upstreams[1].prefix "x" is used twice',
+		],
+		[{ upstreams: [{ name: 'a', url: 'http://a.test', headers: { 'X-Key': 1 } }] }, 'upstreams[0].headers must map'],
+	])('rejects %j', (raw, message) => {
+		expect(() => parseConfig(raw)).toThrow(ConfigError);
+		expect(() => parseConfig(raw)).toThrow(message);
+	});
+});
@@ -0,0 +1,226 @@
+import { chmod, mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { ConfigError, envConfig, parseConfig } from '../../bridge/config.mjs';
+import { type Upstream, startUpstream } from './upstream';
+
+const BRIDGE = fileURLToPath(new URL('../../stdio-bridge.mjs', import.meta.url));
+
+async function connect(env: Record<string, string>): Promise<Client> {
+	const client = new Client({ name: 'bridge-test-client', version: '1.0.0' });
+	await client.connect(
+		new StdioClientTransport({
+			command: process.execPath,
+			args: [BRIDGE],
+			env: { PATH: process.env.PATH ?? '', ...env },
+			stderr: 'ignore',
+		}),
+	);
+	return client;
+}
+
+async function freePort(): Promise<number> {
+	const server = createServer();
+	await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+	const { port } = server.address() as { port: number };
+	await new Promise((resolve) => server.close(resolve));
+	return port;
+}
+
+describe('stdio bridge credentials', () => {
+	let upstream: Upstream;
+	let dir: string;
+	let client: Client | undefined;
+
+	beforeEach(async () => {
+		upstream = await startUpstream({ bearerToken: 'secret-token' });
+		dir = await mkdtemp(join(tmpdir(), 'bridge-auth-'));
+	});
+
+	afterEach(async () => {
+		await client?.close();
+		client = undefined;
+		await upstream.close();
+		await rm(dir, { recursive: true, force: true });
+	});
+
+	it('sends a bearer token from the environment', async () => {
+		client = await connect({ MCP_SERVER_URL: upstream.url, MCP_BEARER_TOKEN: 'secret-token' });
+
+		await client.listTools();
+		expect(upstream.requests.map((request) => request.headers.authorization)).toEqual(
+			upstream.requests.map(() => 'Bearer secret-token'),
+		);
+	});
+
+	it('reads the bearer token from a file', async () => {
+		const tokenFile = join(dir, 'token');
+		await writeFile(tokenFile, 'secret-token\n');
+		client = await connect({ MCP_SERVER_URL: upstream.url, MCP_BEARER_TOKEN_FILE: tokenFile });
+
+		const { tools } = await client.listTools();
+		expect(tools.length).toBeGreaterThan(0);
+	});
+
+	it('sends extra headers along with the token', async () => {
+		client = await connect({
+			MCP_SERVER_URL: upstream.url,
+			MCP_BEARER_TOKEN: 'secret-token',
+			MCP_HEADERS: JSON.stringify({ 'X-Team': 'hvac' }),
+		});
+
+		expect(upstream.requests.every((request) => request.headers['x-team'] === 'hvac')).toBe(true);
+	});
+
+	it('reports a rejected token instead of hanging', async () => {
+		const error = await connect({ MCP_SERVER_URL: upstream.url, MCP_BEARER_TOKEN: 'wrong' }).catch((e: unknown) => e);
+
+		expect(error).toBeInstanceOf(McpError);
+		expect((error as McpError).code).toBe(ErrorCode.InternalError);
+		expect((error as McpError).message).toContain('Unauthorized');
+	});
+
+	it('uses per-upstream tokens in aggregation mode', async () => {
+		const open = await startUpstream({ name: 'open-upstream' });
+		await writeFile(join(dir, 'token'), 'secret-token');
+		const config = join(dir, 'bridge.json');
+		await writeFile(
+			config,
+			JSON.stringify({
+				upstreams: [
+					{ name: 'locked', url: upstream.url, bearerTokenFile: 'token' },
+					{ name: 'open', url: open.url },
+				],
+			}),
+		);
+
+		client = await connect({ MCP_BRIDGE_CONFIG: config });
+		const result = await client.callTool({ name: 'locked__echo', arguments: { text: 'let me in' } });
+
+		expect(result.content).toEqual([{ type: 'text', text: 'let me in' }]);
+		expect(open.requests.some((request) => request.headers.authorization !== undefined)).toBe(false);
+		await open.close();
+	});
+});
+
+describe('stdio bridge OAuth', () => {
+	let upstream: Upstream;
+	let dir: string;
+	let visits: string;
+	let env: Record<string, string>;
+	let client: Client | undefined;
+
+	beforeEach(async () => {
+		upstream = await startUpstream({ oauth: true });
+		dir = await mkdtemp(join(tmpdir(), 'bridge-oauth-'));
+		visits = join(dir, 'visits.log');
+
+		// Stands in for the user's browser: the test server approves at once, so following
+		// the redirect to the bridge's callback completes the authorization
+		const browser = join(dir, 'browser.mjs');
+		await writeFile(
+			browser,
+			[
+				'#!/usr/bin/env node',
+				"import { appendFileSync } from 'node:fs';",
+				`appendFileSync(${JSON.stringify(visits)}, process.argv[2] + '\\n');`,
+				'await fetch(process.argv[2]);',
+			].join('\n'),
+		);
+		await chmod(browser, 0o755);
+
+		env = {
+			MCP_SERVER_URL: upstream.url,
+			MCP_OAUTH: '1',
+			MCP_OAUTH_CALLBACK_PORT: String(await freePort()),
+			MCP_OAUTH_STORE: join(dir, 'store'),
+			BROWSER: browser,
+		};
+	});
+
+	afterEach(async () => {
+		await client?.close();
+		client = undefined;
+		await upstream.close();
+		await rm(dir, { recursive: true, force: true });
+	});
+
+	const browserVisits = async () => (await readFile(visits, 'utf8').catch(() => '')).split('\n').filter(Boolean);
+
+	it('authorizes in the browser and stores the tokens', async () => {
+		client = await connect(env);
+
+		const { tools } = await client.listTools();
+		expect(tools.length).toBeGreaterThan(0);
+		expect(upstream.oauth?.events).toEqual(['register', 'authorize', 'authorization_code']);
+		expect(await browserVisits()).toEqual([expect.stringContaining(`${new URL(upstream.url).origin}/authorize?`)]);
+
+		const [file] = await readdir(join(dir, 'store'));
+		const stored = JSON.parse(await readFile(join(dir, 'store', file), 'utf8'));
+		expect(stored).toMatchObject({
+			serverUrl: upstream.url,
+			clientInformation: { client_id: 'client-1' },
+			tokens: { token_type: 'Bearer', refresh_token: expect.any(String) },
+		});
+	});
+
+	it('reuses stored tokens without the browser', async () => {
+		client = await connect(env);
+		await client.close();
+
+		client = await connect(env);
+		await client.listTools();
+
+		expect(await browserVisits()).toHaveLength(1);
+		expect(upstream.oauth?.events).toEqual(['register', 'authorize', 'authorization_code']);
+	});
+
+	it('refreshes an expired access token', async () => {
+		client = await connect(env);
+		upstream.oauth?.expireAccessTokens();
+
+		const { tools } = await client.listTools();
+
+		expect(tools.length).toBeGreaterThan(0);
+		expect(upstream.oauth?.events).toEqual(['register', 'authorize', 'authorization_code', 'refresh_token']);
+		expect(await browserVisits()).toHaveLength(1);
+	});
+});
+
+describe('bridge credential config', () => {
+	it('reads credentials from the environment', () => {
+		expect(
+			envConfig({
+				MCP_SERVER_URL: 'https://cook.example.workers.dev/mcp',
+				MCP_BEARER_TOKEN: 'abc',
+				MCP_HEADERS: '{"X-Team":"hvac"}',
+			}),
+		).toEqual({
+			url: new URL('https://cook.example.workers.dev/mcp'),
+			headers: { 'X-Team': 'hvac' },
+			bearerToken: 'abc',
+		});
+	});
+
+	it('resolves token files against the config file directory', () => {
+		const config = parseConfig({ upstreams: [{ name: 'a', url: 'http://a.test', bearerTokenFile: 'token.txt' }] }, '/etc/bridge');
+
+		expect(config.upstreams[0].bearerTokenFile).toBe('/etc/bridge/token.txt');
+	});
+
+	it.each([
+		[{ MCP_HEADERS: 'not json' }, 'MCP_HEADERS is not valid JSON'],
+		[{ MCP_BEARER_TOKEN: 'abc', MCP_OAUTH: '1' }, 'environment sets bearerToken and oauth'],
+		[{ MCP_BEARER_TOKEN: 'abc', MCP_HEADERS: '{"Authorization":"Basic x"}' }, 'bearerToken and an Authorization header'],
+		[{ MCP_OAUTH: '1', MCP_OAUTH_CALLBACK_PORT: 'http' }, 'oauth.callbackPort must be a port number'],
+	])('rejects %j', (env, message) => {
+		expect(() => envConfig(env)).toThrow(ConfigError);
+		expect(() => envConfig(env)).toThrow(message);
+	});
+});
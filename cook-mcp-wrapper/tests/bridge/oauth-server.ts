@@ -0,0 +1,122 @@
+/**
+ * Minimal OAuth 2.1 authorization server for the bridge tests
+ *
+ * Covers what the SDK's client drives: protected resource and authorization server
+ * metadata, dynamic client registration, an authorization endpoint that approves at
+ * once (so a test "browser" only has to follow the redirect), and a token endpoint
+ * with PKCE and refresh token rotation.
+ */
+
+import { createHash, randomUUID } from 'node:crypto';
+import type { ServerResponse } from 'node:http';
+
+interface PendingCode {
+	clientId: string;
+	redirectUri: string;
+	codeChallenge: string;
+}
+
+export class TestAuthorizationServer {
+	/** `register`, `authorize` and the grant type of each token request, in order */
+	readonly events: string[] = [];
+	private readonly clients = new Map<string, string[]>();
+	private readonly codes = new Map<string, PendingCode>();
+	private readonly accessTokens = new Set<string>();
+	private readonly refreshTokens = new Map<string, string>();
+
+	/** Whether `authorization` carries an access token this server issued. */
+	accepts(authorization: string | undefined): boolean {
+		const token = /^Bearer (.+)$/.exec(authorization ?? '')?.[1];
+		return token !== undefined && this.accessTokens.has(token);
+	}
+
+	/** Forget every access token, as if they had expired; refresh tokens still work. */
+	expireAccessTokens(): void {
+		this.accessTokens.clear();
+	}
+
+	/** Answer a request for one of the OAuth endpoints; false if `url` is not one. */
+	handle(httpMethod: string, url: URL, body: string, res: ServerResponse): boolean {
+		const origin = url.origin;
+
+		if (url.pathname.startsWith('/.well-known/oauth-protected-resource')) {
+			json(res, 200, { resource: `${origin}/mcp`, authorization_servers: [origin] });
+		} else if (url.pathname === '/.well-known/oauth-authorization-server') {
+			json(res, 200, {
+				issuer: origin,
+				authorization_endpoint: `${origin}/authorize`,
+				token_endpoint: `${origin}/token`,
+				registration_endpoint: `${origin}/register`,
+				response_types_supported: ['code'],
+				grant_types_supported: ['authorization_code', 'refresh_token'],
+				code_challenge_methods_supported: ['S256'],
+				token_endpoint_auth_methods_supported: ['none'],
+			});
+		} else if (url.pathname === '/register' && httpMethod === 'POST') {
+			this.events.push('register');
+			const metadata = JSON.parse(body) as { redirect_uris: string[] };
+			const clientId = `client-${this.clients.size + 1}`;
+			this.clients.set(clientId, metadata.redirect_uris);
+			json(res, 201, { ...metadata, client_id: clientId, client_id_issued_at: Math.floor(Date.now() / 1000) });
+		} else if (url.pathname === '/authorize') {
+			this.events.push('authorize');
+			this.authorize(url.searchParams, res);
+		} else if (url.pathname === '/token' && httpMethod === 'POST') {
+			this.token(new URLSearchParams(body), res);
+		} else {
+			return false;
+		}
+		return true;
+	}
+
+	private authorize(params: URLSearchParams, res: ServerResponse): void {
+		const clientId = params.get('client_id') ?? '';
+		const redirectUri = params.get('redirect_uri') ?? '';
+		if (!this.clients.get(clientId)?.includes(redirectUri) || params.get('code_challenge_method') !== 'S256') {
+			json(res, 400, { error: 'invalid_request' });
+			return;
+		}
+
+		const code = randomUUID();
+		this.codes.set(code, { clientId, redirectUri, codeChallenge: params.get('code_challenge') ?? '' });
+		const location = new URL(redirectUri);
+		location.searchParams.set('code', code);
+		location.searchParams.set('state', params.get('state') ?? '');
+		res.writeHead(302, { Location: location.href }).end();
+	}
+
+	private token(params: URLSearchParams, res: ServerResponse): void {
+		const grantType = params.get('grant_type') ?? '';
+		this.events.push(grantType);
+
+		let clientId: string | undefined;
+		if (grantType === 'authorization_code') {
+			const code = this.codes.get(params.get('code') ?? '');
+			this.codes.delete(params.get('code') ?? '');
+			const challenge = createHash('sha256')
+				.update(params.get('code_verifier') ?? '')
+				.digest('base64url');
+			if (code && code.redirectUri === params.get('redirect_uri') && code.codeChallenge === challenge) {
+				clientId = code.clientId;
+			}
+		} else if (grantType === 'refresh_token') {
+			const refreshToken = params.get('refresh_token') ?? '';
+			clientId = this.refreshTokens.get(refreshToken);
+			this.refreshTokens.delete(refreshToken);
+		}
+		if (!clientId) {
+			json(res, 400, { error: 'invalid_grant' });
+			return;
+		}
+
+		const accessToken = randomUUID();
+		const refreshToken = randomUUID();
+		this.accessTokens.add(accessToken);
+		this.refreshTokens.set(refreshToken, clientId);
+		json(res, 200, { access_token: accessToken, token_type: 'Bearer', expires_in: 3600, refresh_token: refreshToken });
+	}
+}
+
+function json(res: ServerResponse, status: number, body: unknown): void {
+	res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }).end(JSON.stringify(body));
+}
@@ -0,0 +1,181 @@
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { ErrorCode, LoggingMessageNotificationSchema, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { type Upstream, startUpstream } from './upstream';
+
+const BRIDGE = fileURLToPath(new URL('../../stdio-bridge.mjs', import.meta.url));
+
+/** Stop the upstream and start a fresh one, without its sessions, on the same port. */
+async function restart(upstream: Upstream): Promise<Upstream> {
+	await upstream.close();
+	return startUpstream({ port: Number(new URL(upstream.url).port) });
+}
+
+const postedMethods = (upstream: Upstream) =>
+	upstream.requests.filter((request) => request.httpMethod === 'POST').map((request) => request.method);
+
+/** Connect an SDK client to a bridge started with `env`, collecting the bridge's log messages. */
+async function connect(env: Record<string, string>): Promise<{ client: Client; messages: string[] }> {
+	const client = new Client({ name: 'bridge-test-client', version: '1.0.0' });
+	const messages: string[] = [];
+	client.setNotificationHandler(LoggingMessageNotificationSchema, ({ params }) => {
+		if (params.logger === 'bridge') {
+			messages.push(`${params.level}: ${params.data}`);
+		}
+	});
+	await client.connect(
+		new StdioClientTransport({
+			command: process.execPath,
+			args: [BRIDGE],
+			env: { PATH: process.env.PATH ?? '', ...env },
+			stderr: 'ignore',
+		}),
+	);
+	return { client, messages };
+}
+
+describe('stdio bridge when the upstream restarts', () => {
+	let upstream: Upstream;
+	let client: Client;
+	let messages: string[];
+
+	beforeEach(async () => {
+		upstream = await startUpstream();
+		({ client, messages } = await connect({ MCP_SERVER_URL: upstream.url }));
+	});
+
+	afterEach(async () => {
+		await client.close();
+		await upstream.close();
+	});
+
+	it('starts a new session and sends the request again', async () => {
+		const before = await client.callTool({ name: 'echo', arguments: { text: 'before' } });
+		upstream = await restart(upstream);
+
+		const after = await client.callTool({ name: 'echo', arguments: { text: 'after' } });
+
+		expect(after.content).toEqual([{ type: 'text', text: 'after' }]);
+		expect(after._meta?.sessionId).toEqual(expect.any(String));
+		expect(after._meta?.sessionId).not.toBe(before._meta?.sessionId);
+		// Rejected with 404 for the old session, then initialize is replayed
+		expect(postedMethods(upstream)).toEqual(['tools/call', 'initialize', 'notifications/initialized', 'tools/call']);
+		expect(upstream.requests.find((request) => request.method === 'initialize')?.params).toMatchObject({
+			clientInfo: { name: 'bridge-test-client' },
+		});
+		await expect.poll(() => messages).toEqual([
+			expect.stringMatching(/^warning: Session .+ has expired/),
+			expect.stringMatching(/^info: Started session /),
+		]);
+	});
+
+	it('retries idempotent requests with backoff until the upstream is back', async () => {
+		const { port } = new URL(upstream.url);
+		await upstream.close();
+
+		const listing = client.listTools();
+		await sleep(400);
+		upstream = await startUpstream({ port: Number(port) });
+
+		const { tools } = await listing;
+		expect(tools.map((tool) => tool.name)).toEqual(['echo', 'count', 'wait', 'add_tool']);
+		await expect.poll(() => messages).toEqual([
+			expect.stringMatching(/^warning: Lost connection to /),
+			expect.stringMatching(/^warning: Session .+ has expired/),
+			expect.stringMatching(/^info: Started session /),
+			`info: Reconnected to ${upstream.url}`,
+		]);
+	});
+
+	it('does not retry tool calls while the upstream is unreachable', async () => {
+		const { port } = new URL(upstream.url);
+		await upstream.close();
+
+		const error = await client.callTool({ name: 'add_tool', arguments: {} }).catch((e: unknown) => e);
+
+		expect(error).toBeInstanceOf(McpError);
+		expect((error as McpError).code).toBe(ErrorCode.InternalError);
+		expect((error as McpError).message).toContain(`Upstream MCP server ${upstream.url} failed`);
+
+		upstream = await startUpstream({ port: Number(port) });
+		await client.listTools();
+		expect(postedMethods(upstream)).not.toContain('tools/call');
+	});
+
+	it('gives up on idempotent requests after the last retry', { timeout: 15_000 }, async () => {
+		await upstream.close();
+
+		const error = await client.listTools().catch((e: unknown) => e);
+
+		expect(error).toBeInstanceOf(McpError);
+		expect((error as McpError).message).toContain(`Upstream MCP server ${upstream.url} failed`);
+	});
+
+	it('answers calls left waiting on the lost session', async () => {
+		const waiting = client.callTool({ name: 'wait', arguments: {} }).catch((e: unknown) => e);
+		await expect.poll(() => upstream.requests.some((request) => request.method === 'tools/call')).toBe(true);
+		upstream = await restart(upstream);
+
+		await client.callTool({ name: 'echo', arguments: { text: 'after' } });
+
+		const error = await waiting;
+		expect(error).toBeInstanceOf(McpError);
+		expect((error as McpError).message).toContain('lost the session before answering tools/call');
+		// The call may have run, so it is not sent again
+		expect(postedMethods(upstream).filter((method) => method === 'tools/call')).toHaveLength(2);
+	});
+});
+
+describe('stdio bridge aggregation mode when an upstream restarts', () => {
+	let upstream: Upstream;
+	let dir: string;
+	let client: Client;
+	let messages: string[];
+
+	beforeEach(async () => {
+		upstream = await startUpstream();
+		dir = await mkdtemp(join(tmpdir(), 'bridge-config-'));
+		const config = join(dir, 'bridge.json');
+		await writeFile(config, JSON.stringify({ upstreams: [{ name: 'cook', url: upstream.url }] }));
+		({ client, messages } = await connect({ MCP_BRIDGE_CONFIG: config }));
+	});
+
+	afterEach(async () => {
+		await client.close();
+		await upstream.close();
+		await rm(dir, { recursive: true, force: true });
+	});
+
+	it('starts a new session for calls after the restart', async () => {
+		await client.callTool({ name: 'cook__echo', arguments: { text: 'before' } });
+		upstream = await restart(upstream);
+
+		const result = await client.callTool({ name: 'cook__echo', arguments: { text: 'after' } });
+
+		expect(result.content).toEqual([{ type: 'text', text: 'after' }]);
+		expect(postedMethods(upstream)).toEqual(['tools/call', 'initialize', 'notifications/initialized', 'tools/call']);
+		await expect.poll(() => messages).toEqual([expect.stringMatching(/^warning: Session .+ on upstream cook has expired/)]);
+	});
+
+	it('retries listings until the upstream is back', async () => {
+		const { port } = new URL(upstream.url);
+		await upstream.close();
+
+		const listing = client.listTools();
+		await sleep(400);
+		upstream = await startUpstream({ port: Number(port) });
+
+		const { tools } = await listing;
+		expect(tools.map((tool) => tool.name)).toContain('cook__echo');
+		await expect.poll(() => messages).toEqual([
+			expect.stringMatching(/^error: Upstream cook .+ is down/),
+			'info: Upstream cook is back',
+		]);
+	});
+});
@@ -0,0 +1,153 @@
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { ErrorCode, McpError, ProgressNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { REDACTED, redact } from '../../bridge/record.mjs';
+import { type Upstream, startUpstream } from './upstream';
+
+const BRIDGE = fileURLToPath(new URL('../../stdio-bridge.mjs', import.meta.url));
+
+interface RecordedLine {
+	time: string;
+	direction: 'in' | 'out';
+	message: { id?: number; method?: string; params?: unknown; result?: unknown };
+}
+
+async function connect(args: string[], env: Record<string, string> = {}): Promise<Client> {
+	const client = new Client({ name: 'bridge-test-client', version: '1.0.0' });
+	await client.connect(
+		new StdioClientTransport({
+			command: process.execPath,
+			args: [BRIDGE, ...args],
+			env: { PATH: process.env.PATH ?? '', ...env },
+			stderr: 'ignore',
+		}),
+	);
+	return client;
+}
+
+async function readRecording(path: string): Promise<RecordedLine[]> {
+	return (await readFile(path, 'utf8'))
+		.split('\n')
+		.filter(Boolean)
+		.map((line) => JSON.parse(line));
+}
+
+describe('stdio bridge recording', () => {
+	let upstream: Upstream;
+	let dir: string;
+	let recording: string;
+	let client: Client | undefined;
+
+	beforeEach(async () => {
+		upstream = await startUpstream({ bearerToken: 'secret-token-123' });
+		dir = await mkdtemp(join(tmpdir(), 'bridge-record-'));
+		recording = join(dir, 'session.jsonl');
+	});
+
+	afterEach(async () => {
+		await client?.close();
+		client = undefined;
+		await upstream.close();
+		await rm(dir, { recursive: true, force: true });
+	});
+
+	const record = () =>
+		connect(['--record', recording], { MCP_SERVER_URL: upstream.url, MCP_BEARER_TOKEN: 'secret-token-123' });
+
+	it('writes both directions with timestamps', async () => {
+		client = await record();
+		await client.callTool({ name: 'echo', arguments: { text: 'hello' } });
+
+		const lines = await readRecording(recording);
+		expect(lines.map(({ direction, message }) => `${direction} ${message.method ?? `response ${message.id}`}`)).toEqual([
+			'in initialize',
+			'out response 0',
+			'in notifications/initialized',
+			'in tools/call',
+			'out response 1',
+		]);
+		expect(lines.every(({ time }) => !Number.isNaN(Date.parse(time)))).toBe(true);
+		expect(lines[4].message.result).toMatchObject({ content: [{ type: 'text', text: 'hello' }] });
+	});
+
+	it('records in aggregation mode', async () => {
+		const config = join(dir, 'bridge.json');
+		await writeFile(config, JSON.stringify({ upstreams: [{ name: 'cook', url: upstream.url, bearerToken: 'secret-token-123' }] }));
+		client = await connect(['--config', config, '--record', recording]);
+		await client.callTool({ name: 'cook__echo', arguments: { text: 'aggregated' } });
+
+		const lines = await readRecording(recording);
+		expect(lines.at(-2)).toMatchObject({ direction: 'in', message: { method: 'tools/call', params: { name: 'cook__echo' } } });
+		expect(lines.at(-1)).toMatchObject({ direction: 'out', message: { result: { content: [{ text: 'aggregated' }] } } });
+	});
+
+	it('redacts secrets', async () => {
+		client = await record();
+		await client.callTool({ name: 'echo', arguments: { text: 'the token is secret-token-123' } });
+		await client.callTool({ name: 'echo', arguments: { text: 'Authorization: Bearer abc.def' } });
+
+		const contents = await readFile(recording, 'utf8');
+		expect(contents).not.toContain('secret-token-123');
+		expect(contents).not.toContain('abc.def');
+		expect(contents).toContain(`the token is ${REDACTED}`);
+		expect(contents).toContain(`Bearer ${REDACTED}`);
+	});
+
+	it('replays a recording without the upstream', async () => {
+		client = await record();
+		const tools = await client.listTools();
+		await client.callTool({ name: 'echo', arguments: { text: 'first' } });
+		await client.callTool({ name: 'echo', arguments: { text: 'second' } });
+		await client.callTool({ name: 'count', arguments: {} }, undefined, { onprogress: () => {} });
+		await client.close();
+		await upstream.close();
+
+		client = await connect(['--replay', recording]);
+		expect(client.getServerVersion()?.name).toBe('bridge-test-upstream');
+		expect(await client.listTools()).toEqual(tools);
+		expect(await client.callTool({ name: 'echo', arguments: { text: 'second' } })).toMatchObject({
+			content: [{ type: 'text', text: 'second' }],
+		});
+		expect(await client.callTool({ name: 'echo', arguments: { text: 'first' } })).toMatchObject({
+			content: [{ type: 'text', text: 'first' }],
+		});
+
+		// As in stdio-bridge.test.ts, `onprogress` misses notifications in the response's chunk
+		const progress: number[] = [];
+		client.setNotificationHandler(ProgressNotificationSchema, ({ params }) => {
+			progress.push(params.progress);
+		});
+		await client.callTool({ name: 'count', arguments: {} }, undefined, { onprogress: () => {} });
+		await expect.poll(() => progress).toEqual([1, 2, 3]);
+
+		const error = await client.getPrompt({ name: 'greet', arguments: { name: 'Ada' } }).catch((e: unknown) => e);
+		expect(error).toBeInstanceOf(McpError);
+		expect((error as McpError).code).toBe(ErrorCode.InternalError);
+		expect((error as McpError).message).toContain('No recorded response for prompts/get');
+	});
+});
+
+describe('redact', () => {
+	it('redacts credential keys at any depth', () => {
+		expect(
+			redact({
+				arguments: { query: 'duct sizing', apiKey: 'k', nested: [{ refresh_token: 'r', 'X-API-Key': 'x' }] },
+				_meta: { progressToken: 7 },
+			}),
+		).toEqual({
+			arguments: { query: 'duct sizing', apiKey: REDACTED, nested: [{ refresh_token: REDACTED, 'X-API-Key': REDACTED }] },
+			_meta: { progressToken: 7 },
+		});
+	});
+
+	it('redacts bearer credentials and known secrets in strings', () => {
+		expect(redact('Bearer abc.def and Basic dXNlcjpwYXNz, key hunter22', ['hunter22'])).toBe(
+			`Bearer ${REDACTED} and Basic ${REDACTED}, key ${REDACTED}`,
+		);
+	});
+});
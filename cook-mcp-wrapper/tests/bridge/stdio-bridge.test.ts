@@ -0,0 +1,233 @@
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import {
+	ErrorCode,
+	type JSONRPCMessage,
+	McpError,
+	ProgressNotificationSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { type Upstream, startUpstream } from './upstream';
+
+const BRIDGE = fileURLToPath(new URL('../../stdio-bridge.mjs', import.meta.url));
+
+/** Spawn the bridge pointed at `url` and connect an SDK client to its stdio. */
+async function connectThroughBridge(
+	url: string,
+	client = new Client({ name: 'bridge-test-client', version: '1.0.0' }),
+): Promise<Client> {
+	await client.connect(
+		new StdioClientTransport({
+			command: process.execPath,
+			args: [BRIDGE],
+			env: { PATH: process.env.PATH ?? '', MCP_SERVER_URL: url },
+			stderr: 'ignore',
+		}),
+	);
+	return client;
+}
+
+describe('stdio bridge', () => {
+	let upstream: Upstream;
+	let client: Client;
+
+	beforeEach(async () => {
+		upstream = await startUpstream();
+		client = await connectThroughBridge(upstream.url);
+	});
+
+	afterEach(async () => {
+		await client.close();
+		await upstream.close();
+	});
+
+	it('mirrors the capabilities and serverInfo the upstream server advertises', async () => {
+		const direct = await fetch(upstream.url, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+			body: JSON.stringify({
+				jsonrpc: '2.0',
+				id: 1,
+				method: 'initialize',
+				params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'direct', version: '1.0.0' } },
+			}),
+		});
+		const { result } = (await direct.json()) as { result: { serverInfo: unknown; capabilities: unknown } };
+
+		expect(client.getServerVersion()).toEqual(result.serverInfo);
+		expect(client.getServerCapabilities()).toEqual(result.capabilities);
+		expect(client.getServerCapabilities()).toMatchObject({ tools: {}, resources: {}, prompts: {} });
+	});
+
+	it('forwards tools', async () => {
+		const { tools } = await client.listTools();
+		expect(tools.map((tool) => tool.name)).toEqual(['echo', 'count', 'wait', 'add_tool']);
+
+		const result = await client.callTool({ name: 'echo', arguments: { text: 'hello' } });
+		expect(result.content).toEqual([{ type: 'text', text: 'hello' }]);
+	});
+
+	it('keeps the session issued at initialize', async () => {
+		const result = await client.callTool({ name: 'echo', arguments: { text: 'which session?' } });
+
+		const sessionId = result._meta?.sessionId;
+		expect(sessionId).toEqual(expect.any(String));
+
+		const afterInitialize = upstream.requests.filter((request) => request.method !== 'initialize');
+		expect(afterInitialize.length).toBeGreaterThan(0);
+		for (const request of afterInitialize) {
+			expect(request.sessionId).toBe(sessionId);
+		}
+
+		// The version negotiated at initialize goes on every later request
+		const versions = upstream.requests
+			.filter((request) => request.httpMethod === 'POST' && request.method !== 'initialize')
+			.map((request) => request.protocolVersion);
+		expect([...new Set(versions)]).toEqual([expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/)]);
+	});
+
+	it('forwards resources and prompts', async () => {
+		const { resources } = await client.listResources();
+		expect(resources).toEqual([{ uri: 'test://readme', name: 'Readme', mimeType: 'text/plain' }]);
+
+		const { contents } = await client.readResource({ uri: 'test://readme' });
+		expect(contents).toEqual([{ uri: 'test://readme', mimeType: 'text/plain', text: 'Read me' }]);
+
+		const prompt = await client.getPrompt({ name: 'greet', arguments: { name: 'Ada' } });
+		expect(prompt.messages).toEqual([{ role: 'user', content: { type: 'text', text: 'Say hello to Ada' } }]);
+	});
+
+	it('relays progress notifications streamed by the server', async () => {
+		const updates: Array<{ progress: number; total?: number }> = [];
+		// Listen for the notifications themselves: the SDK drops `onprogress` callbacks
+		// that arrive in the same stdout chunk as the response
+		client.setNotificationHandler(ProgressNotificationSchema, ({ params }) => {
+			updates.push({ progress: params.progress, total: params.total });
+		});
+
+		const result = await client.callTool({ name: 'count', arguments: {} }, undefined, { onprogress: () => {} });
+
+		expect(result.content).toEqual([{ type: 'text', text: 'counted to 3' }]);
+		await expect.poll(() => updates).toEqual([
+			{ progress: 1, total: 3 },
+			{ progress: 2, total: 3 },
+			{ progress: 3, total: 3 },
+		]);
+	});
+
+	it('forwards cancellation of an in-flight request', async () => {
+		const controller = new AbortController();
+		const call = client.callTool({ name: 'wait', arguments: {} }, undefined, { signal: controller.signal });
+		await expect.poll(() => upstream.requests.some((request) => request.method === 'tools/call')).toBe(true);
+
+		controller.abort('user pressed stop');
+
+		await expect(call).rejects.toThrow();
+		await expect
+			.poll(() => upstream.requests.find((request) => request.method === 'notifications/cancelled')?.params)
+			.toEqual({
+				requestId: upstream.requests.find((request) => request.method === 'tools/call')?.id,
+				reason: 'user pressed stop',
+			});
+	});
+
+	it('passes upstream JSON-RPC errors back unchanged', async () => {
+		const error = await client.callTool({ name: 'no_such_tool', arguments: {} }).catch((e: unknown) => e);
+
+		expect(error).toBeInstanceOf(McpError);
+		expect((error as McpError).code).toBe(ErrorCode.MethodNotFound);
+	});
+
+	it('ends the upstream session when the client disconnects', async () => {
+		await client.close();
+
+		await expect.poll(() => upstream.requests.some((request) => request.httpMethod === 'DELETE')).toBe(true);
+	});
+});
+
+// The SDK client offers a protocol version mcp-lite negotiates down to 2025-03-26, and
+// mcp-lite only opens its server-to-client stream for 2025-06-18, which is what Claude
+// Desktop speaks. These tests drive the bridge with raw JSON-RPC at that version.
+describe('stdio bridge server-to-client stream', () => {
+	let upstream: Upstream;
+	let transport: StdioClientTransport;
+	let received: JSONRPCMessage[];
+	let nextId: number;
+
+	async function request(method: string, params: Record<string, unknown> = {}): Promise<JSONRPCMessage> {
+		const id = nextId++;
+		await transport.send({ jsonrpc: '2.0', id, method, params });
+		await expect.poll(() => received.some((message) => 'id' in message && message.id === id)).toBe(true);
+		return received.find((message) => 'id' in message && message.id === id)!;
+	}
+
+	beforeEach(async () => {
+		upstream = await startUpstream();
+		received = [];
+		nextId = 1;
+		transport = new StdioClientTransport({
+			command: process.execPath,
+			args: [BRIDGE],
+			env: { PATH: process.env.PATH ?? '', MCP_SERVER_URL: upstream.url },
+			stderr: 'ignore',
+		});
+		transport.onmessage = (message) => received.push(message);
+		await transport.start();
+
+		await request('initialize', {
+			protocolVersion: '2025-06-18',
+			capabilities: {},
+			clientInfo: { name: 'raw-client', version: '1.0.0' },
+		});
+		await transport.send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+		// The bridge opens the stream once initialized is delivered
+		await expect.poll(() => upstream.requests.some((message) => message.httpMethod === 'GET')).toBe(true);
+	});
+
+	afterEach(async () => {
+		await transport.close();
+		await upstream.close();
+	});
+
+	it('relays list_changed notifications', async () => {
+		await request('tools/call', { name: 'add_tool', arguments: {} });
+
+		await expect
+			.poll(() => received.filter((message) => 'method' in message).map((message) => (message as { method: string }).method))
+			.toContain('notifications/tools/list_changed');
+	});
+
+	it('drops the ping notification mcp-lite opens the stream with', async () => {
+		// A round trip after the stream opened, so a relayed ping would have arrived by now
+		await request('tools/list');
+
+		const methods = received.filter((message) => 'method' in message).map((message) => (message as { method: string }).method);
+		expect(methods).not.toContain('ping');
+	});
+});
+
+describe('stdio bridge without an upstream server', () => {
+	it('answers requests with an error instead of hanging', async () => {
+		const upstream = await startUpstream();
+		const { url } = upstream;
+		await upstream.close();
+
+		const client = new Client({ name: 'bridge-test-client', version: '1.0.0' });
+		const error = await client
+			.connect(
+				new StdioClientTransport({
+					command: process.execPath,
+					args: [BRIDGE],
+					env: { PATH: process.env.PATH ?? '', MCP_SERVER_URL: url },
+					stderr: 'ignore',
+				}),
+			)
+			.catch((e: unknown) => e);
+
+		expect(error).toBeInstanceOf(McpError);
+		expect((error as McpError).code).toBe(ErrorCode.InternalError);
+		expect((error as McpError).message).toContain(`Upstream MCP server ${url} failed`);
+		await client.close();
+	});
+});
@@ -0,0 +1,219 @@
+/**
+ * Local mcp-lite server for the bridge tests
+ *
+ * A small stand-in for the Worker, served from Node's http module with sessions
+ * turned on so session handling in the bridge is exercised. Every HTTP request to
+ * the MCP endpoint is recorded with the headers the bridge is responsible for. It can
+ * require a bearer token, or OAuth from its own authorization server.
+ */
+
+import { type IncomingHttpHeaders, type IncomingMessage, type ServerResponse, createServer } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { InMemorySessionAdapter, McpServer, StreamableHttpTransport } from 'mcp-lite';
+import { TestAuthorizationServer } from './oauth-server';
+
+export interface ReceivedRequest {
+	httpMethod: string;
+	/** JSON-RPC method, or undefined for GET/DELETE and responses */
+	method?: string;
+	id?: string | number;
+	params?: unknown;
+	sessionId: string | null;
+	protocolVersion: string | null;
+	headers: IncomingHttpHeaders;
+}
+
+export interface Upstream {
+	url: string;
+	requests: ReceivedRequest[];
+	/** The authorization server, when started with `oauth` */
+	oauth?: TestAuthorizationServer;
+	close(): Promise<void>;
+}
+
+export interface UpstreamOptions {
+	/** serverInfo name, so tests can tell upstreams apart */
+	name?: string;
+	/** URI of the one text resource */
+	resourceUri?: string;
+	/** Listen on this port, to restart an upstream where the bridge expects it */
+	port?: number;
+	/** Require `Authorization: Bearer <token>` */
+	bearerToken?: string;
+	/** Require an access token from a TestAuthorizationServer on the same origin */
+	oauth?: boolean;
+}
+
+function createUpstreamServer({ name = 'bridge-test-upstream', resourceUri = 'test://readme' }: UpstreamOptions): McpServer {
+	const quiet = () => {};
+	const server = new McpServer({
+		name,
+		version: '0.1.0',
+		logger: { error: quiet, warn: quiet, info: quiet, debug: quiet },
+	});
+
+	server.tool('echo', {
+		description: 'Echo the text back, with the session it arrived on',
+		inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+		handler: (args: { text: string }, ctx) => ({
+			content: [{ type: 'text', text: args.text }],
+			_meta: { sessionId: ctx.session?.id },
+		}),
+	});
+
+	server.tool('count', {
+		description: 'Report progress three times, then finish',
+		inputSchema: { type: 'object', properties: {} },
+		handler: async (_args, ctx) => {
+			for (let step = 1; step <= 3; step++) {
+				await ctx.progress?.({ progress: step, total: 3, message: `step ${step}` });
+			}
+			return { content: [{ type: 'text', text: 'counted to 3' }] };
+		},
+	});
+
+	server.tool('wait', {
+		description: 'Answer after a delay, long enough to be cancelled',
+		inputSchema: { type: 'object', properties: {} },
+		handler: async () => {
+			await new Promise((resolve) => setTimeout(resolve, 300));
+			return { content: [{ type: 'text', text: 'waited' }] };
+		},
+	});
+
+	// Registering a tool after initialize makes mcp-lite broadcast notifications/tools/list_changed
+	server.tool('add_tool', {
+		description: 'Register another tool',
+		inputSchema: { type: 'object', properties: {} },
+		handler: () => {
+			server.tool('late_tool', {
+				description: 'Registered at runtime',
+				inputSchema: { type: 'object', properties: {} },
+				handler: () => ({ content: [{ type: 'text', text: 'late' }] }),
+			});
+			return { content: [{ type: 'text', text: 'added late_tool' }] };
+		},
+	});
+
+	server.resource(resourceUri, { name: 'Readme', mimeType: 'text/plain' }, async (uri) => ({
+		contents: [{ uri: uri.href, type: 'text', mimeType: 'text/plain', text: 'Read me' }],
+	}));
+
+	server.prompt('greet', {
+		description: 'Greet someone',
+		arguments: [{ name: 'name', required: true }],
+		handler: (args: { name: string }) => ({
+			messages: [{ role: 'user', content: { type: 'text', text: `Say hello to ${args.name}` } }],
+		}),
+	});
+
+	return server;
+}
+
+export async function startUpstream(options: UpstreamOptions = {}): Promise<Upstream> {
+	const transport = new StreamableHttpTransport({
+		sessionAdapter: new InMemorySessionAdapter({ maxEventBufferSize: 1024 }),
+	});
+	const handler = transport.bind(createUpstreamServer(options));
+	const requests: ReceivedRequest[] = [];
+	// mcp-lite accepts session ids it never issued; the spec says to answer 404, which is
+	// what tells clients to start a new session after a restart
+	const sessions = new Set<string>();
+	const oauth = options.oauth ? new TestAuthorizationServer() : undefined;
+
+	const http = createServer(async (req: IncomingMessage, res: ServerResponse) => {
+		const chunks: Buffer[] = [];
+		for await (const chunk of req) {
+			chunks.push(chunk as Buffer);
+		}
+		const body = Buffer.concat(chunks).toString();
+
+		const url = new URL(req.url ?? '/', `http://${req.headers.host}`);
+		if (oauth && url.pathname !== '/mcp' && oauth.handle(req.method ?? 'GET', url, body, res)) {
+			return;
+		}
+
+		let message: { method?: string; id?: string | number; params?: unknown } = {};
+		try {
+			message = body ? JSON.parse(body) : {};
+		} catch {
+			// Recorded without a method; mcp-lite answers with a parse error
+		}
+		requests.push({
+			httpMethod: req.method ?? 'GET',
+			method: message.method,
+			id: message.id,
+			params: message.params,
+			sessionId: req.headers['mcp-session-id']?.toString() ?? null,
+			protocolVersion: req.headers['mcp-protocol-version']?.toString() ?? null,
+			headers: req.headers,
+		});
+
+		const { authorization } = req.headers;
+		const authorized =
+			(options.bearerToken === undefined && !oauth) ||
+			(options.bearerToken !== undefined && authorization === `Bearer ${options.bearerToken}`) ||
+			oauth?.accepts(authorization);
+		if (!authorized) {
+			const challenge = oauth ? `Bearer resource_metadata="${url.origin}/.well-known/oauth-protected-resource"` : 'Bearer';
+			res.writeHead(401, { 'WWW-Authenticate': challenge }).end('Unauthorized');
+			return;
+		}
+
+		const sessionId = req.headers['mcp-session-id']?.toString();
+		if (sessionId && !sessions.has(sessionId)) {
+			res.writeHead(404).end('Session not found');
+			return;
+		}
+
+		const response = await handler(
+			new Request(url, {
+				method: req.method,
+				headers: req.headers as Record<string, string>,
+				body: body || undefined,
+			}),
+		);
+
+		const issued = response.headers.get('mcp-session-id');
+		if (issued) {
+			sessions.add(issued);
+		}
+		if (req.method === 'DELETE' && sessionId) {
+			sessions.delete(sessionId);
+		}
+
+		res.writeHead(response.status, Object.fromEntries(response.headers));
+		// Like a Worker, start the response before the first event, not with it
+		res.flushHeaders();
+		if (!response.body) {
+			res.end();
+			return;
+		}
+
+		// SSE bodies stay open until the client goes away
+		const reader = response.body.getReader();
+		res.on('close', () => void reader.cancel().catch(() => {}));
+		for (;;) {
+			const { value, done } = await reader.read().catch(() => ({ value: undefined, done: true }));
+			if (done) {
+				break;
+			}
+			res.write(value);
+		}
+		res.end();
+	});
+
+	await new Promise<void>((resolve) => http.listen(options.port ?? 0, '127.0.0.1', resolve));
+	const { port } = http.address() as AddressInfo;
+
+	return {
+		url: `http://127.0.0.1:${port}/mcp`,
+		requests,
+		oauth,
+		close: () =>
+			new Promise((resolve) => {
+				http.closeAllConnections();
+				http.close(() => resolve());
+			}),
+	};
+}
@@ -0,0 +1,151 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { FORMULA_PAGES, convertUnits, ductFriction, fanLaws, formatNumber, motorPower, reference } from '../src/calculations';
+
+describe('ductFriction', () => {
+	it('matches the friction chart for round duct', () => {
+		const result = ductFriction({ cfm: 1000, diameterIn: 10 });
+
+		expect(result.velocity_fpm).toBeCloseTo(1833.5, 1);
+		expect(result.velocity_pressure_in_wg).toBeCloseTo(0.2096, 4);
+		expect(result.friction_per_100ft_in_wg).toBeCloseTo(0.5224, 4);
+		expect(result.friction_loss_in_wg).toBe(result.friction_per_100ft_in_wg);
+	});
+
+	it('scales the loss with duct length', () => {
+		const result = ductFriction({ cfm: 1000, diameterIn: 10, lengthFt: 250 });
+
+		expect(result.friction_loss_in_wg).toBeCloseTo(result.friction_per_100ft_in_wg * 2.5, 10);
+	});
+
+	it('uses the circular equivalent of rectangular duct for friction and its own area for velocity', () => {
+		const result = ductFriction({ cfm: 2000, widthIn: 24, heightIn: 12 });
+
+		expect(result.diameter_in).toBeCloseTo(18.28, 2);
+		expect(result.velocity_fpm).toBeCloseTo(1000, 6);
+		const round = ductFriction({ cfm: 2000, diameterIn: result.diameter_in });
+		expect(result.friction_per_100ft_in_wg).toBeCloseTo(round.friction_per_100ft_in_wg, 10);
+	});
+
+});
+
+describe('fanLaws', () => {
+	it('scales airflow, pressure and power with speed', () => {
+		const result = fanLaws({ cfm: 10_000, rpm: 1000, staticPressure: 1, bhp: 5, newRpm: 1200 });
+
+		expect(result.speed_ratio).toBeCloseTo(1.2, 12);
+		expect(result.cfm).toBeCloseTo(12_000, 8);
+		expect(result.rpm).toBeCloseTo(1200, 8);
+		expect(result.static_pressure_in_wg).toBeCloseTo(1.44, 12);
+		expect(result.bhp).toBeCloseTo(8.64, 12);
+	});
+
+	it('finds the speed for a target airflow', () => {
+		const result = fanLaws({ cfm: 8000, rpm: 900, staticPressure: 2, newCfm: 6000 });
+
+		expect(result.rpm).toBeCloseTo(675, 8);
+		expect(result.static_pressure_in_wg).toBeCloseTo(1.125, 12);
+		expect(result.bhp).toBeUndefined();
+	});
+
+	it('scales pressure and power, but not airflow, with density', () => {
+		const result = fanLaws({ cfm: 5000, rpm: 1000, staticPressure: 1, bhp: 2, newRpm: 1000, densityRatio: 0.8 });
+
+		expect(result.cfm).toBe(5000);
+		expect(result.static_pressure_in_wg).toBeCloseTo(0.8, 12);
+		expect(result.bhp).toBeCloseTo(1.6, 12);
+	});
+});
+
+describe('motorPower', () => {
+	it('adds drive losses, computes the electrical input and picks the NEMA size', () => {
+		const result = motorPower({ bhp: 8.2, motorEfficiency: 91, driveEfficiency: 97 });
+
+		expect(result.motor_output_hp).toBeCloseTo(8.4536, 4);
+		expect(result.input_hp).toBeCloseTo(9.2897, 4);
+		expect(result.input_kw).toBeCloseTo(6.9273, 4);
+		expect(result.nominal_motor_hp).toBe(10);
+		expect(result.motor_load_percent).toBeCloseTo(84.54, 2);
+	});
+
+	it('picks an exact NEMA rating when the load matches it', () => {
+		expect(motorPower({ bhp: 7.5, motorEfficiency: 90 }).nominal_motor_hp).toBe(7.5);
+	});
+
+	it('has no NEMA size above 500 hp', () => {
+		const result = motorPower({ bhp: 600, motorEfficiency: 96 });
+
+		expect(result.nominal_motor_hp).toBeUndefined();
+		expect(result.motor_load_percent).toBeUndefined();
+	});
+});
+
+describe('convertUnits', () => {
+	it.each([
+		[2000, 'cfm', 'm3_h', 3398.02],
+		[1000, 'l_s', 'cfm', 2118.88],
+		[1, 'in_wg', 'pa', 249.089],
+		[25.4, 'mm_wg', 'in_wg', 1.0],
+		[10, 'hp', 'kw', 7.457],
+		[1000, 'fpm', 'm_s', 5.08],
+		[12, 'in', 'ft', 1],
+		[3412.14, 'btu_h', 'w', 1000],
+	] as const)('converts %d %s to %s', (value, from, to, expected) => {
+		const result = convertUnits(value, from, to);
+
+		expect(result.result).toBeCloseTo(expected, 2);
+	});
+
+	it('converts temperatures through their offsets', () => {
+		expect(convertUnits(70, 'f', 'c').result).toBeCloseTo(21.111, 3);
+		expect(convertUnits(-40, 'c', 'f').result).toBeCloseTo(-40, 10);
+		expect(convertUnits(0, 'c', 'k').result).toBeCloseTo(273.15, 10);
+	});
+
+	it('writes the conversion out', () => {
+		expect(convertUnits(2000, 'cfm', 'm3_h').text).toBe('2,000 cfm = 3,398 m³/h');
+	});
+
+	it('refuses to mix quantities or go below absolute zero', () => {
+		expect(() => convertUnits(1, 'cfm', 'pa')).toThrow('Cannot convert cfm (airflow) to pa (pressure)');
+		expect(() => convertUnits(1, 'f', 'in')).toThrow('Cannot convert f (temperature) to in (length)');
+		expect(() => convertUnits(-300, 'c', 'k')).toThrow('below absolute zero');
+	});
+});
+
+describe('formatNumber', () => {
+	it('rounds to four significant figures', () => {
+		expect(formatNumber(0.522_381)).toBe('0.5224');
+		expect(formatNumber(1833.46)).toBe('1,833');
+		expect(formatNumber(12_000.000_001)).toBe('12,000');
+		expect(formatNumber(0)).toBe('0');
+	});
+});
+
+describe('reference', () => {
+	afterEach(() => {
+		delete FORMULA_PAGES.ductFriction;
+	});
+
+	it('cites no page until one is verified against the handbook', () => {
+		const results = [
+			ductFriction({ cfm: 500, diameterIn: 8 }),
+			fanLaws({ cfm: 5000, rpm: 1000, staticPressure: 1, newRpm: 1200 }),
+			motorPower({ bhp: 5, motorEfficiency: 90 }),
+			convertUnits(1, 'in_wg', 'pa'),
+		];
+
+		// Add each page here as it is verified
+		expect(FORMULA_PAGES).toEqual({});
+		expect(results.map((result) => result.reference)).toEqual([undefined, undefined, undefined, undefined]);
+	});
+
+	it('cites a verified page with its resource URI', () => {
+		FORMULA_PAGES.ductFriction = 12;
+
+		expect(ductFriction({ cfm: 500, diameterIn: 8 }).reference).toEqual({
+			page_number: 12,
+			uri: 'cook-handbook://page/12',
+			topic: 'Duct friction loss',
+		});
+	});
+});
@@ -0,0 +1,108 @@
+/**
+ * In-process stand-in for the Python HTTP wrapper
+ *
+ * Installed as the global `fetch`, so the Worker's BackendClient talks to it instead
+ * of the network. Each route answers with a scripted reply; unscripted routes get a
+ * 404 like Flask would. Every request is recorded for assertions.
+ */
+
+import { vi } from 'vitest';
+
+export type FakeReply =
+	| { kind: 'json'; body: unknown; status?: number }
+	| { kind: 'ndjson'; events: unknown[]; open?: boolean }
+	| { kind: 'malformed' }
+	| { kind: 'timeout' }
+	| { kind: 'unreachable' };
+
+export interface RecordedRequest {
+	method: string;
+	path: string;
+	headers: Record<string, string>;
+	body: unknown;
+}
+
+export const reply = {
+	json: (body: unknown, status = 200): FakeReply => ({ kind: 'json', body, status }),
+	error: (status: number, message = 'Internal Server Error'): FakeReply => ({ kind: 'json', body: { error: message }, status }),
+	/** One JSON line per event, as `POST /call-tool/stream` answers */
+	ndjson: (...events: unknown[]): FakeReply => ({ kind: 'ndjson', events }),
+	/** Like `ndjson`, but the stream stays open after the events until the reader cancels it */
+	openNdjson: (...events: unknown[]): FakeReply => ({ kind: 'ndjson', events, open: true }),
+	/** 200 with a body that is not JSON, as when a proxy serves an HTML error page */
+	malformed: (): FakeReply => ({ kind: 'malformed' }),
+	/** Fail the way `AbortSignal.timeout` does when the wrapper never answers */
+	timeout: (): FakeReply => ({ kind: 'timeout' }),
+	/** Fail the way fetch does when nothing listens on the port */
+	unreachable: (): FakeReply => ({ kind: 'unreachable' }),
+};
+
+export class FakeBackend {
+	readonly requests: RecordedRequest[] = [];
+	/** Routes whose open streams were cancelled by the reader */
+	readonly cancelled: string[] = [];
+	private readonly routes = new Map<string, FakeReply[]>();
+
+	constructor(readonly baseUrl: string) {}
+
+	/** Script the replies for `METHOD /path`. The last reply repeats once the others are used up. */
+	on(route: string, ...replies: FakeReply[]): this {
+		this.routes.set(route, replies);
+		return this;
+	}
+
+	/** Requests received for `METHOD /path`. */
+	calls(route: string): RecordedRequest[] {
+		return this.requests.filter((request) => `${request.method} ${request.path}` === route);
+	}
+
+	/** Replace the global fetch until `vi.unstubAllGlobals()`. */
+	install(): this {
+		vi.stubGlobal('fetch', (input: RequestInfo | URL, init?: RequestInit) => this.fetch(new Request(input, init)));
+		return this;
+	}
+
+	private async fetch(request: Request): Promise<Response> {
+		const url = new URL(request.url);
+		if (!request.url.startsWith(this.baseUrl)) {
+			throw new TypeError(`Unexpected fetch to ${url.origin} in tests`);
+		}
+
+		const text = await request.text();
+		const route = `${request.method} ${url.pathname}`;
+		this.requests.push({
+			method: request.method,
+			path: url.pathname,
+			headers: Object.fromEntries(request.headers),
+			// JSON bodies parsed; others, such as uploaded PDFs, as text
+			body: text && request.headers.get('Content-Type')?.startsWith('application/json') ? JSON.parse(text) : text || undefined,
+		});
+
+		const replies = this.routes.get(route);
+		const next = replies && (replies.length > 1 ? replies.shift()! : replies[0]);
+		if (!next) {
+			return new Response('Not Found', { status: 404 });
+		}
+
+		switch (next.kind) {
+			case 'json':
+				return Response.json(next.body, { status: next.status });
+			case 'ndjson': {
+				const lines = next.events.map((event) => `${JSON.stringify(event)}\n`).join('');
+				const body = next.open
+					? new ReadableStream({
+							start: (controller) => controller.enqueue(new TextEncoder().encode(lines)),
+							cancel: () => void this.cancelled.push(route),
+						})
+					: lines;
+				return new Response(body, { headers: { 'Content-Type': 'application/x-ndjson' } });
+			}
+			case 'malformed':
+				return new Response('<html>Bad Gateway</html>', { status: 200, headers: { 'Content-Type': 'text/html' } });
+			case 'timeout':
+				throw new DOMException('The operation was aborted due to timeout', 'TimeoutError');
+			case 'unreachable':
+				throw new TypeError('Network connection lost.');
+		}
+	}
+}
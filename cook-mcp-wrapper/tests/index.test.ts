@@ -0,0 +1,1922 @@
+import { env, runDurableObjectAlarm, runInDurableObject } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { BackendError } from '../src/backend';
+import { searchCacheKey } from '../src/cache';
+import worker, { type Env } from '../src/index';
+import { type IngestionJob, type IngestionMessage, type IngestionStages, handleIngestionBatch } from '../src/ingest';
+import { recentCalls } from '../src/observability';
+import { type RateLimiter, consumeRateLimitFor, rateLimitKey } from '../src/ratelimit';
+import { DESIGN_ZONES } from '../src/zones';
+import { FakeBackend, reply } from './fake-backend';
+
+declare module 'cloudflare:test' {
+	// Controls the type of `import("cloudflare:test").env`
+	interface ProvidedEnv extends Env {
+		/** Miniflare KV namespaces, for tests to pass as CACHE or OAUTH_KV */
+		TEST_CACHE: KVNamespace;
+		TEST_OAUTH_KV: KVNamespace;
+	}
+}
+
+// 1x1 transparent PNG
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+interface JsonRpcResponse {
+	jsonrpc: '2.0';
+	id: number;
+	result?: any;
+	error?: { code: number; message: string; data?: unknown };
+}
+
+let nextId = 1;
+
+/** POST one JSON-RPC request through the Worker's fetch handler and the mcp-lite transport. */
+async function post(
+	method: string,
+	params?: unknown,
+	options: { headers?: Record<string, string>; env?: typeof env } = {},
+): Promise<Response> {
+	const request = new Request('http://worker.test/mcp', {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json',
+			Accept: 'application/json',
+			'MCP-Protocol-Version': '2025-06-18',
+			...options.headers,
+		},
+		body: JSON.stringify({ jsonrpc: '2.0', id: nextId++, method, params }),
+	});
+	const response = await worker.fetch(request, options.env ?? env);
+
+	expect(response.status).toBe(200);
+	return response;
+}
+
+async function rpc(method: string, params?: unknown): Promise<JsonRpcResponse> {
+	return (await post(method, params)).json();
+}
+
+async function callTool(name: string, args: Record<string, unknown> = {}) {
+	const response = await rpc('tools/call', { name, arguments: args });
+	expect(response.error).toBeUndefined();
+	return response.result;
+}
+
+let backend: FakeBackend;
+
+beforeEach(() => {
+	backend = new FakeBackend(env.PYTHON_MCP_URL).install();
+	vi.spyOn(console, 'log').mockImplementation(() => {});
+	vi.spyOn(console, 'error').mockImplementation(() => {});
+	vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+	vi.unstubAllGlobals();
+	vi.restoreAllMocks();
+});
+
+describe('initialize', () => {
+	it('reports server info and capabilities', async () => {
+		const { result } = await rpc('initialize', {
+			protocolVersion: '2025-06-18',
+			capabilities: {},
+			clientInfo: { name: 'vitest', version: '1.0.0' },
+		});
+
+		expect(result.serverInfo).toEqual({ name: 'cook-engineering-manual-wrapper', version: '1.0.0' });
+		expect(result.capabilities).toHaveProperty('tools');
+		expect(result.capabilities).toHaveProperty('resources');
+		expect(result.capabilities).toHaveProperty('prompts');
+	});
+});
+
+describe('tools/list', () => {
+	it('lists the handbook, collection and ingestion tools with their input schemas', async () => {
+		const { result } = await rpc('tools/list');
+		const tools = Object.fromEntries(result.tools.map((tool: { name: string }) => [tool.name, tool]));
+
+		expect(Object.keys(tools).sort()).toEqual([
+			'calculate_duct_friction',
+			'calculate_fan_laws',
+			'calculate_motor_power',
+			'convert_units',
+			'get_figure',
+			'get_ingestion_status',
+			'get_page_direct',
+			'health_check',
+			'ingest_document',
+			'list_collections',
+			'lookup_design_zones',
+			'search_engineering_manual',
+			'stats',
+		]);
+		expect(tools.search_engineering_manual.inputSchema.required).toEqual(['query']);
+		expect(tools.search_engineering_manual.outputSchema.required).toEqual(['query', 'collection', 'sources']);
+		expect(tools.get_page_direct.inputSchema.required).toEqual(['page_number']);
+		expect(tools.get_page_direct.inputSchema.properties.page_number).toMatchObject({ type: 'integer', minimum: 1 });
+		expect(tools.search_engineering_manual.inputSchema.additionalProperties).toBe(false);
+	});
+});
+
+describe('prompts', () => {
+	async function getPrompt(name: string, args: Record<string, unknown>) {
+		return rpc('prompts/get', { name, arguments: args });
+	}
+
+	it('lists the engineering prompts with their arguments', async () => {
+		const { result } = await rpc('prompts/list');
+
+		expect(result.prompts.map((prompt: { name: string }) => prompt.name)).toEqual([
+			'size_fan',
+			'check_design_zones',
+			'compare_motor_efficiency',
+		]);
+		expect(result.prompts[0].arguments).toContainEqual({
+			name: 'cfm',
+			description: 'Required airflow in cubic feet per minute',
+			required: true,
+		});
+	});
+
+	it('builds the message sequence from checked arguments', async () => {
+		const { result, error } = await getPrompt('size_fan', { cfm: '1,200', static_pressure: '0.5', duct_diameter: '12' });
+
+		expect(error).toBeUndefined();
+		expect(result.description).toBe('Fan sizing for 1200 CFM at 0.5 in. wg');
+		expect(result.messages).toHaveLength(2);
+		expect(result.messages[1].content.text).toContain('in a 12 in. round duct with calculate_duct_friction');
+	});
+
+	it('resolves a state abbreviation to its name', async () => {
+		const { result } = await getPrompt('check_design_zones', { state: 'mo', county: 'Jackson' });
+
+		expect(result.messages[1].content.text).toContain('Jackson County, Missouri');
+		expect(result.messages[1].content.text).toContain('state "MO" and county "Jackson"');
+	});
+
+	it('names a county given with its "County" suffix once', async () => {
+		const { result } = await getPrompt('check_design_zones', { state: 'Louisiana', county: 'Orleans Parish' });
+		const withSuffix = await getPrompt('check_design_zones', { state: 'MO', county: 'Jackson County' });
+
+		expect(result.description).toBe('Wind and seismic design zones for Orleans Parish, Louisiana');
+		expect(withSuffix.result.description).toBe('Wind and seismic design zones for Jackson County, Missouri');
+		expect(withSuffix.result.messages[1].content.text).not.toContain('County County');
+	});
+
+	it.each([
+		['size_fan', { static_pressure: '0.5' }, 'Missing required argument "cfm"'],
+		['size_fan', { cfm: '  ', static_pressure: '0.5' }, 'Missing required argument "cfm"'],
+		['size_fan', { cfm: 'lots', static_pressure: '0.5' }, 'Argument "cfm" must be a positive number, got "lots"'],
+		['size_fan', { cfm: '1200', static_pressure: '-1' }, 'Argument "static_pressure" must be a positive number, got "-1"'],
+		['size_fan', { cfm: '1200', static_pressure: '0.5', duct_diameter: '0' }, 'Argument "duct_diameter" must be a positive number, got "0"'],
+		['size_fan', { cfm: '1200', static_pressure: '0.5', application: { kind: 'kitchen' } }, 'Argument "application" must be a string'],
+		['check_design_zones', {}, 'Missing required argument "state"'],
+		['check_design_zones', { state: 'Ontario' }, 'Argument "state" must be a US state name or abbreviation, got "Ontario"'],
+		['compare_motor_efficiency', { horsepower: 'ten' }, 'Argument "horsepower" must be a positive number, got "ten"'],
+	])('refuses bad arguments to %s: %j', async (name, args, message) => {
+		const { result, error } = await getPrompt(name, args);
+
+		expect(result).toBeUndefined();
+		expect(error).toMatchObject({ code: -32602, message });
+	});
+});
+
+describe('tool input validation', () => {
+	async function invalidParams(name: string, args: Record<string, unknown>): Promise<string> {
+		const response = await rpc('tools/call', { name, arguments: args });
+		expect(response.error?.code).toBe(-32602);
+		return response.error!.message;
+	}
+
+	it('rejects page numbers outside the handbook without calling the backend', async () => {
+		expect(await invalidParams('get_page_direct', { page_number: 0 })).toContain('page_number must be at least 1');
+		expect(await invalidParams('get_page_direct', { page_number: 151 })).toContain('page_number must be from 1 to 150');
+		expect(await invalidParams('get_page_direct', { page_number: 4.5 })).toContain('page_number must be a whole number');
+		expect(await invalidParams('get_page_direct', { page_number: '4' })).toContain('page_number must be a number');
+		expect(backend.requests).toHaveLength(0);
+	});
+
+	it('trims queries and rejects empty or overlong ones', async () => {
+		backend.on('POST /call-tool', reply.json({ text: 'Use a 90 degree elbow.' }));
+
+		await callTool('search_engineering_manual', { query: '  elbow friction loss \n' });
+
+		expect(backend.calls('POST /call-tool')[0].body).toMatchObject({ arguments: { query: 'elbow friction loss' } });
+		expect(await invalidParams('search_engineering_manual', { query: '   ' })).toContain('query must not be empty');
+		expect(await invalidParams('search_engineering_manual', { query: 'x'.repeat(501) })).toContain('at most 500 characters');
+		expect(await invalidParams('search_engineering_manual', {})).toContain('query must be a string');
+		expect(backend.requests).toHaveLength(1);
+	});
+
+	it('rejects unknown properties', async () => {
+		expect(await invalidParams('get_page_direct', { page_number: 3, nocache: true })).toContain('nocache');
+		expect(await invalidParams('health_check', { verbose: true })).toContain('verbose');
+	});
+});
+
+describe('collections', () => {
+	const catalog = {
+		id: 'fan-catalog',
+		title: 'Cook Fan Catalog',
+		type: 'catalog',
+		pageCount: 40,
+		metadata: { edition: '2024' },
+	};
+	const collectionsEnv = { ...env, COLLECTIONS: JSON.stringify([catalog]) };
+
+	async function callWith(name: string, args: Record<string, unknown>): Promise<JsonRpcResponse> {
+		return (await post('tools/call', { name, arguments: args }, { env: collectionsEnv })).json();
+	}
+
+	it('lists the handbook and the configured collections', async () => {
+		const { result } = await callWith('list_collections', {});
+
+		expect(result.structuredContent.collections).toEqual([
+			expect.objectContaining({ id: 'cook-handbook', page_count: 150, default: true, page_uri_template: 'cook-handbook://page/{n}' }),
+			{
+				id: 'fan-catalog',
+				title: 'Cook Fan Catalog',
+				type: 'catalog',
+				page_count: 40,
+				metadata: { edition: '2024' },
+				default: false,
+				page_uri_template: 'cook-docs://fan-catalog/page/{n}',
+			},
+		]);
+		expect(result.content[0].text).toContain('- fan-catalog: Cook Fan Catalog (catalog, 40 pages)');
+	});
+
+	it('searches a collection and cites its page URIs', async () => {
+		backend.on('POST /call-tool', reply.json({ text: 'The CPS fan.', sources: [{ page_number: 12 }] }));
+
+		const { result } = await callWith('search_engineering_manual', { query: 'centrifugal fans', collection: 'fan-catalog' });
+
+		expect(backend.calls('POST /call-tool')[0].body).toEqual({
+			name: 'search_engineering_manual',
+			arguments: { query: 'centrifugal fans', collection: 'fan-catalog' },
+		});
+		expect(result.structuredContent).toEqual({
+			query: 'centrifugal fans',
+			collection: 'fan-catalog',
+			sources: [{ page_number: 12, uri: 'cook-docs://fan-catalog/page/12' }],
+		});
+	});
+
+	it('bounds page numbers by the collection', async () => {
+		backend.on('POST /call-tool', reply.json({ text: 'Page 40' }));
+
+		const last = await callWith('get_page_direct', { page_number: 40, collection: 'fan-catalog' });
+		const past = await callWith('get_page_direct', { page_number: 41, collection: 'fan-catalog' });
+
+		expect(last.result.content[0].text).toBe('Page 40');
+		expect(backend.calls('POST /call-tool')[0].body).toEqual({
+			name: 'get_page_direct',
+			arguments: { page_number: 40, collection: 'fan-catalog' },
+		});
+		expect(past.error?.code).toBe(-32602);
+		expect(past.error?.message).toContain('page_number must be from 1 to 40 in Cook Fan Catalog');
+	});
+
+	it('rejects an unknown collection', async () => {
+		const response = await callWith('get_page_direct', { page_number: 1, collection: 'brochures' });
+
+		expect(response.error?.code).toBe(-32602);
+		expect(response.error?.message).toContain('Unknown collection "brochures"');
+		expect(backend.requests).toHaveLength(0);
+	});
+
+	it('lists and reads every collection\'s pages as resources', async () => {
+		backend.on('POST /call-tool', reply.json({ text: 'Catalog page 2' }));
+
+		const first: JsonRpcResponse = await (await post('resources/list', { cursor: btoa('offset:100') }, { env: collectionsEnv })).json();
+		const second: JsonRpcResponse = await (
+			await post('resources/list', { cursor: first.result.nextCursor }, { env: collectionsEnv })
+		).json();
+		const read: JsonRpcResponse = await (
+			await post('resources/read', { uri: 'cook-docs://fan-catalog/page/2' }, { env: collectionsEnv })
+		).json();
+
+		expect(first.result.resources).toHaveLength(50);
+		expect(first.result.resources.at(-1)).toMatchObject({ uri: 'cook-handbook://page/150', name: 'Page 150' });
+		expect(second.result.resources).toHaveLength(40);
+		expect(second.result.resources[0]).toMatchObject({ uri: 'cook-docs://fan-catalog/page/1', name: 'Cook Fan Catalog, Page 1' });
+		expect(second.result.nextCursor).toBeUndefined();
+		expect(read.result.contents[0]).toMatchObject({ uri: 'cook-docs://fan-catalog/page/2', text: 'Catalog page 2' });
+	});
+});
+
+describe('search_engineering_manual', () => {
+	it('returns the answer, page images and citations', async () => {
+		backend.on(
+			'POST /call-tool',
+			reply.json({
+				text: 'Missouri is not a high wind zone (page 60).',
+				images: [{ data: PNG, mimeType: 'image/png' }],
+				sources: [{ page_number: 60, excerpt: 'Wind zone map', score: 0.82, image_index: 0 }],
+			}),
+		);
+
+		const result = await callTool('search_engineering_manual', { query: 'Is Missouri a high wind zone?' });
+
+		expect(backend.calls('POST /call-tool')[0].body).toEqual({
+			name: 'search_engineering_manual',
+			arguments: { query: 'Is Missouri a high wind zone?' },
+		});
+		expect(result.isError).toBeUndefined();
+		expect(result.content).toEqual([
+			{ type: 'text', text: 'Missouri is not a high wind zone (page 60).' },
+			{ type: 'image', data: PNG, mimeType: 'image/png' },
+		]);
+		expect(result.structuredContent).toEqual({
+			query: 'Is Missouri a high wind zone?',
+			collection: 'cook-handbook',
+			sources: [
+				{
+					page_number: 60,
+					uri: 'cook-handbook://page/60',
+					excerpt: 'Wind zone map',
+					score: 0.82,
+					image: { content_index: 1, mimeType: 'image/png' },
+				},
+			],
+		});
+		expect(result._meta).toEqual({ cache: 'disabled' });
+	});
+
+	it('gives an empty citation list when the wrapper reports no sources', async () => {
+		backend.on('POST /call-tool', reply.json({ text: 'Use a 90 degree elbow.' }));
+
+		const result = await callTool('search_engineering_manual', { query: 'elbow friction loss' });
+
+		expect(result.content).toEqual([{ type: 'text', text: 'Use a 90 degree elbow.' }]);
+		expect(result.structuredContent).toEqual({ query: 'elbow friction loss', collection: 'cook-handbook', sources: [] });
+	});
+
+	it('retries a 500 and then reports a server error', async () => {
+		backend.on('POST /call-tool', reply.error(500, 'OpenAI quota exceeded'));
+
+		const result = await callTool('search_engineering_manual', { query: 'motor efficiency' });
+
+		expect(backend.calls('POST /call-tool')).toHaveLength(3);
+		expect(result.isError).toBe(true);
+		expect(result._meta).toEqual({ errorCategory: 'server_error', status: 500 });
+		expect(result.content[0].text).toContain('OpenAI quota exceeded');
+	});
+
+	it('recovers when a retry succeeds', async () => {
+		backend.on('POST /call-tool', reply.error(503), reply.json({ text: 'Premium efficiency.' }));
+
+		const result = await callTool('search_engineering_manual', { query: 'motor efficiency' });
+
+		expect(backend.calls('POST /call-tool')).toHaveLength(2);
+		expect(result.isError).toBeUndefined();
+		expect(result.content[0].text).toBe('Premium efficiency.');
+	});
+
+	it('reports a timeout', async () => {
+		backend.on('POST /call-tool', reply.timeout());
+
+		const result = await callTool('search_engineering_manual', { query: 'seismic zones' });
+
+		expect(result.isError).toBe(true);
+		expect(result._meta).toEqual({ errorCategory: 'timeout' });
+		expect(result.content[0].text).toContain('timed out');
+	});
+
+	it('reports a body that is not JSON', async () => {
+		backend.on('POST /call-tool', reply.malformed());
+
+		const result = await callTool('search_engineering_manual', { query: 'duct sizing' });
+
+		expect(backend.calls('POST /call-tool')).toHaveLength(1);
+		expect(result.isError).toBe(true);
+		expect(result._meta).toEqual({ errorCategory: 'invalid_response', status: 200 });
+	});
+
+	it('reports an unreachable wrapper with setup hints', async () => {
+		backend.on('POST /call-tool', reply.unreachable());
+
+		const result = await callTool('search_engineering_manual', { query: 'fan laws' });
+
+		expect(result.isError).toBe(true);
+		expect(result._meta).toEqual({ errorCategory: 'unreachable' });
+		expect(result.content[0].text).toContain(`unreachable at ${env.PYTHON_MCP_URL}`);
+		expect(result.content[0].text).toContain('python http_wrapper.py');
+	});
+
+	describe('progress', () => {
+		/** Call the search over SSE with a progress token, returning every message the Worker sent. */
+		async function searchWithProgress(query: string) {
+			const response = await post(
+				'tools/call',
+				{ name: 'search_engineering_manual', arguments: { query }, _meta: { progressToken: 'search-1' } },
+				{ headers: { Accept: 'application/json, text/event-stream' } },
+			);
+			expect(response.headers.get('Content-Type')).toBe('text/event-stream');
+			const text = await response.text();
+			return text
+				.split('\n')
+				.filter((line) => line.startsWith('data: '))
+				.map((line) => JSON.parse(line.slice('data: '.length)) as { method?: string; params?: any; result?: any });
+		}
+
+		it('relays backend stages as progress notifications', async () => {
+			backend.on(
+				'POST /call-tool/stream',
+				reply.ndjson(
+					{ type: 'progress', message: 'searching pages', progress: 1, total: 3 },
+					{ type: 'progress', message: 'reading page images' },
+					{ type: 'result', text: 'Use 0.25 for a long radius elbow.' },
+				),
+			);
+
+			const messages = await searchWithProgress('elbow loss coefficient');
+
+			expect(backend.calls('POST /call-tool/stream')[0].body).toEqual({
+				name: 'search_engineering_manual',
+				arguments: { query: 'elbow loss coefficient' },
+			});
+			expect(backend.calls('POST /call-tool')).toHaveLength(0);
+			expect(messages.filter((message) => message.method === 'notifications/progress').map((message) => message.params)).toEqual([
+				{ progressToken: 'search-1', progress: 1, total: 3, message: 'searching pages' },
+				{ progressToken: 'search-1', progress: 2, message: 'reading page images' },
+			]);
+			expect(messages.at(-1)!.result.content).toEqual([{ type: 'text', text: 'Use 0.25 for a long radius elbow.' }]);
+		});
+
+		it('closes the stream once the result arrives', async () => {
+			backend.on('POST /call-tool/stream', reply.openNdjson({ type: 'result', text: 'Use 0.25 for a long radius elbow.' }));
+
+			const messages = await searchWithProgress('elbow loss coefficient');
+
+			expect(messages.at(-1)!.result.content).toEqual([{ type: 'text', text: 'Use 0.25 for a long radius elbow.' }]);
+			expect(backend.cancelled).toEqual(['POST /call-tool/stream']);
+		});
+
+		it('reports an error event from the stream as a tool error', async () => {
+			backend.on('POST /call-tool/stream', reply.ndjson({ type: 'error', message: 'OpenAI quota exceeded', status: 502 }));
+
+			const messages = await searchWithProgress('fan laws');
+
+			const { result } = messages.at(-1)!;
+			expect(result.isError).toBe(true);
+			expect(result._meta).toEqual({ errorCategory: 'server_error', status: 502 });
+			expect(result.content[0].text).toContain('OpenAI quota exceeded');
+		});
+
+		it('falls back to the plain endpoint on wrappers without streaming', async () => {
+			backend.on('POST /call-tool', reply.json({ text: 'Premium efficiency.' }));
+
+			const messages = await searchWithProgress('motor efficiency');
+
+			expect(backend.calls('POST /call-tool/stream')).toHaveLength(1);
+			expect(backend.calls('POST /call-tool')).toHaveLength(1);
+			expect(messages.filter((message) => message.method === 'notifications/progress')).toEqual([]);
+			expect(messages.at(-1)!.result.content).toEqual([{ type: 'text', text: 'Premium efficiency.' }]);
+		});
+
+		it('does not stream when the client asks for no progress', async () => {
+			backend.on('POST /call-tool', reply.json({ text: 'Premium efficiency.' }));
+
+			const result = await callTool('search_engineering_manual', { query: 'motor efficiency' });
+
+			expect(backend.calls('POST /call-tool/stream')).toHaveLength(0);
+			expect(result.content).toEqual([{ type: 'text', text: 'Premium efficiency.' }]);
+		});
+	});
+});
+
+describe('get_page_direct', () => {
+	it('returns the page text and images', async () => {
+		backend.on(
+			'POST /call-tool',
+			reply.json({
+				text: 'Page 42\n\nFan laws',
+				images: [
+					{ data: PNG, mimeType: 'image/png' },
+					{ data: PNG, mimeType: 'image/jpeg' },
+				],
+			}),
+		);
+
+		const result = await callTool('get_page_direct', { page_number: 42 });
+
+		expect(backend.calls('POST /call-tool')[0].body).toEqual({ name: 'get_page_direct', arguments: { page_number: 42 } });
+		expect(result.isError).toBeUndefined();
+		expect(result.content).toEqual([
+			{ type: 'text', text: 'Page 42\n\nFan laws' },
+			{ type: 'image', data: PNG, mimeType: 'image/png' },
+			{ type: 'image', data: PNG, mimeType: 'image/jpeg' },
+		]);
+	});
+
+	it('falls back to placeholder text for an empty page', async () => {
+		backend.on('POST /call-tool', reply.json({}));
+
+		const result = await callTool('get_page_direct', { page_number: 150 });
+
+		expect(result.content).toEqual([{ type: 'text', text: 'No content found' }]);
+	});
+
+	it('does not retry a 4xx', async () => {
+		backend.on('POST /call-tool', reply.error(400, 'page_number must be between 1 and 150'));
+
+		const result = await callTool('get_page_direct', { page_number: 150 });
+
+		expect(backend.calls('POST /call-tool')).toHaveLength(1);
+		expect(result.isError).toBe(true);
+		expect(result._meta).toEqual({ errorCategory: 'client_error', status: 400 });
+		expect(result.content[0].text).toContain('page_number must be between 1 and 150');
+	});
+
+	it('reports a server error after retries', async () => {
+		backend.on('POST /call-tool', reply.error(502));
+
+		const result = await callTool('get_page_direct', { page_number: 7 });
+
+		expect(backend.calls('POST /call-tool')).toHaveLength(3);
+		expect(result._meta).toEqual({ errorCategory: 'server_error', status: 502 });
+	});
+
+	it('reports a body that is not JSON', async () => {
+		backend.on('POST /call-tool', reply.malformed());
+
+		const result = await callTool('get_page_direct', { page_number: 7 });
+
+		expect(result.isError).toBe(true);
+		expect(result._meta).toEqual({ errorCategory: 'invalid_response', status: 200 });
+	});
+});
+
+describe('response cache', () => {
+	const cacheEnv = () => ({ ...env, CACHE: env.TEST_CACHE });
+
+	async function callWith(testEnv: typeof env, name: string, args: Record<string, unknown>) {
+		const response: JsonRpcResponse = await (await post('tools/call', { name, arguments: args }, { env: testEnv })).json();
+		expect(response.error).toBeUndefined();
+		return response.result;
+	}
+
+	it('answers a repeated search from KV, whatever its case and punctuation', async () => {
+		backend.on('POST /call-tool', reply.json({ text: 'Use 0.25.' }));
+
+		const miss = await callWith(cacheEnv(), 'search_engineering_manual', { query: 'Elbow loss?' });
+		const hit = await callWith(cacheEnv(), 'search_engineering_manual', { query: 'elbow   LOSS' });
+
+		expect(backend.calls('POST /call-tool')).toHaveLength(1);
+		expect(miss._meta).toEqual({ cache: 'miss' });
+		expect(hit._meta).toEqual({ cache: 'hit' });
+		expect(hit.content).toEqual([{ type: 'text', text: 'Use 0.25.' }]);
+		const stored = await env.TEST_CACHE.get<{ value: unknown }>(await searchCacheKey('python', 'cook-handbook', 'elbow loss'), 'json');
+		expect(stored?.value).toEqual({ text: 'Use 0.25.' });
+	});
+
+	it('fetches again with no_cache and replaces the entry', async () => {
+		backend.on('POST /call-tool', reply.json({ text: 'Page 42, first edition' }), reply.json({ text: 'Page 42, second edition' }));
+		await callWith(cacheEnv(), 'get_page_direct', { page_number: 42 });
+
+		const bypass = await callWith(cacheEnv(), 'get_page_direct', { page_number: 42, no_cache: true });
+		const hit = await callWith(cacheEnv(), 'get_page_direct', { page_number: 42 });
+
+		expect(backend.calls('POST /call-tool')).toHaveLength(2);
+		expect(bypass._meta).toEqual({ cache: 'bypass' });
+		expect(hit._meta).toEqual({ cache: 'hit' });
+		expect(hit.content[0].text).toBe('Page 42, second edition');
+	});
+
+	it('is off for a TTL of 0', async () => {
+		backend.on('POST /call-tool', reply.json({ text: 'Page 42' }));
+		const testEnv = { ...cacheEnv(), PAGE_CACHE_TTL_SECONDS: '0' };
+
+		await callWith(testEnv, 'get_page_direct', { page_number: 42 });
+		const second = await callWith(testEnv, 'get_page_direct', { page_number: 42 });
+
+		expect(backend.calls('POST /call-tool')).toHaveLength(2);
+		expect(second._meta).toEqual({ cache: 'disabled' });
+	});
+
+	it('still returns the answer when storing it fails', async () => {
+		backend.on('POST /call-tool', reply.json({ text: 'Use 0.25.' }));
+		const kv = { get: async () => null, put: async () => Promise.reject(new Error('KV write limit exceeded')) };
+		const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+		const result = await callWith({ ...env, CACHE: kv as unknown as KVNamespace }, 'search_engineering_manual', { query: 'elbow loss' });
+
+		expect(result.isError).toBeUndefined();
+		expect(result.content).toEqual([{ type: 'text', text: 'Use 0.25.' }]);
+		expect(result._meta).toEqual({ cache: 'miss' });
+		expect(errors).toHaveBeenCalledWith(expect.stringContaining('Could not cache search:v2:python:cook-handbook:'), expect.any(Error));
+	});
+
+	it('asks the backend when reading the cache fails', async () => {
+		backend.on('POST /call-tool', reply.json({ text: 'Use 0.25.' }));
+		const kv = { get: async () => Promise.reject(new Error('KV read failed')), put: async () => {} };
+		const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+		const result = await callWith({ ...env, CACHE: kv as unknown as KVNamespace }, 'search_engineering_manual', { query: 'elbow loss' });
+
+		expect(result.isError).toBeUndefined();
+		expect(result.content).toEqual([{ type: 'text', text: 'Use 0.25.' }]);
+		expect(result._meta).toEqual({ cache: 'miss' });
+		expect(errors).toHaveBeenCalledWith(expect.stringContaining('Could not read cached search:v2:python:cook-handbook:'), expect.any(Error));
+	});
+});
+
+describe('weaviate backend', () => {
+	const WEAVIATE_URL = 'http://weaviate.test';
+	const weaviateEnv = { ...env, HANDBOOK_BACKEND: 'weaviate', WEAVIATE_URL, WEAVIATE_API_KEY: 'wv-key', BACKEND_RETRIES: '0' };
+	let weaviate: FakeBackend;
+
+	beforeEach(() => {
+		weaviate = new FakeBackend(WEAVIATE_URL).install();
+	});
+
+	async function callWith(testEnv: typeof env, name: string, args: Record<string, unknown>) {
+		const response: JsonRpcResponse = await (await post('tools/call', { name, arguments: args }, { env: testEnv })).json();
+		expect(response.error).toBeUndefined();
+		return response.result;
+	}
+
+	const graphql = (chunks: unknown[]) => reply.json({ data: { Get: { CookHandbook: chunks } } });
+
+	it('searches with nearText and returns the passages, page images and citations', async () => {
+		weaviate.on(
+			'POST /v1/graphql',
+			graphql([
+				{ content: 'Wind zone map\nZone II covers Missouri.', page_number: 60, image: PNG, _additional: { distance: 0.18 } },
+				{ content: 'Design wind speeds', page_number: 61, _additional: { distance: 0.4 } },
+			]),
+		);
+
+		const result = await callWith(weaviateEnv, 'search_engineering_manual', { query: 'Is Missouri a high wind zone?' });
+
+		const [request] = weaviate.calls('POST /v1/graphql');
+		expect(request.headers.authorization).toBe('Bearer wv-key');
+		expect((request.body as { query: string }).query).toBe(
+			'{ Get { CookHandbook(nearText: { concepts: ["Is Missouri a high wind zone?"] }, limit: 5) ' +
+				'{ content page_number image image_mime_type _additional { distance } } } }',
+		);
+		expect(result.content[0].text).toContain('Found 2 relevant passages in the Cook Engineering Handbook');
+		expect(result.content[0].text).toContain('[Page 60] (distance 0.180)\nWind zone map');
+		expect(result.content[1]).toEqual({ type: 'image', data: PNG, mimeType: 'image/png' });
+		expect(result.structuredContent.sources).toEqual([
+			{
+				page_number: 60,
+				uri: 'cook-handbook://page/60',
+				excerpt: 'Wind zone map\nZone II covers Missouri.',
+				score: 0.82,
+				image: { content_index: 1, mimeType: 'image/png' },
+			},
+			{ page_number: 61, uri: 'cook-handbook://page/61', excerpt: 'Design wind speeds', score: 0.6 },
+		]);
+		expect(backend.requests).toHaveLength(0);
+	});
+
+	it('reads a page by filtering on page_number', async () => {
+		weaviate.on(
+			'POST /v1/graphql',
+			graphql([
+				{ content: 'Fan laws', page_number: 42, image: PNG, image_mime_type: 'image/jpeg' },
+				{ content: 'CFM varies with RPM', page_number: 42 },
+			]),
+		);
+
+		const result = await callWith(weaviateEnv, 'get_page_direct', { page_number: 42 });
+
+		expect((weaviate.calls('POST /v1/graphql')[0].body as { query: string }).query).toContain(
+			'CookHandbook(where: { path: ["page_number"], operator: Equal, valueInt: 42 })',
+		);
+		expect(result.content).toEqual([
+			{ type: 'text', text: 'Page 42\n\nFan laws\n\nCFM varies with RPM' },
+			{ type: 'image', data: PNG, mimeType: 'image/jpeg' },
+		]);
+	});
+
+	it('reports a GraphQL errors array as a client error', async () => {
+		weaviate.on('POST /v1/graphql', reply.json({ errors: [{ message: 'Cannot query field "CookHandbook" on type "GetObjectsObj".' }] }));
+
+		const result = await callWith(weaviateEnv, 'search_engineering_manual', { query: 'fan laws' });
+
+		expect(weaviate.calls('POST /v1/graphql')).toHaveLength(1);
+		expect(result.isError).toBe(true);
+		expect(result._meta).toEqual({ errorCategory: 'client_error' });
+		expect(result.content[0].text).toContain('Weaviate rejected the request: Cannot query field "CookHandbook"');
+	});
+
+	it('reports missing settings as a tool error without calling Weaviate', async () => {
+		const catalog = { id: 'fan-catalog', title: 'Cook Fan Catalog', type: 'catalog', pageCount: 3 };
+		const collectionEnv = { ...weaviateEnv, COLLECTIONS: JSON.stringify([catalog]) };
+
+		const noUrl = await callWith({ ...weaviateEnv, WEAVIATE_URL: undefined }, 'get_page_direct', { page_number: 42 });
+		const noClass = await callWith(collectionEnv, 'search_engineering_manual', { query: 'fans', collection: 'fan-catalog' });
+
+		expect(weaviate.requests).toHaveLength(0);
+		expect(noUrl.isError).toBe(true);
+		expect(noUrl._meta).toEqual({ errorCategory: 'misconfigured' });
+		expect(noUrl.content[0].text).toBe('Weaviate is not configured: HANDBOOK_BACKEND is "weaviate" but WEAVIATE_URL is not set');
+		expect(noClass._meta).toEqual({ errorCategory: 'misconfigured' });
+		expect(noClass.content[0].text).toContain('Collection "fan-catalog" has no weaviateClass');
+	});
+
+	it('reports an unknown HANDBOOK_BACKEND as a tool error', async () => {
+		const result = await callWith({ ...env, HANDBOOK_BACKEND: 'elastic' }, 'search_engineering_manual', { query: 'fans' });
+
+		expect(backend.requests).toHaveLength(0);
+		expect(result.isError).toBe(true);
+		expect(result._meta).toEqual({ errorCategory: 'misconfigured' });
+		expect(result.content[0].text).toBe('The handbook backend is not configured: Unknown HANDBOOK_BACKEND "elastic". Use "python" or "weaviate".');
+	});
+});
+
+describe('get_figure', () => {
+	const page = {
+		text: 'Fan curves\n\nFigure 1: Forward-curved fan curve\nFigure 2: Backward-inclined fan curve',
+		images: [
+			{ data: PNG, mimeType: 'image/png' },
+			{ data: btoa('second image'), mimeType: 'image/png' },
+		],
+	};
+
+	// Stands in for the Cloudflare Images binding: a 1000x800 source, and output bytes naming the format
+	function fakeImages() {
+		const transforms: ImageTransform[] = [];
+		const outputs: ImageOutputOptions[] = [];
+		const transformer: ImageTransformer = {
+			transform: (transform) => (transforms.push(transform), transformer),
+			draw: () => transformer,
+			output: async (options) => {
+				outputs.push(options);
+				return {
+					response: () => new Response(`rendered ${options.format}`),
+					contentType: () => options.format,
+					image: () => new Response(`rendered ${options.format}`).body!,
+				};
+			},
+		};
+		const binding = {
+			info: async () => ({ format: 'image/png', fileSize: 100, width: 1000, height: 800 }),
+			input: () => transformer,
+		} as unknown as ImagesBinding;
+		return { env: { ...env, IMAGES: binding }, transforms, outputs };
+	}
+
+	async function callWith(testEnv: typeof env, args: Record<string, unknown>): Promise<JsonRpcResponse> {
+		return (await post('tools/call', { name: 'get_figure', arguments: args }, { env: testEnv })).json();
+	}
+
+	it('crops, scales and re-encodes one figure, captioned from the page text', async () => {
+		backend.on('POST /call-tool', reply.json(page));
+		const images = fakeImages();
+
+		const { result } = await callWith(images.env, {
+			page_number: 12,
+			figure_index: 1,
+			bbox: { x: 0.1, y: 0.25, width: 0.5, height: 0.5 },
+			max_dimension: 250,
+			format: 'png',
+		});
+
+		expect(images.transforms).toEqual([
+			{ trim: { left: 100, top: 200, width: 500, height: 400 } },
+			{ width: 250, height: 200, fit: 'scale-down' },
+		]);
+		expect(images.outputs).toEqual([{ format: 'image/png' }]);
+		expect(result.content).toEqual([
+			{ type: 'text', text: 'Figure 2: Backward-inclined fan curve (page 12 of Cook Engineering Handbook)\n\n250×200 image/png' },
+			{ type: 'image', data: btoa('rendered image/png'), mimeType: 'image/png' },
+		]);
+		expect(result.structuredContent).toMatchObject({ figure_index: 1, figure_count: 2, width: 250, height: 200 });
+		expect(result._meta.figureCache).toBe('miss');
+	});
+
+	it('stores rendered figures in R2 and never enlarges them', async () => {
+		backend.on('POST /call-tool', reply.json(page));
+		const images = fakeImages();
+
+		const first = await callWith(images.env, { page_number: 12 });
+		const second = await callWith(images.env, { page_number: 12 });
+		const fresh = await callWith(images.env, { page_number: 12, no_cache: true });
+
+		expect(images.transforms[0]).toEqual({ width: 1000, height: 800, fit: 'scale-down' });
+		expect(images.outputs).toEqual([{ format: 'image/webp' }, { format: 'image/webp' }]);
+		expect(first.result._meta.figureCache).toBe('miss');
+		expect(second.result._meta.figureCache).toBe('hit');
+		expect(second.result.content).toEqual(first.result.content);
+		expect(fresh.result._meta.figureCache).toBe('bypass');
+	});
+
+	it('rejects a figure the page does not have', async () => {
+		backend.on('POST /call-tool', reply.json(page), reply.json({ text: 'Text only' }));
+		const images = fakeImages();
+
+		const pastEnd = await callWith(images.env, { page_number: 12, figure_index: 2 });
+		const noImages = await callWith(images.env, { page_number: 13 });
+		const outside = await callWith(images.env, { page_number: 12, bbox: { x: 0.6, y: 0, width: 0.5, height: 1 } });
+
+		expect(pastEnd.error).toMatchObject({ code: -32602, message: expect.stringContaining('figure_index must be from 0 to 1') });
+		expect(noImages.error?.message).toContain('Page 13 of Cook Engineering Handbook has no images');
+		expect(outside.error?.message).toContain('bbox must lie inside the image');
+		expect(images.outputs).toHaveLength(0);
+	});
+
+	it('reports a failing Images binding as a tool error and logs it as JSON', async () => {
+		backend.on('POST /call-tool', reply.json(page));
+		const images = fakeImages();
+		const binding = { info: async () => Promise.reject(new Error('Images quota exceeded')) } as unknown as ImagesBinding;
+		const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+		const { result } = await callWith({ ...images.env, IMAGES: binding }, { page_number: 12 });
+
+		expect(result.isError).toBe(true);
+		expect(result.content[0].text).toBe('Could not render the figure: Images quota exceeded');
+		expect(errors.mock.calls.map(([line]) => JSON.parse(String(line)))).toContainEqual({
+			message: 'Figure rendering failed',
+			event: 'figure_render_failed',
+			collection: 'cook-handbook',
+			pageNumber: 12,
+			errorMessage: 'Images quota exceeded',
+		});
+	});
+
+	it('reports figure rendering as not configured without an Images binding', async () => {
+		const result = await callTool('get_figure', { page_number: 12 });
+
+		expect(result.isError).toBe(true);
+		expect(result.content[0].text).toContain('Figure rendering is not configured');
+		expect(backend.requests).toHaveLength(0);
+	});
+});
+
+describe('calculators', () => {
+	it('computes without the backend, pointing at a search for the unverified formula page', async () => {
+		const result = await callTool('calculate_fan_laws', { cfm: 10000, rpm: 1000, static_pressure: 1, bhp: 5, new_rpm: 1200 });
+
+		expect(backend.requests).toHaveLength(0);
+		expect(result.structuredContent).toMatchObject({ cfm: 12000, rpm: 1200 });
+		expect(result.structuredContent).not.toHaveProperty('reference');
+		expect(result.content[0].text).toContain('1 → 1.44 in. wg (× ratio² × density ratio), 5 → 8.64 bhp');
+		expect(result.content[0].text).toMatch(/to cite one, search the handbook for "Fan laws"\.$/);
+	});
+
+	it('rejects ambiguous or mismatched inputs', async () => {
+		const both = await rpc('tools/call', {
+			name: 'calculate_fan_laws',
+			arguments: { cfm: 10000, rpm: 1000, static_pressure: 1, new_rpm: 1200, new_cfm: 9000 },
+		});
+		const roundAndRectangular = await rpc('tools/call', {
+			name: 'calculate_duct_friction',
+			arguments: { cfm: 1000, diameter_in: 10, width_in: 12 },
+		});
+		const mismatched = await rpc('tools/call', { name: 'convert_units', arguments: { value: 1, from: 'cfm', to: 'pa' } });
+
+		expect(both.error).toMatchObject({ code: -32602, message: expect.stringContaining('Pass exactly one of new_rpm and new_cfm') });
+		expect(roundAndRectangular.error?.message).toContain('Pass diameter_in for a round duct');
+		expect(mismatched.error).toMatchObject({ code: -32602, message: 'Cannot convert cfm (airflow) to pa (pressure)' });
+	});
+});
+
+describe('lookup_design_zones', () => {
+	// Made-up entries in the table's shape; nothing is bundled until it is read from the maps
+	const zoneEnv = {
+		...env,
+		DESIGN_ZONES: JSON.stringify({
+			MO: {
+				wind: { zone: 'I', high_wind: false, design_speed_mph: 115, page: 60 },
+				seismic: { category: 'B', page: 61 },
+				counties: { 'New Madrid County': { seismic: { category: 'D', page: 61 }, notes: 'New Madrid seismic zone.' } },
+			},
+			// Split by the maps, with no state-wide zones
+			TX: { counties: { Harris: { wind: { zone: 'III', high_wind: true, page: 60 }, seismic: { category: 'A', page: 61 } } } },
+		}),
+	};
+
+	async function lookup(args: Record<string, unknown>, testEnv: typeof env = zoneEnv): Promise<JsonRpcResponse> {
+		return (await post('tools/call', { name: 'lookup_design_zones', arguments: args }, { env: testEnv })).json();
+	}
+
+	it('answers from the zone table with the map pages, without a search', async () => {
+		const { result } = await lookup({ state: 'missouri' });
+
+		expect(backend.requests).toHaveLength(0);
+		expect(result.structuredContent).toEqual({
+			state: 'Missouri',
+			state_code: 'MO',
+			source: 'dataset',
+			level: 'state',
+			wind: { zone: 'I', high_wind: false, design_speed_mph: 115, page_number: 60, uri: 'cook-handbook://page/60' },
+			seismic: { category: 'B', page_number: 61, uri: 'cook-handbook://page/61' },
+		});
+		expect(result.content[0].text).toContain(
+			'Wind: zone I, not a high wind zone, 115 mph design wind speed. Source: Cook Engineering Handbook, p. 60 (cook-handbook://page/60)',
+		);
+	});
+
+	it('lets a county entry override the state-wide zones', async () => {
+		const { result: county } = await lookup({ state: 'MO', county: 'new madrid' });
+		const { result: other } = await lookup({ state: 'MO', county: 'Jackson' });
+		const { result: split } = await lookup({ state: 'TX', county: 'Harris County' });
+
+		expect(county.structuredContent).toMatchObject({
+			county: 'new madrid',
+			level: 'county',
+			wind: { zone: 'I' },
+			seismic: { category: 'D' },
+			notes: 'New Madrid seismic zone.',
+		});
+		expect(other.structuredContent).toMatchObject({ county: 'Jackson', level: 'state', seismic: { category: 'B' } });
+		expect(other.content[0].text).toMatch(/^Jackson County, Missouri \(no county entry; state-wide zones\)/);
+		expect(split.structuredContent).toMatchObject({ source: 'dataset', level: 'county', wind: { zone: 'III', high_wind: true } });
+		expect(backend.requests).toHaveLength(0);
+	});
+
+	it('falls back to a handbook search when the table has no entry', async () => {
+		backend.on(
+			'POST /call-tool',
+			reply.json({ text: 'Dallas County is in zone II (page 60).', sources: [{ page_number: 60, excerpt: 'Wind zone map' }] }),
+		);
+
+		const { result } = await lookup({ state: 'TX', county: 'Dallas' });
+
+		expect(backend.calls('POST /call-tool')[0].body).toEqual({
+			name: 'search_engineering_manual',
+			arguments: { query: 'What are the wind zone and seismic design category for Dallas County, Texas? Is it a high wind zone?' },
+		});
+		expect(result.content).toEqual([
+			{ type: 'text', text: 'Dallas County is in zone II (page 60).' },
+			{ type: 'text', text: 'The design zone table has no entry for Dallas County, Texas; this answer comes from a handbook search.' },
+		]);
+		expect(result.structuredContent).toMatchObject({
+			state: 'Texas',
+			state_code: 'TX',
+			county: 'Dallas',
+			source: 'search',
+			search: { collection: 'cook-handbook', sources: [{ page_number: 60, uri: 'cook-handbook://page/60' }] },
+		});
+	});
+
+	it('bundles no states until they are transcribed from the maps', async () => {
+		backend.on('POST /call-tool', reply.json({ text: 'Missouri is in Wind Zone II.' }));
+
+		const { result } = await lookup({ state: 'MO' }, env);
+
+		expect(DESIGN_ZONES).toEqual({});
+		expect(result.structuredContent).toMatchObject({ state_code: 'MO', source: 'search' });
+	});
+
+	it('counts a fallback search against the search limit', async () => {
+		backend.on('POST /call-tool', reply.json({ text: 'Zone II.' }));
+		const testEnv = { ...zoneEnv, RATE_LIMITS: JSON.stringify({ search_engineering_manual: { capacity: 1, refillPerMinute: 1 } }) };
+
+		const fromTable = await lookup({ state: 'MO' }, testEnv);
+		const fallback = await lookup({ state: 'Ohio' }, testEnv);
+		const limited = await lookup({ state: 'Iowa' }, testEnv);
+
+		expect(fromTable.result.structuredContent.source).toBe('dataset');
+		expect(fallback.result.structuredContent.source).toBe('search');
+		expect(limited.error?.message).toContain('Too many search_engineering_manual calls');
+		expect(backend.calls('POST /call-tool')).toHaveLength(1);
+	});
+
+	it('rejects places that are not US states', async () => {
+		const response = await lookup({ state: 'Ontario' });
+
+		expect(response.error).toMatchObject({
+			code: -32602,
+			message: expect.stringContaining('state must be a US state name or two-letter abbreviation'),
+		});
+	});
+});
+
+describe('health_check', () => {
+	it('reports a healthy wrapper with its status', async () => {
+		backend.on('GET /health', reply.json({ status: 'ok', weaviate: 'connected' }));
+
+		const result = await callTool('health_check');
+
+		expect(result.isError).toBeUndefined();
+		expect(result.content[0].text).toContain('✅ Python MCP server is healthy!');
+		expect(result.content[0].text).toContain('"weaviate": "connected"');
+	});
+
+	it('fails fast on a timeout, without retrying', async () => {
+		backend.on('GET /health', reply.timeout());
+
+		const result = await callTool('health_check');
+
+		expect(backend.calls('GET /health')).toHaveLength(1);
+		expect(result.isError).toBe(true);
+		expect(result._meta).toEqual({ errorCategory: 'timeout' });
+	});
+
+	it('reports a 500', async () => {
+		backend.on('GET /health', reply.error(500, 'Weaviate is down'));
+
+		const result = await callTool('health_check');
+
+		expect(result.isError).toBe(true);
+		expect(result._meta).toEqual({ errorCategory: 'server_error', status: 500 });
+		expect(result.content[0].text).toContain('Weaviate is down');
+	});
+
+	it('reports an unreachable wrapper', async () => {
+		backend.on('GET /health', reply.unreachable());
+
+		const result = await callTool('health_check');
+
+		expect(result._meta).toEqual({ errorCategory: 'unreachable' });
+	});
+});
+
+describe('authentication', () => {
+	const keyedEnv = { ...env, API_KEY_CLAUDE_DESKTOP: 'desktop-secret', API_KEY_ALICE: 'alice-secret' };
+
+	async function send(headers: Record<string, string>) {
+		const request = new Request('http://worker.test/mcp', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', Accept: 'application/json', 'MCP-Protocol-Version': '2025-06-18', ...headers },
+			body: JSON.stringify({ jsonrpc: '2.0', id: nextId++, method: 'tools/call', params: { name: 'stats', arguments: {} } }),
+		});
+		return worker.fetch(request, keyedEnv);
+	}
+
+	// The client each tools/call ran as, from the JSON request logs
+	function loggedClients(log: { mock: { calls: unknown[][] } }): string[] {
+		const lines: Array<{ tool?: string; client?: string }> = log.mock.calls.map(([line]) => JSON.parse(String(line)));
+		return lines.filter((line) => line.tool === 'stats').map((line) => line.client!);
+	}
+
+	it('refuses requests without a valid key with a 401 and a JSON-RPC error', async () => {
+		const missing = await send({});
+		const wrong = await send({ Authorization: 'Bearer not-a-key' });
+
+		expect(missing.status).toBe(401);
+		expect(missing.headers.get('WWW-Authenticate')).toBe('Bearer realm="cook-mcp"');
+		expect(await missing.json()).toEqual({
+			jsonrpc: '2.0',
+			id: null,
+			error: { code: -32001, message: 'Unauthorized: Missing API key. Send it as "Authorization: Bearer <key>".' },
+		});
+		expect(wrong.status).toBe(401);
+		expect(((await wrong.json()) as JsonRpcResponse).error?.message).toBe('Unauthorized: Invalid API key or access token');
+	});
+
+	it('tells clients apart by key, sent as a bearer token or X-API-Key', async () => {
+		const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+		const desktop = await send({ Authorization: 'Bearer desktop-secret' });
+		const alice = await send({ 'X-API-Key': 'alice-secret' });
+
+		expect(desktop.status).toBe(200);
+		expect(alice.status).toBe(200);
+		expect(loggedClients(log)).toEqual(['claude_desktop', 'alice']);
+	});
+
+	it('lets every request through as anonymous when no keys are configured, and warns once', async () => {
+		const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		// A fresh copy of the module, as in a new isolate
+		vi.resetModules();
+		const { authenticate } = await import('../src/auth');
+		const request = () => new Request('http://worker.test/mcp', { method: 'POST' });
+
+		const first = await authenticate(request(), {});
+		const second = await authenticate(request(), {});
+
+		expect(first).toEqual({ name: 'anonymous', method: 'anonymous' });
+		expect(second).toEqual(first);
+		expect(warn).toHaveBeenCalledTimes(1);
+		expect(warn).toHaveBeenCalledWith(expect.stringContaining('every request is accepted as anonymous'));
+	});
+});
+
+describe('oauth', () => {
+	const REDIRECT_URI = 'http://localhost:6274/callback';
+	const oauthEnv = () => ({ ...env, OAUTH_KV: env.TEST_OAUTH_KV, API_KEY_ALICE: 'alice-secret' });
+
+	function send(path: string, init: RequestInit = {}, testEnv: typeof env = oauthEnv()): Promise<Response> {
+		return worker.fetch(new Request(`http://worker.test${path}`, init), testEnv);
+	}
+
+	function form(path: string, fields: Record<string, string>, headers: Record<string, string> = {}, testEnv?: typeof env) {
+		return send(
+			path,
+			{ method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers }, body: new URLSearchParams(fields) },
+			testEnv,
+		);
+	}
+
+	async function register(metadata: Record<string, unknown> = {}, testEnv?: typeof env) {
+		const body = JSON.stringify({ client_name: 'Inspector', redirect_uris: [REDIRECT_URI], ...metadata });
+		return send('/register', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body }, testEnv);
+	}
+
+	async function pkce() {
+		const verifier = `verifier-${crypto.randomUUID()}-${crypto.randomUUID()}`;
+		const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier)));
+		const challenge = btoa(String.fromCharCode(...digest)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+		return { verifier, challenge };
+	}
+
+	// Register a client and approve it on the consent page, returning the code from the redirect
+	async function authorize(overrides: Record<string, string> = {}) {
+		const client = (await (await register()).json()) as { client_id: string; client_secret: string };
+		const { verifier, challenge } = await pkce();
+		const response = await form('/authorize', {
+			client_id: client.client_id,
+			redirect_uri: REDIRECT_URI,
+			response_type: 'code',
+			code_challenge: challenge,
+			code_challenge_method: 'S256',
+			state: 'xyz',
+			decision: 'approve',
+			api_key: 'alice-secret',
+			...overrides,
+		});
+		const location = new URL(response.headers.get('Location')!);
+		return { client, verifier, response, location, code: location.searchParams.get('code')! };
+	}
+
+	function exchange(client: { client_id: string; client_secret: string }, fields: Record<string, string>) {
+		return form('/token', { client_id: client.client_id, client_secret: client.client_secret, ...fields });
+	}
+
+	it('serves the discovery metadata and points unauthenticated MCP requests at it', async () => {
+		const server = await (await send('/.well-known/oauth-authorization-server')).json();
+		const resource = await (await send('/.well-known/oauth-protected-resource')).json();
+		const mcp = await send('/mcp', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+
+		expect(server).toMatchObject({
+			issuer: 'http://worker.test',
+			authorization_endpoint: 'http://worker.test/authorize',
+			token_endpoint: 'http://worker.test/token',
+			registration_endpoint: 'http://worker.test/register',
+			code_challenge_methods_supported: ['S256'],
+		});
+		expect(resource).toMatchObject({ resource: 'http://worker.test', authorization_servers: ['http://worker.test'] });
+		expect(mcp.status).toBe(401);
+		expect(mcp.headers.get('WWW-Authenticate')).toBe(
+			'Bearer realm="cook-mcp", resource_metadata="http://worker.test/.well-known/oauth-protected-resource"',
+		);
+	});
+
+	it('registers clients with an expiring record and refuses unsafe redirect URIs', async () => {
+		const confidential = await register();
+		const pub = await register({ token_endpoint_auth_method: 'none' });
+		const insecure = await register({ redirect_uris: ['http://attacker.example/callback'] });
+
+		expect(confidential.status).toBe(201);
+		const registered = (await confidential.json()) as { client_id: string; client_secret?: string };
+		expect(registered.client_secret).toEqual(expect.any(String));
+		expect(await pub.json()).not.toHaveProperty('client_secret');
+		expect(insecure.status).toBe(400);
+		expect(await insecure.json()).toMatchObject({ error: 'invalid_redirect_uri' });
+		const { keys } = await env.TEST_OAUTH_KV.list({ prefix: 'oauth:client:' });
+		expect(keys).toHaveLength(2);
+		expect(keys.every((key) => key.expiration !== undefined)).toBe(true);
+	});
+
+	it('rate limits registration per IP address', async () => {
+		const testEnv = { ...oauthEnv(), RATE_LIMITS: JSON.stringify({ oauth_register: { capacity: 1, refillPerMinute: 1 } }) };
+
+		const first = await register({}, testEnv);
+		const second = await register({}, testEnv);
+
+		expect(first.status).toBe(201);
+		expect(second.status).toBe(429);
+		expect(second.headers.get('Retry-After')).toMatch(/^\d+$/);
+		expect(await second.json()).toMatchObject({
+			error: 'invalid_request',
+			error_description: expect.stringContaining('Too many oauth_register'),
+		});
+	});
+
+	it('requires PKCE with S256 and checks the verifier', async () => {
+		const plain = await authorize({ code_challenge_method: 'plain' });
+		const { client, code } = await authorize();
+
+		const wrongVerifier = await exchange(client, { grant_type: 'authorization_code', code, code_verifier: 'not-the-verifier' });
+
+		expect(plain.location.searchParams.get('error')).toBe('invalid_request');
+		expect(plain.location.searchParams.get('state')).toBe('xyz');
+		expect(wrongVerifier.status).toBe(400);
+		expect(await wrongVerifier.json()).toEqual({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+	});
+
+	it('issues a token that authenticates MCP requests, for a code used only once', async () => {
+		const { client, code, verifier } = await authorize();
+
+		const first = await exchange(client, { grant_type: 'authorization_code', code, code_verifier: verifier, redirect_uri: REDIRECT_URI });
+		const reused = await exchange(client, { grant_type: 'authorization_code', code, code_verifier: verifier });
+
+		expect(first.status).toBe(200);
+		const tokens = (await first.json()) as { access_token: string; token_type: string; expires_in: number };
+		expect(tokens).toMatchObject({ token_type: 'Bearer', expires_in: 3600, scope: 'mcp' });
+		const mcp = await post('tools/list', undefined, { env: oauthEnv(), headers: { Authorization: `Bearer ${tokens.access_token}` } });
+		expect(((await mcp.json()) as JsonRpcResponse).result.tools.length).toBeGreaterThan(0);
+		expect(reused.status).toBe(400);
+		expect(await reused.json()).toMatchObject({ error: 'invalid_grant', error_description: 'Authorization code is invalid or expired' });
+	});
+
+	it('rotates refresh tokens', async () => {
+		const { client, code, verifier } = await authorize();
+		const issued = (await (await exchange(client, { grant_type: 'authorization_code', code, code_verifier: verifier })).json()) as {
+			refresh_token: string;
+		};
+
+		const refreshed = await exchange(client, { grant_type: 'refresh_token', refresh_token: issued.refresh_token });
+		const replayed = await exchange(client, { grant_type: 'refresh_token', refresh_token: issued.refresh_token });
+
+		expect(refreshed.status).toBe(200);
+		const rotated = (await refreshed.json()) as { access_token: string; refresh_token: string };
+		expect(rotated.refresh_token).not.toBe(issued.refresh_token);
+		const mcp = await post('tools/list', undefined, { env: oauthEnv(), headers: { Authorization: `Bearer ${rotated.access_token}` } });
+		expect(((await mcp.json()) as JsonRpcResponse).error).toBeUndefined();
+		expect(replayed.status).toBe(400);
+		expect(await replayed.json()).toMatchObject({ error: 'invalid_grant' });
+	});
+
+	it('revokes the tokens approved with an API key once the key is removed', async () => {
+		const { client, code, verifier } = await authorize();
+		const issued = (await (await exchange(client, { grant_type: 'authorization_code', code, code_verifier: verifier })).json()) as {
+			access_token: string;
+			refresh_token: string;
+		};
+		const { API_KEY_ALICE: _removed, ...withoutKey } = oauthEnv();
+		const otherKey = { ...withoutKey, API_KEY_BOB: 'bob-secret' } as typeof env;
+
+		const mcp = await worker.fetch(
+			new Request('http://worker.test/mcp', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${issued.access_token}` },
+				body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+			}),
+			otherKey,
+		);
+		const refreshed = await form(
+			'/token',
+			{ grant_type: 'refresh_token', refresh_token: issued.refresh_token, client_id: client.client_id, client_secret: client.client_secret },
+			{},
+			otherKey,
+		);
+
+		expect(mcp.status).toBe(401);
+		expect(refreshed.status).toBe(400);
+		expect(await refreshed.json()).toEqual({
+			error: 'invalid_grant',
+			error_description: 'The API key that approved this client no longer exists',
+		});
+	});
+
+	it('rate limits API key attempts on the consent page per IP address', async () => {
+		const testEnv = { ...oauthEnv(), RATE_LIMITS: JSON.stringify({ oauth_authorize: { capacity: 2, refillPerMinute: 1 } }) };
+		const client = (await (await register()).json()) as { client_id: string };
+		const { challenge } = await pkce();
+		const attempt = (apiKey: string) =>
+			form(
+				'/authorize',
+				{
+					client_id: client.client_id,
+					redirect_uri: REDIRECT_URI,
+					response_type: 'code',
+					code_challenge: challenge,
+					code_challenge_method: 'S256',
+					decision: 'approve',
+					api_key: apiKey,
+				},
+				{ 'CF-Connecting-IP': '203.0.113.9' },
+				testEnv,
+			);
+
+		const guesses = [await attempt('guess-1'), await attempt('guess-2')];
+		const limited = await attempt('alice-secret');
+
+		expect(guesses.map((response) => response.headers.get('Location'))).toEqual([null, null]);
+		expect(limited.status).toBe(429);
+		expect(limited.headers.get('Retry-After')).toMatch(/^\d+$/);
+		expect(await limited.json()).toMatchObject({ error_description: expect.stringContaining('Too many oauth_authorize calls') });
+	});
+
+	it('refuses bad client authentication, including a malformed Basic header', async () => {
+		const { client, code, verifier } = await authorize();
+		const grant = { grant_type: 'authorization_code', code, code_verifier: verifier };
+
+		const wrongSecret = await form('/token', { ...grant, client_id: client.client_id, client_secret: 'guess' });
+		const malformed = await form('/token', grant, { Authorization: 'Basic %%%not-base64' });
+		const basic = await form('/token', grant, { Authorization: `Basic ${btoa(`${client.client_id}:${client.client_secret}`)}` });
+
+		expect(wrongSecret.status).toBe(401);
+		expect(await wrongSecret.json()).toMatchObject({ error: 'invalid_client' });
+		expect(malformed.status).toBe(401);
+		expect(await malformed.json()).toEqual({ error: 'invalid_client', error_description: 'Malformed Basic authorization header' });
+		expect(basic.status).toBe(200);
+	});
+
+	it('refuses the consent page with a bad API key, and any approval when no keys are configured', async () => {
+		const client = (await (await register()).json()) as { client_id: string };
+		const { challenge } = await pkce();
+		const params = {
+			client_id: client.client_id,
+			redirect_uri: REDIRECT_URI,
+			response_type: 'code',
+			code_challenge: challenge,
+			code_challenge_method: 'S256',
+		};
+
+		const badKey = await form('/authorize', { ...params, decision: 'approve', api_key: 'wrong' });
+		const noKeys = await send(`/authorize?${new URLSearchParams(params)}`, {}, { ...env, OAUTH_KV: env.TEST_OAUTH_KV });
+
+		expect(badKey.headers.get('Location')).toBeNull();
+		expect(await badKey.text()).toContain('That API key is not valid.');
+		expect(noKeys.status).toBe(302);
+		expect(new URL(noKeys.headers.get('Location')!).searchParams.get('error')).toBe('access_denied');
+	});
+});
+
+describe('JSON-RPC errors', () => {
+	it('rejects an unknown tool', async () => {
+		const response = await rpc('tools/call', { name: 'delete_handbook', arguments: {} });
+
+		expect(response.result).toBeUndefined();
+		expect(response.error?.code).toBe(-32601);
+	});
+
+	it('rejects an unknown method', async () => {
+		const response = await rpc('handbook/burn');
+
+		expect(response.error?.code).toBe(-32601);
+	});
+});
+
+describe('observability', () => {
+	let logged: unknown[];
+
+	beforeEach(() => {
+		logged = [];
+		const collect = (line: unknown) => {
+			logged.push(line);
+		};
+		vi.spyOn(console, 'log').mockImplementation(collect);
+		vi.spyOn(console, 'error').mockImplementation(collect);
+	});
+
+	/** The JSON log lines written so far, from both console.log and console.error. */
+	const logLines = () =>
+		logged.filter((line): line is string => typeof line === 'string' && line.startsWith('{')).map((line) => JSON.parse(line));
+
+	it('logs each request as JSON and forwards the correlation ID to the backend', async () => {
+		backend.on('POST /call-tool', reply.json({ text: 'Page 3' }));
+
+		const response = await post(
+			'tools/call',
+			{ name: 'get_page_direct', arguments: { page_number: 3 } },
+			{ headers: { 'X-Request-Id': 'trace-123' } },
+		);
+
+		expect(response.headers.get('X-Request-Id')).toBe('trace-123');
+		expect(backend.calls('POST /call-tool')[0].headers['x-request-id']).toBe('trace-123');
+		expect(logLines()).toContainEqual(
+			expect.objectContaining({
+				requestId: 'trace-123',
+				method: 'tools/call',
+				tool: 'get_page_direct',
+				client: 'anonymous',
+				backendCalls: 1,
+				outcome: 'ok',
+				durationMs: expect.any(Number),
+				backendMs: expect.any(Number),
+			}),
+		);
+	});
+
+	it('generates a correlation ID when the caller sends none or an unusable one', async () => {
+		const response = await post('tools/list', undefined, { headers: { 'X-Request-Id': 'not a usable id!' } });
+
+		expect(response.headers.get('X-Request-Id')).toMatch(/^[0-9a-f-]{36}$/);
+		expect(logLines().at(-1)).toMatchObject({ requestId: response.headers.get('X-Request-Id'), method: 'tools/list' });
+	});
+
+	it('logs tool errors with their category and every attempt', async () => {
+		backend.on('POST /call-tool', reply.error(502));
+
+		await callTool('get_page_direct', { page_number: 7 });
+
+		expect(logLines().at(-1)).toMatchObject({ tool: 'get_page_direct', outcome: 'tool_error', error: 'server_error', backendCalls: 3 });
+	});
+
+	it('logs JSON-RPC errors with their code', async () => {
+		await rpc('tools/call', { name: 'delete_handbook', arguments: {} });
+
+		expect(logLines().at(-1)).toMatchObject({ tool: 'delete_handbook', outcome: 'error', error: '-32601' });
+	});
+
+	it('writes a data point per tool call when Analytics Engine is bound', async () => {
+		const writeDataPoint = vi.fn();
+		backend.on('POST /call-tool', reply.json({ text: 'Page 3' }));
+
+		await post(
+			'tools/call',
+			{ name: 'get_page_direct', arguments: { page_number: 3 } },
+			{ env: { ...env, METRICS: { writeDataPoint } } },
+		);
+
+		expect(writeDataPoint).toHaveBeenCalledWith({
+			indexes: ['get_page_direct'],
+			blobs: ['get_page_direct', 'ok', '', 'anonymous'],
+			doubles: [expect.any(Number), expect.any(Number), 1],
+		});
+	});
+
+	it('summarizes recent calls per tool in stats', async () => {
+		recentCalls.clear();
+		backend.on('POST /call-tool', reply.json({ text: 'Page 1' }), reply.error(400, 'no such page'));
+		await callTool('get_page_direct', { page_number: 1 });
+		await callTool('get_page_direct', { page_number: 150 });
+
+		const result = await callTool('stats');
+
+		expect(result.structuredContent).toMatchObject({
+			calls: 2,
+			tools: [
+				{
+					tool: 'get_page_direct',
+					calls: 2,
+					errors: 1,
+					errorsBy: { client_error: 1 },
+					lastError: { error: 'client_error' },
+				},
+			],
+		});
+		expect(result.content[0].text).toContain('get_page_direct: 2 calls, 1 errors (1 client_error)');
+	});
+});
+
+describe('rate limits', () => {
+	const limitsEnv = (policy: Record<string, number>) => ({ ...env, RATE_LIMITS: JSON.stringify({ get_page_direct: policy }) });
+	const bucket = (key: string) => env.RATE_LIMITER!.get(env.RATE_LIMITER!.idFromName(key));
+
+	async function callWith(testEnv: typeof env, name: string, args: Record<string, unknown>) {
+		const response: JsonRpcResponse = await (await post('tools/call', { name, arguments: args }, { env: testEnv })).json();
+		expect(response.error).toBeUndefined();
+		return response.result;
+	}
+
+	async function consume(testEnv: Record<string, unknown>, times: number, key = 'client:alice') {
+		const decisions = [];
+		for (let i = 0; i < times; i++) {
+			decisions.push(await consumeRateLimitFor(testEnv, key, 'get_page_direct'));
+		}
+		return decisions;
+	}
+
+	it('allows a burst up to the capacity, then refuses until the bucket refills', async () => {
+		const decisions = await consume(limitsEnv({ capacity: 2, refillPerMinute: 1 }), 3);
+
+		expect(decisions.map((decision) => decision?.allowed)).toEqual([true, true, false]);
+		expect(decisions[2]).toEqual({ allowed: false, limit: 'rate', retryAfterSeconds: expect.any(Number) });
+		expect(decisions[2]!.retryAfterSeconds).toBeGreaterThan(0);
+		expect(decisions[2]!.retryAfterSeconds).toBeLessThanOrEqual(60);
+	});
+
+	it('refills the bucket over time', async () => {
+		const testEnv = limitsEnv({ capacity: 1, refillPerMinute: 1 });
+		await consume(testEnv, 1);
+		await runInDurableObject(bucket('client:alice'), async (_instance: RateLimiter, state) => {
+			await state.storage.put('bucket:get_page_direct', { tokens: 0, updatedAt: Date.now() - 60_000 });
+		});
+
+		const [decision] = await consume(testEnv, 1);
+
+		expect(decision).toEqual({ allowed: true });
+	});
+
+	it('enforces the daily quota per client', async () => {
+		const testEnv = limitsEnv({ capacity: 10, refillPerMinute: 10, daily: 1 });
+
+		const decisions = await consume(testEnv, 2);
+		const [otherClient] = await consume(testEnv, 1, 'client:bob');
+
+		expect(decisions[1]).toEqual({ allowed: false, limit: 'daily', retryAfterSeconds: expect.any(Number) });
+		expect(decisions[1]!.retryAfterSeconds).toBeLessThanOrEqual(24 * 60 * 60);
+		expect(otherClient).toEqual({ allowed: true });
+	});
+
+	it('leaves out retryAfterSeconds when the bucket never refills', async () => {
+		const testEnv = limitsEnv({ capacity: 1, refillPerMinute: 0 });
+		backend.on('POST /call-tool', reply.json({ text: 'Page 1' }));
+		await post('tools/call', { name: 'get_page_direct', arguments: { page_number: 1 } }, { env: testEnv });
+
+		const response: JsonRpcResponse = await (
+			await post('tools/call', { name: 'get_page_direct', arguments: { page_number: 1 } }, { env: testEnv })
+		).json();
+
+		expect(response.error).toEqual({
+			code: -32029,
+			message: 'Too many get_page_direct calls. This limit does not refill.',
+			data: { tool: 'get_page_direct', limit: 'rate' },
+		});
+	});
+
+	it('counts page resource reads against the get_page_direct limit', async () => {
+		const testEnv = limitsEnv({ capacity: 1, refillPerMinute: 0 });
+		backend.on('POST /call-tool', reply.json({ text: 'Page 1' }));
+		await post('tools/call', { name: 'get_page_direct', arguments: { page_number: 1 } }, { env: testEnv });
+
+		const response: JsonRpcResponse = await (await post('resources/read', { uri: 'cook-handbook://page/1' }, { env: testEnv })).json();
+
+		expect(backend.calls('POST /call-tool')).toHaveLength(1);
+		expect(response.error).toEqual({
+			code: -32029,
+			message: 'Too many get_page_direct calls. This limit does not refill.',
+			data: { tool: 'get_page_direct', limit: 'rate' },
+		});
+	});
+
+	it('never limits health_check or tools without a policy', async () => {
+		const testEnv: Record<string, unknown> = { ...env, RATE_LIMITS: JSON.stringify({ health_check: { capacity: 0, refillPerMinute: 0 } }) };
+
+		expect(await consumeRateLimitFor(testEnv, 'client:alice', 'health_check')).toBeUndefined();
+		expect(await consumeRateLimitFor(testEnv, 'client:alice', 'convert_units')).toBeUndefined();
+	});
+
+	it('lets calls through, and logs, when the limiter fails', async () => {
+		const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+		const broken = {
+			idFromName: (name: string) => name,
+			get: () => ({ fetch: async () => new Response('<html>Worker exceeded resource limits</html>') }),
+		};
+		backend.on('POST /call-tool', reply.json({ text: 'Page 1' }));
+		const testEnv = { ...env, RATE_LIMITER: broken as unknown as DurableObjectNamespace };
+
+		const result = await callWith(testEnv, 'get_page_direct', { page_number: 1 });
+
+		expect(result.content[0].text).toBe('Page 1');
+		const logged = errors.mock.calls.map(([line]) => String(line)).find((line) => line.includes('rate_limiter_unavailable'));
+		expect(JSON.parse(logged!)).toMatchObject({
+			message: 'Rate limiter unavailable, not limiting get_page_direct',
+			event: 'rate_limiter_unavailable',
+			tool: 'get_page_direct',
+			errorMessage: expect.any(String),
+		});
+	});
+
+	it('logs an invalid RATE_LIMITS as JSON and uses the defaults', async () => {
+		const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+		const testEnv: Record<string, unknown> = { ...env, RATE_LIMITS: '{not json' };
+
+		const decision = await consumeRateLimitFor(testEnv, 'client:alice', 'get_page_direct');
+
+		expect(decision).toEqual({ allowed: true });
+		expect(JSON.parse(String(errors.mock.calls[0][0]))).toMatchObject({
+			message: 'RATE_LIMITS is not valid JSON, using defaults',
+			event: 'rate_limits_invalid',
+		});
+	});
+
+	it('keys API key and OAuth clients by name, and anonymous callers by IP address', () => {
+		expect(rateLimitKey({ name: 'alice', method: 'api_key' }, '203.0.113.7')).toBe('client:alice');
+		expect(rateLimitKey({ name: 'alice', method: 'oauth', oauthClientId: 'c1' }, '203.0.113.7')).toBe('client:alice');
+		expect(rateLimitKey({ name: 'anonymous', method: 'anonymous' }, '203.0.113.7')).toBe('ip:203.0.113.7');
+		// Approved while authentication was off: not one bucket shared by every such client
+		expect(rateLimitKey({ name: 'anonymous', method: 'oauth', oauthClientId: 'c1' }, '203.0.113.7')).toBe('ip:203.0.113.7');
+	});
+});
+
+describe('circuit breaker', () => {
+	// No retries, so each failed call is one backend request and one failure
+	const breakerEnv = { ...env, BACKEND_RETRIES: '0', CIRCUIT_FAILURE_THRESHOLD: '2' };
+
+	async function callWith(testEnv: typeof env, name: string, args: Record<string, unknown>) {
+		const response: JsonRpcResponse = await (await post('tools/call', { name, arguments: args }, { env: testEnv })).json();
+		expect(response.error).toBeUndefined();
+		return response.result;
+	}
+
+	const circuit = () => env.CIRCUIT_BREAKER!.get(env.CIRCUIT_BREAKER!.idFromName(`python:${env.PYTHON_MCP_URL}`));
+
+	it('fails fast once the backend has failed enough times in a row', async () => {
+		backend.on('POST /call-tool', reply.unreachable());
+		await callWith(breakerEnv, 'get_page_direct', { page_number: 1 });
+		await callWith(breakerEnv, 'get_page_direct', { page_number: 2 });
+
+		const result = await callWith(breakerEnv, 'get_page_direct', { page_number: 3 });
+
+		expect(backend.calls('POST /call-tool')).toHaveLength(2);
+		expect(result.isError).toBe(true);
+		expect(result._meta).toEqual({ errorCategory: 'unavailable', retryAfterSeconds: expect.any(Number) });
+		expect(result.content[0].text).toContain(`Python MCP server at ${env.PYTHON_MCP_URL} is down`);
+		expect(result.content[0].text).toContain('2 calls in a row failed');
+		expect(result.content[0].text).not.toContain('python http_wrapper.py');
+	});
+
+	it('does not count rejected requests', async () => {
+		backend.on('POST /call-tool', reply.error(400, 'no such page'), reply.error(400, 'no such page'), reply.json({ text: 'Page 3' }));
+		await callWith(breakerEnv, 'get_page_direct', { page_number: 149 });
+		await callWith(breakerEnv, 'get_page_direct', { page_number: 150 });
+
+		const result = await callWith(breakerEnv, 'get_page_direct', { page_number: 3 });
+
+		expect(result.content[0].text).toBe('Page 3');
+	});
+
+	it('closes again when a background health probe passes', async () => {
+		backend.on('POST /call-tool', reply.unreachable(), reply.unreachable(), reply.json({ text: 'Page 3' }));
+		backend.on('GET /health', reply.unreachable(), reply.json({ status: 'ok' }));
+		await callWith(breakerEnv, 'get_page_direct', { page_number: 1 });
+		await callWith(breakerEnv, 'get_page_direct', { page_number: 2 });
+
+		expect(await runDurableObjectAlarm(circuit())).toBe(true);
+		expect((await callWith(breakerEnv, 'get_page_direct', { page_number: 3 }))._meta.errorCategory).toBe('unavailable');
+
+		const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+		expect(await runDurableObjectAlarm(circuit())).toBe(true);
+		const result = await callWith(breakerEnv, 'get_page_direct', { page_number: 3 });
+
+		expect(backend.calls('GET /health')).toHaveLength(2);
+		expect(result.content[0].text).toBe('Page 3');
+		expect(log.mock.calls.map(([line]) => JSON.parse(String(line)))).toContainEqual({
+			message: 'Python MCP server circuit closed',
+			event: 'circuit_closed',
+			backend: 'Python MCP server',
+			reason: 'probe',
+		});
+	});
+
+	it('serves a stale cached answer, marked degraded, while the backend is down', async () => {
+		const entries = new Map<string, string>();
+		const kv = {
+			get: async (key: string) => (entries.has(key) ? JSON.parse(entries.get(key)!) : null),
+			put: async (key: string, value: string) => void entries.set(key, value),
+		};
+		const storedAt = Date.parse('2026-01-05T12:00:00Z');
+		entries.set(await searchCacheKey('python', 'cook-handbook', 'elbow loss'), JSON.stringify({ value: { text: 'Use 0.25.' }, storedAt }));
+		backend.on('POST /call-tool', reply.unreachable());
+
+		const result = await callWith({ ...breakerEnv, CACHE: kv as unknown as KVNamespace }, 'search_engineering_manual', {
+			query: 'elbow loss',
+		});
+
+		expect(result.isError).toBeUndefined();
+		expect(result._meta).toEqual({ cache: 'stale', degraded: true, cachedAt: '2026-01-05T12:00:00.000Z' });
+		expect(result.content[0].text).toMatch(/^⚠️ Degraded mode: Python MCP server is unavailable \(Could not connect: Network connection lost\.\)/);
+		expect(result.content[0].text).toMatch(/Use 0\.25\.$/);
+	});
+});
+
+describe('ingestion', () => {
+	const PDF = btoa('%PDF-1.7\n1 0 obj <<>> endobj\n%%EOF\n');
+	const catalog = { id: 'fan-catalog', title: 'Cook Fan Catalog', type: 'catalog', pageCount: 3 };
+
+	let queued: IngestionMessage[];
+	let ingestEnv: typeof env;
+
+	beforeEach(() => {
+		queued = [];
+		const queue = { send: async (message: IngestionMessage) => void queued.push(message) };
+		ingestEnv = { ...env, BACKEND_RETRIES: '0', COLLECTIONS: JSON.stringify([catalog]), INGEST_QUEUE: queue as unknown as Queue };
+	});
+
+	async function callWith(name: string, args: Record<string, unknown>, testEnv = ingestEnv): Promise<JsonRpcResponse> {
+		return (await post('tools/call', { name, arguments: args }, { env: testEnv })).json();
+	}
+
+	async function storedJob(id: string): Promise<IngestionJob> {
+		return (await (await env.DOCUMENTS!.get(`jobs/${id}.json`))!.json()) as IngestionJob;
+	}
+
+	// Deliver the queued messages to the consumer, as attempt `attempts`
+	async function deliver(stages?: IngestionStages, attempts = 1) {
+		const messages = queued.map((body) => ({ id: crypto.randomUUID(), timestamp: new Date(), body, attempts, ack: vi.fn(), retry: vi.fn() }));
+		await handleIngestionBatch(
+			{ queue: 'ingest', messages, ackAll: vi.fn(), retryAll: vi.fn() } as unknown as MessageBatch<IngestionMessage>,
+			ingestEnv as unknown as Record<string, unknown>,
+			stages,
+		);
+		return messages;
+	}
+
+	function pages(count: number) {
+		return Array.from({ length: count }, (_, i) => ({ page_number: i + 1, text: `Page ${i + 1}` }));
+	}
+
+	it('stores an uploaded PDF and queues a job', async () => {
+		const { result } = await callWith('ingest_document', { collection: 'Fan-Catalog', pdf_base64: PDF, filename: 'catalog.pdf' });
+		const job = result.structuredContent as IngestionJob;
+
+		expect(job).toMatchObject({ collection: 'fan-catalog', filename: 'catalog.pdf', status: 'queued', pagesIndexed: 0 });
+		expect(job.objectKey).toBe(`uploads/anonymous/fan-catalog/${job.id}.pdf`);
+		expect(await (await env.DOCUMENTS!.get(job.objectKey))!.text()).toBe(atob(PDF));
+		expect(queued).toEqual([{ jobId: job.id }]);
+		expect(result.content[0].text).toContain(`Ingestion job ${job.id} for fan-catalog: queued`);
+	});
+
+	it('rejects files that are not PDFs, missing objects and unknown collections', async () => {
+		await env.DOCUMENTS!.put('uploads/anonymous/notes.txt', 'just some notes');
+		// More calls than the default burst allows
+		const testEnv = { ...ingestEnv, RATE_LIMITS: JSON.stringify({ ingest_document: { capacity: 10, refillPerMinute: 10 } }) };
+		const ingest = (args: Record<string, unknown>) => callWith('ingest_document', { collection: 'fan-catalog', ...args }, testEnv);
+
+		const notPdf = await ingest({ pdf_base64: btoa('<html></html>') });
+		const notUploaded = await ingest({ object_key: 'uploads/anonymous/missing.pdf' });
+		const textObject = await ingest({ object_key: 'uploads/anonymous/notes.txt' });
+		const unknown = await ingest({ collection: 'brochures', pdf_base64: PDF });
+		const both = await ingest({ pdf_base64: PDF, object_key: 'uploads/anonymous/a.pdf' });
+
+		expect(notPdf.error).toMatchObject({ code: -32602, message: expect.stringContaining('Not a PDF') });
+		expect(notUploaded.error).toMatchObject({ code: -32602, message: expect.stringContaining('No object "uploads/anonymous/missing.pdf"') });
+		expect(textObject.error?.message).toContain('Not a PDF');
+		expect(unknown.error?.message).toContain('Unknown collection "brochures"');
+		expect(both.error?.message).toContain('Pass exactly one of pdf_base64 and object_key');
+		expect(queued).toHaveLength(0);
+	});
+
+	it('keeps jobs and uploads to the client that submitted them', async () => {
+		const keyedEnv = { ...ingestEnv, API_KEY_ALICE: 'alice-secret', API_KEY_BOB: 'bob-secret' };
+		const as = async (key: string, name: string, args: Record<string, unknown>): Promise<JsonRpcResponse> =>
+			(await post('tools/call', { name, arguments: args }, { env: keyedEnv, headers: { 'X-API-Key': key } })).json();
+		await env.DOCUMENTS!.put('uploads/alice/catalog.pdf', atob(PDF));
+
+		const { result } = await as('alice-secret', 'ingest_document', { collection: 'fan-catalog', pdf_base64: PDF });
+		const id = result.structuredContent.id;
+		const own = await as('alice-secret', 'get_ingestion_status', { job_id: id });
+		const foreign = await as('bob-secret', 'get_ingestion_status', { job_id: id });
+		const statusRequest = new Request(`http://worker.test/ingest/${id}`, { headers: { 'X-API-Key': 'bob-secret' } });
+		const foreignHttp = await worker.fetch(statusRequest, keyedEnv);
+		const foreignKey = await as('bob-secret', 'ingest_document', { collection: 'fan-catalog', object_key: 'uploads/alice/catalog.pdf' });
+		const ownKey = await as('alice-secret', 'ingest_document', { collection: 'fan-catalog', object_key: 'uploads/alice/catalog.pdf' });
+
+		expect(result.structuredContent.objectKey).toBe(`uploads/alice/fan-catalog/${id}.pdf`);
+		expect(own.result.structuredContent).toMatchObject({ id, client: 'alice' });
+		expect(foreign.error).toMatchObject({ code: -32602, message: expect.stringContaining(`No ingestion job "${id}"`) });
+		expect(foreignHttp.status).toBe(404);
+		expect(foreignKey.error).toMatchObject({
+			code: -32602,
+			message: expect.stringContaining('object_key must be one of your uploads, under uploads/bob/'),
+		});
+		expect(ownKey.result.structuredContent).toMatchObject({ objectKey: 'uploads/alice/catalog.pdf', status: 'queued' });
+		expect(queued).toHaveLength(2);
+	});
+
+	it('fails the jobs when the indexer is misconfigured instead of retrying the batch', async () => {
+		const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+		ingestEnv = { ...ingestEnv, HANDBOOK_BACKEND: 'weaviate' };
+		const { result } = await callWith('ingest_document', { collection: 'fan-catalog', pdf_base64: PDF });
+
+		const [message] = await deliver();
+
+		expect(message.ack).toHaveBeenCalled();
+		expect(message.retry).not.toHaveBeenCalled();
+		expect(await storedJob(result.structuredContent.id)).toMatchObject({ status: 'failed', error: expect.stringContaining('WEAVIATE_URL') });
+		expect(errors).toHaveBeenCalled();
+	});
+
+	it('extracts and indexes a queued PDF through the Python wrapper', async () => {
+		backend.on('POST /extract-pages', reply.json({ pages: pages(3) }));
+		backend.on('POST /index-pages', reply.json({ indexed: 3 }));
+		const { result } = await callWith('ingest_document', { collection: 'fan-catalog', pdf_base64: PDF });
+
+		const [message] = await deliver();
+		const status = await callWith('get_ingestion_status', { job_id: result.structuredContent.id });
+
+		expect(message.ack).toHaveBeenCalled();
+		expect(backend.calls('POST /extract-pages')[0]).toMatchObject({
+			headers: { 'content-type': 'application/pdf' },
+			body: atob(PDF),
+		});
+		expect(backend.calls('POST /index-pages')[0].body).toEqual({
+			collection: 'fan-catalog',
+			job_id: result.structuredContent.id,
+			pages: pages(3),
+		});
+		expect(status.result.structuredContent).toMatchObject({ status: 'complete', pages: 3, pagesIndexed: 3, attempts: 1 });
+		expect(status.result.content[0].text).toContain('complete, 3 of 3 pages indexed');
+		expect(await env.DOCUMENTS!.get(`jobs/${result.structuredContent.id}.pages.json`)).toBeNull();
+	});
+
+	it('resumes a retried job from the stored pages instead of extracting again', async () => {
+		let backendDown = true;
+		const indexed: number[] = [];
+		const extract = vi.fn(async () => pages(25));
+		const stages: IngestionStages = {
+			extractor: { extract },
+			indexer: {
+				index: async (batch) => {
+					if (backendDown && batch[0].page_number > 20) {
+						throw new BackendError('timeout', 'No result within 60000ms');
+					}
+					indexed.push(...batch.map((page) => page.page_number));
+				},
+			},
+		};
+		const { result } = await callWith('ingest_document', { collection: 'fan-catalog', pdf_base64: PDF });
+		const id = result.structuredContent.id;
+
+		await deliver(stages, 1);
+
+		expect(await storedJob(id)).toMatchObject({ status: 'queued', pages: 25, pagesIndexed: 20 });
+		expect(JSON.parse(await (await env.DOCUMENTS!.get(`jobs/${id}.pages.json`))!.text())).toEqual(pages(25));
+
+		backendDown = false;
+		const [retry] = await deliver(stages, 2);
+
+		expect(retry.ack).toHaveBeenCalled();
+		expect(extract).toHaveBeenCalledTimes(1);
+		expect(indexed).toEqual(pages(25).map((page) => page.page_number));
+		expect(await storedJob(id)).toMatchObject({ status: 'complete', pagesIndexed: 25, attempts: 2 });
+		expect(await env.DOCUMENTS!.get(`jobs/${id}.pages.json`)).toBeNull();
+	});
+
+	it('retries backend outages without indexing pages twice, then fails the job', async () => {
+		const indexed: number[] = [];
+		const extract = vi.fn(async () => pages(45));
+		const stages: IngestionStages = {
+			extractor: { extract },
+			indexer: {
+				// The second batch finds the backend down
+				index: async (batch) => {
+					if (batch[0].page_number > 20) {
+						throw new BackendError('unreachable', 'Could not connect');
+					}
+					indexed.push(...batch.map((page) => page.page_number));
+				},
+			},
+		};
+		const { result } = await callWith('ingest_document', { collection: 'fan-catalog', pdf_base64: PDF });
+		const id = result.structuredContent.id;
+
+		const [first] = await deliver(stages, 1);
+
+		expect(first.retry).toHaveBeenCalledWith({ delaySeconds: 30 });
+		expect(first.ack).not.toHaveBeenCalled();
+		expect(await storedJob(id)).toMatchObject({ status: 'queued', pagesIndexed: 20, error: 'Could not connect' });
+
+		// The retry resumes after page 20; anything but an outage fails the job for good
+		stages.indexer.index = async (batch) => {
+			throw new Error(`Weaviate class CookFanCatalog does not exist (pages from ${batch[0].page_number})`);
+		};
+		const [second] = await deliver(stages, 2);
+
+		expect(second.ack).toHaveBeenCalled();
+		expect(second.retry).not.toHaveBeenCalled();
+		expect(extract).toHaveBeenCalledTimes(1);
+		expect(indexed).toEqual(pages(20).map((page) => page.page_number));
+		expect(await storedJob(id)).toMatchObject({
+			status: 'failed',
+			attempts: 2,
+			pagesIndexed: 20,
+			error: 'Weaviate class CookFanCatalog does not exist (pages from 21)',
+		});
+	});
+
+	it('accepts PDFs over HTTP and reports their status', async () => {
+		const upload = await worker.fetch(
+			new Request('http://worker.test/ingest?collection=fan-catalog&filename=catalog.pdf', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/pdf' },
+				body: atob(PDF),
+			}),
+			ingestEnv,
+		);
+		const job = (await upload.json()) as IngestionJob;
+		const status = await worker.fetch(new Request(`http://worker.test${upload.headers.get('Location')}`), ingestEnv);
+		const missing = await worker.fetch(new Request('http://worker.test/ingest/no-such-job'), ingestEnv);
+
+		expect(upload.status).toBe(202);
+		expect(job).toMatchObject({ collection: 'fan-catalog', filename: 'catalog.pdf', status: 'queued' });
+		expect(await status.json()).toEqual(job);
+		expect(missing.status).toBe(404);
+		expect(queued).toEqual([{ jobId: job.id }]);
+	});
+
+	it('counts HTTP uploads against the ingest_document limit', async () => {
+		const testEnv = { ...ingestEnv, RATE_LIMITS: JSON.stringify({ ingest_document: { capacity: 1, refillPerMinute: 1 } }) };
+		const upload = () =>
+			worker.fetch(
+				new Request('http://worker.test/ingest?collection=fan-catalog', {
+					method: 'POST',
+					headers: { 'Content-Type': 'application/pdf' },
+					body: atob(PDF),
+				}),
+				testEnv,
+			);
+
+		const first = await upload();
+		const second = await upload();
+		const tool = await callWith('ingest_document', { collection: 'fan-catalog', pdf_base64: PDF }, testEnv);
+		const status = await worker.fetch(new Request(`http://worker.test${first.headers.get('Location')}`), testEnv);
+
+		expect(first.status).toBe(202);
+		expect(second.status).toBe(429);
+		expect(second.headers.get('Retry-After')).toMatch(/^\d+$/);
+		expect(await second.json()).toMatchObject({ error: expect.stringContaining('Too many ingest_document calls'), limit: 'rate' });
+		expect(tool.error).toMatchObject({ code: -32029 });
+		expect(status.status).toBe(200);
+		expect(queued).toHaveLength(1);
+	});
+
+	it('reports ingestion as not configured without a queue', async () => {
+		const { result } = await callWith('ingest_document', { collection: 'fan-catalog', pdf_base64: PDF }, env);
+
+		expect(result.isError).toBe(true);
+		expect(result.content[0].text).toContain('Document ingestion is not configured');
+	});
+});
@@ -0,0 +1,36 @@
+import { defineWorkersProject } from '@cloudflare/vitest-pool-workers/config';
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+	test: {
+		projects: [
+			defineWorkersProject({
+				test: {
+					name: 'worker',
+					include: ['tests/*.test.ts'],
+					poolOptions: {
+						workers: {
+							wrangler: { configPath: './wrangler.toml' },
+							miniflare: {
+								// Never the real wrapper: tests/fake-backend.ts answers every request to this host
+								bindings: { PYTHON_MCP_URL: 'http://python-backend.test' },
+								// Local buckets; tests pass a fake INGEST_QUEUE and IMAGES where they need them
+								r2Buckets: ['DOCUMENTS', 'FIGURES'],
+								// Bound under other names so only the tests that pass them as CACHE or OAUTH_KV use them
+								kvNamespaces: ['TEST_CACHE', 'TEST_OAUTH_KV'],
+							},
+						},
+					},
+				},
+			}),
+			{
+				// The stdio bridge is a Node script, so its tests run in Node against a local mcp-lite server
+				test: {
+					name: 'bridge',
+					include: ['tests/bridge/*.test.ts'],
+					environment: 'node',
+				},
+			},
+		],
+	},
+});